@@ -0,0 +1,21 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+function parseList(value) {
+    return value ? value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean) : [];
+}
+
+// Checks an input must pass before a job is queued. Empty values disable a rule.
+const admissionConfig = {
+    maxDuration: Number(process.env.ADMISSION_MAX_DURATION) || null,
+    maxFileSize: Number(process.env.ADMISSION_MAX_FILE_SIZE) || null,
+    allowedContainers: parseList(process.env.ADMISSION_ALLOWED_CONTAINERS),
+    allowedVideoCodecs: parseList(process.env.ADMISSION_ALLOWED_VIDEO_CODECS),
+    allowedAudioCodecs: parseList(process.env.ADMISSION_ALLOWED_AUDIO_CODECS),
+    requireVideo: process.env.ADMISSION_REQUIRE_VIDEO !== 'false',
+    probeTimeout: Number(process.env.ADMISSION_PROBE_TIMEOUT) || 30000
+};
+
+
+export default admissionConfig;
@@ -0,0 +1,13 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// API key authentication. ADMIN_API_KEY is a bootstrap key with every scope,
+// used to create the real keys; it is never stored.
+const authConfig = {
+    adminKey: process.env.ADMIN_API_KEY || null,
+    auditLogMaxEntries: Number(process.env.AUDIT_LOG_MAX_ENTRIES) || 10000
+};
+
+
+export default authConfig;
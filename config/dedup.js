@@ -0,0 +1,16 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Duplicate submissions and duplicate sources. A submission's idempotency
+// key points at its job for `idempotencyTtlHours`; processed outputs are
+// remembered by source content hash for `outputTtlDays`.
+const dedupConfig = {
+    idempotencyTtlHours: Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24,
+    // For jobs that don't set `dedupe`: 'off', 'copy' or 'reference'
+    defaultMode: process.env.DEDUPE_MODE || 'off',
+    outputTtlDays: Number(process.env.DEDUPE_TTL_DAYS) || 30
+};
+
+
+export default dedupConfig;
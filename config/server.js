@@ -0,0 +1,15 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// What this process does: 'api' serves HTTP only, 'worker' only processes
+// jobs (and delivers webhooks), 'both' does everything in one process
+const serverConfig = {
+    role: process.env.PROCESS_ROLE || 'both',
+    // On SIGTERM, active jobs get this long to finish before they are handed
+    // back to the queue for another worker
+    shutdownTimeout: Number(process.env.SHUTDOWN_TIMEOUT_SECONDS) || 300
+};
+
+
+export default serverConfig;
@@ -0,0 +1,26 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Where inputs are read from and outputs written to.
+// S3_ENDPOINT points the S3 driver at MinIO or another S3-compatible service;
+// the public URL settings control the URLs returned in job results.
+const storageConfig = {
+    s3: {
+        region: process.env.AWS_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT || null,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true' || Boolean(process.env.S3_ENDPOINT),
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+        publicUrl: process.env.S3_PUBLIC_URL || null,
+        // Output bucket for sources that don't name one (plain http URLs)
+        defaultBucket: process.env.S3_BUCKET || null
+    },
+    local: {
+        root: process.env.LOCAL_STORAGE_ROOT || null,
+        publicUrl: process.env.LOCAL_STORAGE_PUBLIC_URL || null
+    }
+};
+
+
+export default storageConfig;
@@ -0,0 +1,19 @@
+import os from 'os';
+import path from 'path';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Resumable (tus) uploads. Chunks are written to `dir` until the upload is
+// complete, then the file is moved to the job's storage and queued. With
+// several API instances `dir` must be shared storage (NFS, EFS...) mounted at
+// the same path on all of them: any instance may get the next chunk.
+const uploadsConfig = {
+    dir: process.env.UPLOAD_DIR || path.join(os.tmpdir(), 'reel-uploads'),
+    maxSize: Number(process.env.UPLOAD_MAX_SIZE) || 5 * 1024 * 1024 * 1024,
+    expiryHours: Number(process.env.UPLOAD_EXPIRY_HOURS) || 24,
+    allowedOrigin: process.env.UPLOAD_ALLOWED_ORIGIN || '*'
+};
+
+
+export default uploadsConfig;
@@ -0,0 +1,21 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Job status callbacks. Every payload is signed with `secret`; failed
+// deliveries are retried with exponential backoff and kept in the delivery
+// log for `logRetentionDays`.
+const webhooksConfig = {
+    secret: process.env.WEBHOOK_SECRET || null,
+    maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+    backoffDelay: Number(process.env.WEBHOOK_BACKOFF_DELAY) || 5000,
+    timeout: Number(process.env.WEBHOOK_TIMEOUT) || 10000,
+    logRetentionDays: Number(process.env.WEBHOOK_LOG_RETENTION_DAYS) || 7,
+    // At most one progress event per job in this many milliseconds
+    progressInterval: Number(process.env.WEBHOOK_PROGRESS_INTERVAL) || 10000,
+    // The main server's status endpoint, notified of completed and failed jobs
+    legacyUrl: process.env.MAIN_SERVER_URL ? `${process.env.MAIN_SERVER_URL}/reels/internal/update` : null
+};
+
+
+export default webhooksConfig;
@@ -0,0 +1,64 @@
+import tmp from 'tmp';
+import Logger from './utils/logger.js';
+import { processVideoToHLS } from './hlsVideoProcessor.js';
+import { renderEdit } from './utils/editor.js';
+import { parseStorageUri, formatStorageUri, resolveDestination, joinLocation } from './utils/storage.js';
+import { noProgress } from './utils/progress.js';
+
+// Trim/concat job: render the segments into one video, then hand it to the
+// normal HLS pipeline. Without a folderPath URI the output goes to the
+// storage of the first segment.
+async function processEditToHLS(segments, savePath, reelId, options = {}) {
+    const logger = new Logger(`edit_${reelId}`);
+    await logger.initialize();
+
+    const tmpDir = tmp.dirSync({ unsafeCleanup: true });
+    const progress = options.progress || noProgress;
+
+    try {
+        logger.info(`Rendering edit of ${segments.length} segments for reel ${reelId}`);
+        progress.start('render');
+        const edit = await renderEdit(segments, {
+            workDir: tmpDir.name,
+            transition: options.transition,
+            output: options.output,
+            logger,
+            tenant: options.tenant,
+            signal: options.signal,
+            onProgress: update => progress.update(update)
+        });
+
+        // processVideoToHLS names its output after the source, so give the
+        // rendered edit a URI inside the destination folder
+        const destination = resolveDestination(savePath, parseStorageUri(segments[0].url, options.tenant), options.tenant);
+        const sourceUri = formatStorageUri(joinLocation(destination, `${reelId}_edit.mp4`));
+
+        const result = await processVideoToHLS(sourceUri, formatStorageUri(destination), reelId, {
+            ...options,
+            sourcePath: edit.path
+        });
+
+        return {
+            ...result,
+            edit: {
+                duration: edit.duration,
+                width: edit.width,
+                height: edit.height,
+                frameRate: edit.frameRate,
+                segments: edit.segments
+            }
+        };
+    } catch (error) {
+        logger.error('Error processing edit job:', error);
+        throw error;
+    } finally {
+        try {
+            tmpDir.removeCallback();
+        } catch (cleanupError) {
+            logger.error('Error removing edit work directory:', cleanupError);
+        }
+        await logger.end();
+    }
+}
+
+export { processEditToHLS };
@@ -1,38 +1,29 @@
 import fs from 'fs-extra';
 import path from 'path';
-import { exec } from 'child_process';
-import { promisify } from 'util';
 import tmp from 'tmp';
 import axios from 'axios';
-import ffmpeg from 'fluent-ffmpeg';
-import ffmpegStatic from 'ffmpeg-static';
 import Logger from './utils/logger.js';
 import dotenv from 'dotenv';
-import { Upload } from '@aws-sdk/lib-storage';
-import { S3 } from '@aws-sdk/client-s3';
+import { DEFAULT_RENDITIONS, normalizeRenditions } from './utils/presets.js';
+import { getVideoInfo } from './utils/mediaProbe.js';
+import { planLadder } from './utils/ladder.js';
+import { selectAudioTracks } from './utils/audioTracks.js';
+import { transcodeRenditions, AUDIO_RENDITION_NAME } from './utils/transcoder.js';
+import { parseMediaPlaylist, analyseMediaPlaylist, measurePlaylistBandwidth, buildMasterPlaylist } from './utils/hlsPlaylist.js';
+import { buildDashManifest } from './utils/dashManifest.js';
+import { validateEncryption, createContentKey, encryptMediaPlaylist } from './utils/hlsEncryption.js';
+import { processSubtitles } from './utils/subtitles.js';
+import { generateSprites } from './utils/sprites.js';
+import { generatePosters } from './utils/posters.js';
+import { generateTeasers } from './utils/teasers.js';
+import { prepareWatermark } from './utils/watermark.js';
+import { planLoudnessNormalization } from './utils/loudness.js';
+import { parseStorageUri, formatStorageUri, resolveDestination, joinLocation, getStorage, uploadDirectory, copyFiles } from './utils/storage.js';
+import { noProgress } from './utils/progress.js';
+import { getDedupeMode, hashFile, findProcessedOutput, saveProcessedOutput, forgetProcessedOutput, rebaseResult } from './utils/dedup.js';
 
-const execAsync = promisify(exec);
 dotenv.config();
 
-ffmpeg.setFfmpegPath(ffmpegStatic);
-
-// Initialize AWS S3
-const s3 = new S3({
-    region: process.env.AWS_REGION || 'us-east-1',
-    credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-    }
-});
-
-// Video quality configurations
-const QUALITY_CONFIGS = [
-    { name: '360p', maxHeight: 360, videoBitrate: '500k', audioBitrate: '64k' },
-    { name: '480p', maxHeight: 480, videoBitrate: '800k', audioBitrate: '96k' },
-    { name: '720p', maxHeight: 720, videoBitrate: '2500k', audioBitrate: '128k' },
-    { name: '1080p', maxHeight: 1080, videoBitrate: '5000k', audioBitrate: '192k' }
-];
-
 // Add axios retry configuration
 const axiosInstance = axios.create({
     timeout: 30000, // 30 seconds timeout
@@ -47,6 +38,11 @@ const axiosInstance = axios.create({
 axiosInstance.interceptors.response.use(null, async (error) => {
     const config = error.config;
     
+    // A cancelled job's download is not retried
+    if (axios.isCancel(error)) {
+        return Promise.reject(error);
+    }
+
     // If no config or no retry count, initialize retry count
     if (!config || !config.retryCount) {
         config.retryCount = 0;
@@ -74,204 +70,385 @@ axiosInstance.interceptors.response.use(null, async (error) => {
     return Promise.reject(error);
 });
 
-async function processVideoToHLS(s3Url, savePath, reelId) {
-    const url = new URL(s3Url);
-    const bucket = url.hostname.split('.')[0];
-    const key = decodeURIComponent(url.pathname.slice(1));
-    const baseName = path.basename(key, path.extname(key));
+// `sourceUri` and `savePath` may be http(s), s3:// or file:// URIs; a plain
+// `savePath` is a key prefix in the bucket the source came from.
+// `options.progress` (a ProgressReporter) is told which stage is running.
+// `options.tenant` confines reads and writes to the tenant's storage.
+// `options.signal` (an AbortSignal) stops downloads and uploads when the job
+// is cancelled; ffmpeg is killed through withAbortSignal (see worker.js).
+// `options.dedupe` reuses the output of an identical source processed with
+// the same settings (see utils/dedup.js).
+async function processVideoToHLS(sourceUri, savePath, reelId, options = {}) {
+    const progress = options.progress || noProgress;
+    // Encoding ladder requested for this job, already resolved by the caller
+    const requestedRenditions = options.renditions || normalizeRenditions(DEFAULT_RENDITIONS);
+    // 'hls' (MPEG-TS) or 'cmaf' (fMP4 shared by HLS and DASH)
+    const outputFormat = options.outputFormat || 'hls';
+
+    const encryptionErrors = validateEncryption(options.encryption, { ...options, outputFormat });
+    if (encryptionErrors.length) {
+        throw new Error(`Invalid encryption settings: ${encryptionErrors.join('; ')}`);
+    }
+
+    const { tenant = null, signal } = options;
+    const source = parseStorageUri(sourceUri, tenant);
+    const destination = resolveDestination(savePath, source, tenant);
+    const storage = getStorage(destination, tenant);
+    const baseName = path.basename(source.key, path.extname(source.key));
+
+    // Public URL of a file inside the job's output folder
+    const urlFor = (relativePath) => storage.getPublicUrl(joinLocation(destination, ...relativePath.split('/')));
+    // ...and of the folder itself, with the trailing slash
+    const baseUrl = urlFor('master.m3u8').slice(0, -'master.m3u8'.length);
     
     // Initialize logger
     const logger = new Logger(baseName);
     await logger.initialize();
     
-    logger.info(`Starting HLS video processing for: ${s3Url}`);
+    logger.info(`Starting HLS video processing for: ${sourceUri}`);
     
     // Create temporary directory for processing
     const tmpDir = tmp.dirSync({ unsafeCleanup: true });
-    const inputTmp = path.join(tmpDir.name, 'input' + path.extname(key));
+    const inputTmp = path.join(tmpDir.name, 'input' + path.extname(source.key));
     const outputDir = path.join(tmpDir.name, 'output');
     
-    let processingError = null;
-    
     try {
         // Create output directory
         await fs.ensureDir(outputDir);
         
-        // Download video from S3 with enhanced error handling
-        logger.info('Downloading video from S3...');
-        try {
-            const response = await axiosInstance({
-                method: 'get',
-                url: s3Url,
-                responseType: 'stream',
-                timeout: 60000,
-                retryCount: 0
-            });
+        if (options.sourcePath) {
+            // Edit jobs render their source locally; it is moved in and cleaned up with the rest
+            logger.info(`Using local source ${options.sourcePath}`);
+            await fs.move(options.sourcePath, inputTmp, { overwrite: true });
+        } else if (!/^https?:/.test(source.url)) {
+            // s3:// and file:// sources go through their storage driver
+            logger.info(`Fetching video from ${source.url}...`);
+            progress.start('download');
+            try {
+                await getStorage(source, tenant).download(source, inputTmp, {
+                    signal,
+                    onProgress: (bytes, totalBytes) => progress.update({ bytes, totalBytes })
+                });
+            } catch (downloadError) {
+                logger.error('Failed to fetch video:', downloadError);
+                throw new Error(`Video download failed: ${downloadError.message}`);
+            }
+        } else {
+            // Download video over HTTP with enhanced error handling
+            logger.info('Downloading video...');
+            progress.start('download');
+            try {
+                const response = await axiosInstance({
+                    method: 'get',
+                    url: sourceUri,
+                    responseType: 'stream',
+                    timeout: 60000,
+                    retryCount: 0,
+                    signal
+                });
+
+                const totalBytes = Number(response.headers['content-length']) || null;
+                let bytes = 0;
+                response.data.on('data', (chunk) => {
+                    bytes += chunk.length;
+                    progress.update({ bytes, totalBytes });
+                });
+
+                const writer = fs.createWriteStream(inputTmp);
+                await new Promise((resolve, reject) => {
+                    response.data.pipe(writer);
+                    // Aborting destroys the response stream
+                    response.data.on('error', reject);
+                    writer.on('finish', resolve);
+                    writer.on('error', reject);
+                });
+                logger.info('Video downloaded successfully');
+            } catch (downloadError) {
+                logger.error('Failed to download video:', downloadError);
+                throw new Error(`Video download failed: ${downloadError.message}`);
+            }
+        }
 
-            const writer = fs.createWriteStream(inputTmp);
-            await new Promise((resolve, reject) => {
-                response.data.pipe(writer);
-                writer.on('finish', resolve);
-                writer.on('error', reject);
+        // Same bytes processed before with the same settings: reuse that output
+        const dedupeMode = getDedupeMode(options);
+        let contentHash = null;
+        if (dedupeMode !== 'off') {
+            progress.start('hash');
+            contentHash = await hashFile(inputTmp, { signal });
+            logger.info(`Source content hash: ${contentHash}`);
+            const reused = await reuseProcessedOutput(contentHash, dedupeMode, {
+                options,
+                destination,
+                baseUrl,
+                tenant,
+                signal,
+                progress,
+                logger
             });
-            logger.info('Video downloaded successfully');
-        } catch (downloadError) {
-            logger.error('Failed to download video:', downloadError);
-            throw new Error(`Video download failed: ${downloadError.message}`);
+            if (reused) {
+                progress.finish();
+                return reused;
+            }
         }
 
         // Get video information
+        progress.start('probe');
         const videoInfo = await getVideoInfo(inputTmp);
         logger.info('Original video information:', videoInfo);
 
-        // Calculate aspect ratio
-        const aspectRatio = videoInfo.width / videoInfo.height;
-        // console.log('Video aspect ratio:', aspectRatio);
-
-        // Generate thumbnail
-        logger.info('Generating thumbnail...');
-        const thumbnailPath = path.join(outputDir, 'thumbnail.jpg');
-        await new Promise((resolve, reject) => {
-            ffmpeg(inputTmp)
-                .screenshots({
-                    timestamps: ['00:00:01'],
-                    filename: 'thumbnail.jpg',
-                    folder: outputDir
-                })
-                .on('error', reject)
-                .on('end', resolve);
+        // Pick renditions from the source size so nothing gets upscaled
+        const { renditions, skipped } = planLadder(videoInfo, requestedRenditions);
+        logger.info(`Source is ${videoInfo.displayWidth}x${videoInfo.displayHeight} (rotation ${videoInfo.rotation}, ${videoInfo.orientation})`);
+        for (const item of skipped) {
+            logger.warn(`Skipping ${item.name}: ${item.reason}`);
+        }
+
+        // Audio tracks to package as alternate renditions. A lone track the job
+        // did not ask for stays muxed into every HLS rendition, so each quality
+        // playlist plays on its own; CMAF always keeps audio separate for DASH,
+        // and so does SAMPLE-AES, which packages one stream per playlist.
+        let audioTracks = selectAudioTracks(videoInfo.audioTracks, options.audioTracks);
+        const muxAudio = outputFormat === 'hls'
+            && options.encryption?.method !== 'SAMPLE-AES'
+            && !options.audioTracks
+            && audioTracks.length <= 1;
+        logger.info(`Audio tracks: ${audioTracks.map(track => `${track.index}:${track.language}${track.isDefault ? ' (default)' : ''}`).join(', ') || 'none'}${muxAudio && audioTracks.length ? ' (muxed)' : ''}`);
+
+        // EBU R128: measure each track now, normalise during the transcode
+        let loudness = null;
+        if (options.loudness && audioTracks.length) {
+            progress.start('loudness');
+            ({ audioTracks, report: loudness } = await planLoudnessNormalization(inputTmp, audioTracks, {
+                loudness: options.loudness,
+                logger
+            }));
+        }
+
+        // Logo or text burned into every rendition, poster, sprite sheet and teaser
+        let watermark = null;
+        if (options.watermark) {
+            watermark = await prepareWatermark(options.watermark, { workDir: tmpDir.name, logger });
+        }
+
+        // Pick the best looking frames for the thumbnail and any requested posters
+        logger.info('Generating posters...');
+        progress.start('thumbnail');
+        const { thumbnailPath, posters } = await generatePosters(inputTmp, outputDir, {
+            videoInfo,
+            options: options.posters,
+            watermark,
+            workDir: tmpDir.name,
+            logger
         });
 
-        // Create quality-specific directories
-        const qualityDirs = {};
-        for (const config of QUALITY_CONFIGS) {
-            const qualityDir = path.join(outputDir, config.name);
-            await fs.ensureDir(qualityDir);
-            qualityDirs[config.name] = qualityDir;
+        // Scrub preview sprite sheets and their WebVTT track
+        let sprites = null;
+        if (options.sprites) {
+            progress.start('sprites');
+            sprites = await generateSprites(inputTmp, outputDir, {
+                videoInfo,
+                options: options.sprites,
+                watermark,
+                logger
+            });
         }
 
-        // Process each quality
-        for (const config of QUALITY_CONFIGS) {
-            logger.info(`Processing ${config.name} quality...`);
-            const outputDir = qualityDirs[config.name];
-            const outputPath = path.join(outputDir, `${baseName}_${config.name}.mp4`);
+        // Short silent loops for feed autoplay
+        let teaser = null;
+        if (options.teaser) {
+            progress.start('teaser');
+            teaser = await generateTeasers(inputTmp, outputDir, {
+                videoInfo,
+                options: options.teaser,
+                watermark,
+                workDir: tmpDir.name,
+                logger
+            });
+        }
 
-            // Calculate dimensions maintaining aspect ratio
-            let targetHeight = config.maxHeight;
-            let targetWidth = Math.round(targetHeight * aspectRatio);
+        // Encode all renditions in one pass straight to HLS segments
+        // (plus progressive MP4s when the job asks for them)
+        logger.info(`Transcoding ${renditions.map(config => `${config.name} (${config.width}x${config.height})`).join(', ')}...`);
+        progress.start('transcode', { renditions: renditions.map(config => config.name) });
+        const encoding = await transcodeRenditions(inputTmp, outputDir, renditions, {
+            baseName,
+            videoInfo,
+            audioTracks,
+            muxAudio,
+            progressive: Boolean(options.progressive),
+            measureQuality: Boolean(options.measureQuality),
+            outputFormat,
+            watermark,
+            logger,
+            onProgress: update => progress.update(update)
+        });
 
-            // Ensure width is even (required by some codecs)
-            if (targetWidth % 2 !== 0) {
-                targetWidth += 1;
-            }
+        // Create master playlist
+        progress.start('packaging');
+        const outputs = await analyseRenditions(outputDir, renditions, muxAudio ? [] : audioTracks);
+        const { variants } = outputs;
+
+        // Captions become segmented WebVTT renditions next to the audio
+        let skippedSubtitles = [];
+        outputs.subtitles = [];
+        if (options.subtitles) {
+            const result = await processSubtitles(options.subtitles, {
+                inputPath: inputTmp,
+                workDir: tmpDir.name,
+                outputDir,
+                subtitleStreams: videoInfo.subtitleTracks,
+                duration: Math.max(...variants.map(variant => variant.duration)),
+                // Cue times are relative to the first video frame, which MPEG-TS shifts
+                mpegtsOffset: Math.round(variants[0].startTime * 90000),
+                logger
+            });
+            outputs.subtitles = result.tracks;
+            skippedSubtitles = result.skipped;
+        }
 
-            logger.info(`Target dimensions for ${config.name}: ${targetWidth}x${targetHeight}`);
-
-            // Convert video to specific quality
-            await new Promise((resolve, reject) => {
-                ffmpeg(inputTmp)
-                    .videoCodec('libx264')
-                    .size(`${targetWidth}x${targetHeight}`)
-                    .videoBitrate(config.videoBitrate)
-                    .audioBitrate(config.audioBitrate)
-                    .outputOptions([
-                        '-preset fast',
-                        '-crf 23',
-                        '-movflags +faststart'
-                    ])
-                    .on('error', reject)
-                    .on('end', resolve)
-                    .save(outputPath);
+        // Encrypt segments once the playlists have been probed
+        let encryption = null;
+        if (options.encryption) {
+            encryption = await encryptRenditions(outputDir, outputs, reelId, options.encryption.method || 'AES-128', {
+                tenantId: tenant?.id,
+                location: formatStorageUri(destination),
+                baseUrl,
+                logger
             });
+        }
 
-            // Use FFmpeg to create HLS segments
-            const segmentDir = path.join(outputDir, 'segments');
-            await fs.ensureDir(segmentDir);
-
-            const ffmpegCmd = `ffmpeg -i "${outputPath}" \
-                -c:v libx264 -c:a aac \
-                -hls_time 1 \
-                -hls_playlist_type vod \
-                -hls_segment_filename "${segmentDir}/segment_%03d.ts" \
-                -hls_list_size 0 \
-                -f hls \
-                -hls_flags independent_segments \
-                -hls_segment_type mpegts \
-                -hls_allow_cache 1 \
-                -hls_init_time 1 \
-                -hls_base_url "" \
-                "${segmentDir}/playlist.m3u8"`;
-            
+        const masterPlaylistPath = path.join(outputDir, 'master.m3u8');
+        await createMasterPlaylist(outputDir, masterPlaylistPath, logger, outputs);
 
+        if (outputFormat === 'cmaf') {
+            // DASH manifest over the same segments
+            await createDashManifest(outputDir, path.join(outputDir, 'master.mpd'), logger, outputs);
+        } else {
+            // Delete any existing master.mpd file left by an earlier run
             try {
-                logger.info('Running FFmpeg command:', ffmpegCmd);
-                await execAsync(ffmpegCmd);
-                logger.info(`Created HLS segments for ${config.name}`);
+                await storage.delete(joinLocation(destination, 'master.mpd'));
+                logger.info('Deleted existing master.mpd file');
             } catch (error) {
-                logger.error(`Error creating HLS segments for ${config.name}:`, error);
-                throw error;
+                logger.info('No existing master.mpd file to delete');
             }
         }
 
-        // Create master playlist
-        const masterPlaylistPath = path.join(outputDir, 'master.m3u8');
-        await createMasterPlaylist(outputDir, masterPlaylistPath, logger);
+        // Upload all files to the destination
+        progress.start('upload');
+        const uploaded = await uploadDirectory(outputDir, destination, {
+            logger,
+            tenant,
+            signal,
+            onProgress: ({ bytes, totalBytes, files, totalFiles }) => progress.update({
+                bytes,
+                totalBytes,
+                detail: { files, totalFiles }
+            })
+        });
+        progress.finish();
+
+        const result = {
+            outputFormat,
+            masterPlaylistUrl: urlFor('master.m3u8'),
+            ...(outputFormat === 'cmaf' && {
+                dashManifestUrl: urlFor('master.mpd')
+            }),
+            thumbnailUrl: urlFor(thumbnailPath),
+            posters: posters.map(poster => ({
+                timestamp: poster.timestamp,
+                score: poster.score,
+                images: poster.images.map(image => ({
+                    format: image.format,
+                    width: image.width,
+                    height: image.height,
+                    url: urlFor(image.path)
+                }))
+            })),
+            ...(sprites && {
+                sprites: {
+                    vttUrl: urlFor(sprites.vttPath),
+                    sheetUrls: sprites.sheetPaths.map(sheet => urlFor(sheet)),
+                    interval: sprites.interval,
+                    width: sprites.width,
+                    height: sprites.height,
+                    columns: sprites.columns,
+                    rows: sprites.rows,
+                    frameCount: sprites.frameCount
+                }
+            }),
+            ...(teaser && {
+                teaser: {
+                    start: teaser.start,
+                    duration: teaser.duration,
+                    files: teaser.files.map(file => ({
+                        format: file.format,
+                        width: file.width,
+                        height: file.height,
+                        size: file.size,
+                        url: urlFor(file.path)
+                    }))
+                }
+            }),
+            qualities: renditions.map((config, index) => ({
+                name: config.name,
+                width: variants[index].width,
+                height: variants[index].height,
+                bandwidth: variants[index].peakBandwidth,
+                averageBandwidth: variants[index].averageBandwidth,
+                codecs: variants[index].codecs,
+                frameRate: variants[index].frameRate,
+                playlistUrl: urlFor(path.posix.join(config.name, 'segments/playlist.m3u8')),
+                ...(options.progressive && {
+                    mp4Url: urlFor(path.posix.join(config.name, `${baseName}_${config.name}.mp4`))
+                })
+            })),
+            audioTracks: outputs.audio.map(track => ({
+                name: track.name,
+                language: track.language,
+                channels: track.audioChannels,
+                isDefault: track.isDefault,
+                playlistUrl: urlFor(track.uri)
+            })),
+            subtitles: outputs.subtitles.map(track => ({
+                name: track.name,
+                language: track.language,
+                isDefault: track.isDefault,
+                forced: track.forced,
+                playlistUrl: urlFor(track.uri)
+            })),
+            skippedRenditions: skipped,
+            skippedSubtitles,
+            encoding,
+            ...(loudness && { loudness }),
+            ...(encryption && { encryption }),
+            source: {
+                width: videoInfo.displayWidth,
+                height: videoInfo.displayHeight,
+                rotation: videoInfo.rotation,
+                orientation: videoInfo.orientation,
+                duration: videoInfo.duration
+            },
+            storedBytes: uploaded.bytes
+        };
 
-        // Delete any existing master.mpd file in S3
-        try {
-            await s3.deleteObject({
-                Bucket: bucket,
-                Key: path.join(savePath, 'master.mpd')
+        if (contentHash) {
+            await saveProcessedOutput(contentHash, options, tenant?.id, {
+                reelId,
+                destination: formatStorageUri(destination),
+                baseUrl,
+                files: uploaded.paths,
+                storedBytes: uploaded.bytes,
+                result
+            }).catch((error) => {
+                logger.warn(`Could not record the output for deduplication: ${error.message}`);
             });
-            logger.info('Deleted existing master.mpd file from S3');
-        } catch (error) {
-            logger.info('No existing master.mpd file to delete');
         }
 
-        // Upload all files to S3
-        await uploadToS3(outputDir, bucket, savePath);
-
-        // Verify files before upload
-        const files = await fs.readdir(outputDir, { recursive: true });
-        logger.info('Files before upload:', files);
-
-        return {
-            masterPlaylistUrl: `https://${bucket}.s3.amazonaws.com/${path.join(savePath, 'master.m3u8')}`,
-            thumbnailUrl: `https://${bucket}.s3.amazonaws.com/${path.join(savePath, 'thumbnail.jpg')}`,
-            qualities: QUALITY_CONFIGS.map(config => ({
-                name: config.name,
-                playlistUrl: `https://${bucket}.s3.amazonaws.com/${path.join(savePath, config.name, 'segments/playlist.m3u8')}`
-            }))
-        };
+        return result;
 
     } catch (error) {
-        processingError = error;
         logger.error('Error processing video:', error);
         
-        // Enhanced error handling for status update
-        try {
-            const statusUpdateResponse = await axiosInstance({
-                method: 'post',
-                url: `${process.env.MAIN_SERVER_URL}/reels/internal/update`,
-                data: {
-                    reelId: reelId,
-                    video_proccessed_status: 'failed',
-                    error_message: error.message,
-                    error_details: {
-                        name: error.name,
-                        stack: error.stack,
-                        code: error.code
-                    }
-                },
-                timeout: 10000,
-                retryCount: 0
-            });
-            
-            logger.info('Status update sent successfully');
-        } catch (statusUpdateError) {
-            logger.error('Failed to update status:', statusUpdateError);
-        }
-        
         throw error;
     } finally {
         // Cleanup all temporary files and directories
@@ -325,28 +502,6 @@ async function processVideoToHLS(s3Url, savePath, reelId) {
                 logger.error('Error removing temporary directory:', tmpDirError);
             }
 
-            // Update status to completed only if no error occurred
-            if (!processingError) {
-                try {
-                    const statusUpdateResponse = await axiosInstance({
-                        method: 'post',
-                        url: `${process.env.MAIN_SERVER_URL}/reels/internal/update`,
-                        data: {
-                            reelId: reelId,
-                            video_proccessed_status: 'done'
-                        },
-                        timeout: 10000,
-                        retryCount: 0
-                    });
-                    
-                    console.log('✅ Status update sent successfully');
-                    logger.info('Status update sent successfully');
-                } catch (statusUpdateError) {
-                    console.error('❌ Failed to update completion status:', statusUpdateError);
-                    logger.error('Failed to update completion status:', statusUpdateError);
-                }
-            }
-
             console.log('=== Cleanup Process Completed ===\n');
         } catch (cleanupError) {
             console.error('\n❌ Error during cleanup:', cleanupError);
@@ -370,19 +525,135 @@ async function processVideoToHLS(s3Url, savePath, reelId) {
     }
 }
 
-async function createMasterPlaylist(basePath, outputPath, logger) {
+// Reuse the output an earlier job wrote for the same source and settings.
+// Returns the job result, or null to process the source after all (nothing
+// recorded, the output was deleted, or copying it failed).
+async function reuseProcessedOutput(contentHash, mode, { options, destination, baseUrl, tenant, signal, progress, logger }) {
+    const previous = await findProcessedOutput(contentHash, options, tenant?.id);
+    if (!previous) return null;
+
+    const deduplicated = {
+        mode,
+        contentHash,
+        reelId: previous.reelId,
+        destination: previous.destination
+    };
+    try {
+        const location = parseStorageUri(previous.destination, tenant);
+        if (!(await getStorage(location, tenant).exists(joinLocation(location, 'master.m3u8')))) {
+            logger.warn(`Output of reel ${previous.reelId} at ${previous.destination} is gone, processing the source`);
+            await forgetProcessedOutput(contentHash, options, tenant?.id);
+            return null;
+        }
+
+        // Pointing at the earlier output, or it was written to this very folder
+        if (mode === 'reference' || previous.destination === formatStorageUri(destination)) {
+            logger.info(`Source already processed for reel ${previous.reelId}, using ${previous.destination}`);
+            return { ...previous.result, storedBytes: 0, deduplicated };
+        }
+
+        logger.info(`Source already processed for reel ${previous.reelId}, copying ${previous.files.length} files from ${previous.destination}`);
+        progress.start('upload');
+        await copyFiles(location, destination, previous.files, { logger, tenant, signal });
+        return {
+            ...rebaseResult(previous.result, previous.baseUrl, baseUrl),
+            storedBytes: previous.storedBytes,
+            deduplicated
+        };
+    } catch (error) {
+        if (signal?.aborted) throw error;
+        logger.warn(`Could not reuse the output of reel ${previous.reelId}, processing the source: ${error.message}`);
+        return null;
+    }
+}
+
+// Read back every media playlist that was produced so the manifests describe
+// the real output (bandwidth, resolution, codecs) rather than the config
+async function analyseRenditions(basePath, renditions, audioTracks) {
+    const variants = [];
+    for (const config of renditions) {
+        const uri = `${config.name}/segments/playlist.m3u8`;
+        const analysis = await analyseMediaPlaylist(path.join(basePath, uri));
+        variants.push({ name: config.name, uri, ...analysis });
+    }
+
+    const audio = [];
+    for (const track of audioTracks) {
+        const uri = `${AUDIO_RENDITION_NAME}/${track.name}/segments/playlist.m3u8`;
+        const analysis = await analyseMediaPlaylist(path.join(basePath, uri));
+        audio.push({
+            name: track.label,
+            trackName: track.name,
+            language: track.language === 'und' ? null : track.language,
+            isDefault: track.isDefault,
+            uri,
+            ...analysis
+        });
+    }
+
+    return { variants, audio };
+}
+
+async function createMasterPlaylist(basePath, outputPath, logger, { variants, audio, subtitles = [] }) {
     try {
         console.log('\n=== Creating Master Playlist ===');
         console.log(`Base Path: ${basePath}`);
         console.log(`Output Path: ${outputPath}`);
 
-        const playlistContent = `#EXTM3U
-#EXT-X-VERSION:3
-${QUALITY_CONFIGS.map(config => {
-    const bandwidth = (parseInt(config.videoBitrate) + parseInt(config.audioBitrate)) * 1000;
-    return `#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${config.maxHeight}x${config.maxHeight}
-${config.name}/segments/playlist.m3u8`;
-}).join('\n')}`;
+        // Demuxed audio is announced once as a group and added to every variant
+        const audioGroup = audio.length ? 'audio' : null;
+        const media = audio.map(track => ({
+            type: 'AUDIO',
+            groupId: audioGroup,
+            name: track.name,
+            language: track.language,
+            isDefault: track.isDefault,
+            channels: track.audioChannels,
+            uri: track.uri
+        }));
+
+        // WebVTT renditions form one subtitles group shared by the video variants
+        const subtitlesGroup = subtitles.length ? 'subs' : null;
+        media.push(...subtitles.map(track => ({
+            type: 'SUBTITLES',
+            groupId: subtitlesGroup,
+            name: track.name,
+            language: track.language,
+            isDefault: track.isDefault,
+            forced: track.forced,
+            uri: track.uri
+        })));
+
+        const audioPeak = Math.max(0, ...audio.map(track => track.peakBandwidth));
+        const audioAverage = Math.max(0, ...audio.map(track => track.averageBandwidth));
+        const audioCodecs = [...new Set(audio.flatMap(track => track.codecs))];
+
+        const playlistVariants = variants.map(variant => ({
+            ...variant,
+            peakBandwidth: variant.peakBandwidth + audioPeak,
+            averageBandwidth: variant.averageBandwidth + audioAverage,
+            codecs: [...variant.codecs, ...audioCodecs],
+            audio: audioGroup,
+            subtitles: subtitlesGroup
+        }));
+
+        // Audio-only variant for very poor connections, playing the default track
+        const defaultAudio = audio.find(track => track.isDefault);
+        if (defaultAudio) {
+            playlistVariants.push({
+                uri: defaultAudio.uri,
+                peakBandwidth: defaultAudio.peakBandwidth,
+                averageBandwidth: defaultAudio.averageBandwidth,
+                codecs: defaultAudio.codecs,
+                audio: audioGroup
+            });
+        }
+
+        const playlistContent = buildMasterPlaylist({
+            media,
+            variants: playlistVariants,
+            version: Math.max(...variants.concat(audio).map(item => item.version))
+        });
 
         console.log('\nPlaylist content:');
         console.log(playlistContent);
@@ -403,132 +674,52 @@ ${config.name}/segments/playlist.m3u8`;
     }
 }
 
-async function uploadToS3(localPath, bucket, s3Path) {
-    const logger = new Logger('s3-upload');
-    await logger.initialize();
-    
-    try {
-        console.log('\n=== Starting S3 Upload Process ===');
-        console.log(`Local Path: ${localPath}`);
-        console.log(`Bucket: ${bucket}`);
-        console.log(`S3 Path: ${s3Path}\n`);
-
-        // Verify AWS credentials
-        if (!process.env.AWS_ACCESS_KEY_ID || !process.env.AWS_SECRET_ACCESS_KEY) {
-            throw new Error('AWS credentials are not configured');
-        }
+// Encrypt every media playlist with one key for the asset, then refresh the
+// bandwidth figures (AES-128 padding and SAMPLE-AES repackaging change sizes)
+async function encryptRenditions(basePath, { variants, audio }, reelId, method, { tenantId, location, baseUrl, logger }) {
+    const contentKey = await createContentKey(reelId, method, { tenantId, location, baseUrl });
+    logger.info(`Encrypting segments with ${method}, key ${contentKey.keyId}`);
+
+    for (const item of variants.concat(audio)) {
+        const playlistPath = path.join(basePath, item.uri);
+        const segmentCount = await encryptMediaPlaylist(playlistPath, contentKey);
+        // SAMPLE-AES playlists are rewritten by the packager at a higher version
+        const playlist = parseMediaPlaylist(await fs.readFile(playlistPath, 'utf8'));
+        Object.assign(item, await measurePlaylistBandwidth(playlistPath, playlist), {
+            version: Math.max(item.version, playlist.version)
+        });
+        logger.info(`Encrypted ${segmentCount} segments of ${item.uri}`);
+    }
 
-        // Verify bucket exists
-        try {
-            await s3.headBucket({ Bucket: bucket });
-            console.log(`✅ Bucket ${bucket} exists and is accessible`);
-        } catch (error) {
-            console.error(`❌ Error accessing bucket ${bucket}:`, error);
-            throw new Error(`Cannot access bucket ${bucket}: ${error.message}`);
-        }
+    return {
+        method,
+        keyId: contentKey.keyId,
+        keyUri: contentKey.keyUri
+    };
+}
 
-        // Upload all files recursively
-        const files = await fs.readdir(localPath, { recursive: true });
-        console.log(`\n📁 Found ${files.length} files to upload:\n`);
-        
-        for (const file of files) {
-            const localFilePath = path.join(localPath, file);
-            const stats = await fs.stat(localFilePath);
-            
-            if (stats.isFile()) {
-                const relativePath = path.relative(localPath, localFilePath);
-                const s3Key = path.join(s3Path, relativePath).replace(/\\/g, '/');
-                
-                console.log(`\n📤 Uploading: ${file}`);
-                // console.log(`   Local: ${localFilePath}`);
-                // console.log(`   S3 Key: ${s3Key}`);
-                // console.log(`   Size: ${(stats.size / (1024 * 1024)).toFixed(2)} MB`);
+// DASH manifest over the same CMAF segments as the HLS playlists
+async function createDashManifest(basePath, outputPath, logger, { variants, audio }) {
+    try {
+        const toRepresentation = (item, id) => ({
+            ...item,
+            id,
+            dir: path.dirname(item.uri)
+        });
 
-                try {
-                    const fileStream = fs.createReadStream(localFilePath);
-                    
-                    const upload = new Upload({
-                        client: s3,
-                        params: {
-                            Bucket: bucket,
-                            Key: s3Key,
-                            Body: fileStream,
-                            ContentType: getContentType(file),
-                            ContentLength: stats.size
-                        },
-                        queueSize: 4,
-                        partSize: 1024 * 1024 * 5,
-                        leavePartsOnError: false
-                    });
-
-                    // Monitor upload progress
-                    upload.on('httpUploadProgress', (progress) => {
-                        const percentage = Math.round((progress.loaded / progress.total) * 100);
-                        const loadedMB = (progress.loaded / (1024 * 1024)).toFixed(2);
-                        const totalMB = (progress.total / (1024 * 1024)).toFixed(2);
-                        process.stdout.write(`\r   Progress: ${percentage}% (${loadedMB}MB / ${totalMB}MB)`);
-                    });
-
-                    await upload.done();
-                    console.log(`\n✅ Successfully uploaded: ${s3Key}`);
-                } catch (uploadError) {
-                    console.error(`\n❌ Failed to upload ${file}:`, uploadError);
-                    throw new Error(`Failed to upload ${file}: ${uploadError.message}`);
-                }
-            }
-        }
+        const manifestContent = buildDashManifest({
+            duration: Math.max(...variants.concat(audio).map(item => item.duration)),
+            video: variants.map(variant => toRepresentation(variant, variant.name)),
+            audio: audio.map(track => toRepresentation(track, `audio_${track.trackName}`))
+        });
 
-        console.log('\n=== Upload Process Completed ===\n');
-        logger.success('All files uploaded successfully');
+        await fs.writeFile(outputPath, manifestContent);
+        logger.info('DASH manifest created at:', outputPath);
+        logger.info('Manifest content:', manifestContent);
     } catch (error) {
-        console.error('\n❌ S3 upload process failed:', error);
-        logger.error('S3 upload process failed:', error);
+        logger.error('Error creating DASH manifest:', error);
         throw error;
-    } finally {
-        await logger.end();
     }
 }
 
-function getContentType(filename) {
-    const ext = path.extname(filename).toLowerCase();
-    switch (ext) {
-        case '.m3u8':
-            return 'application/vnd.apple.mpegurl';
-        case '.ts':
-            return 'video/mp2t';
-        case '.mp4':
-            return 'video/mp4';
-        case '.jpg':
-            return 'image/jpeg';
-        default:
-            return 'application/octet-stream';
-    }
-}
-
-// Helper function to get video information
-function getVideoInfo(filePath) {
-    return new Promise((resolve, reject) => {
-        ffmpeg.ffprobe(filePath, (err, metadata) => {
-            if (err) {
-                console.error('Error getting video info:', err);
-                return reject(err);
-            }
-            
-            const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
-            if (!videoStream) {
-                return reject(new Error('No video stream found'));
-            }
-            
-            resolve({
-                width: videoStream.width,
-                height: videoStream.height,
-                duration: videoStream.duration,
-                codec: videoStream.codec_name,
-                bitrate: videoStream.bit_rate,
-                frameRate: eval(videoStream.r_frame_rate)
-            });
-        });
-    });
-}
-
 export { processVideoToHLS }; 
\ No newline at end of file
@@ -1,22 +1,76 @@
 import dotenv from 'dotenv';
 import express from 'express';
+import crypto from 'crypto';
 import { createBullBoard } from '@bull-board/api';
 import { BullMQAdapter } from '@bull-board/api/bullMQAdapter.js';
 import { ExpressAdapter } from '@bull-board/express';
 import videoQueue from './queue.js';
-import worker from './worker.js';
 import { S3 } from '@aws-sdk/client-s3';
 import { processVideoToHLS } from './hlsVideoProcessor.js';
 import { processVideoFromS3Url } from './videoProcessor.js';
+import presetsRouter from './routes/presets.js';
+import keysRouter from './routes/keys.js';
+import probeRouter from './routes/probe.js';
+import uploadsRouter, { waitForFinishingUploads } from './routes/uploads.js';
+import webhooksRouter from './routes/webhooks.js';
+import tenantsRouter from './routes/tenants.js';
+import jobsRouter from './routes/jobs.js';
+import { resolveRenditions } from './utils/presets.js';
+import { pickJobOptions, validateJobOptions } from './utils/jobOptions.js';
+import { EDIT_JOB_NAME, validateEditJob } from './utils/editor.js';
+import { removeExpiredUploads } from './utils/uploads.js';
+import { emitJobEvent, closeWebhookQueue } from './utils/webhooks.js';
+import {
+    validateQueueOptions,
+    getPriorityLevel,
+    addJob,
+    checkTenantDestination,
+    prepareProcessingJob,
+    getJobState,
+    submitIdempotently,
+    recordJobUsage
+} from './utils/jobs.js';
+import { getIdempotencyKey } from './utils/idempotency.js';
+import { getCancellation } from './utils/jobCancellation.js';
+import { checkTenantQuota, acquireTenantSlot, releaseTenantSlot } from './utils/tenants.js';
+import { STREAMED_EVENTS, writeEvent, openEventStream, closeEventStreams } from './utils/jobEvents.js';
+import { closeRedisClient } from './utils/redisClient.js';
+import { finishesBefore, handleShutdownSignals } from './utils/shutdown.js';
+import Logger from './utils/logger.js';
+import serverConfig from './config/server.js';
+import authRouter from './routes/auth.js';
+import { authenticate, requireScope, scopeByMethod, canAccessTenant } from './utils/auth.js';
 
 dotenv.config();
 
+const PROCESS_ROLES = ['api', 'worker', 'both'];
+if (!PROCESS_ROLES.includes(serverConfig.role)) {
+    throw new Error(`PROCESS_ROLE must be one of ${PROCESS_ROLES.join(', ')}, got "${serverConfig.role}"`);
+}
+const runsApi = serverConfig.role !== 'worker';
+const runsWorker = serverConfig.role !== 'api';
+
+// Only worker processes take jobs off the queue (and deliver webhooks);
+// an API-only process just queues them
+const { default: worker = null, stopWorker } = runsWorker ? await import('./worker.js') : {};
+const { default: webhookWorker = null } = runsWorker ? await import('./webhookWorker.js') : {};
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Each item of a batch is probed before queueing, so batches stay small
+const MAX_BATCH_JOBS = 100;
+
+// Queued jobs not yet running; the ones with a priority (all jobs queued
+// through addJob) are in BullMQ's 'prioritized' state, not 'waiting'
+const WAITING_STATES = ['waiting', 'prioritized'];
+
 // Middleware to parse JSON requests
 app.use(express.json());
 
+// Every route below needs an API key, except /health and HLS key delivery
+app.use(authenticate);
+
 // Initialize S3 client
 const s3 = new S3({
     region: process.env.AWS_REGION || 'us-east-1',
@@ -27,7 +81,7 @@ const s3 = new S3({
 });
 
 // AWS credentials check route
-app.get('/aws/check', async (req, res) => {
+app.get('/aws/check', requireScope('diagnostics', { auditReads: true }), async (req, res) => {
     try {
         // Check if credentials are set
         if (!process.env.AWS_ACCESS_KEY_ID || !process.env.AWS_SECRET_ACCESS_KEY) {
@@ -67,7 +121,7 @@ app.get('/aws/check', async (req, res) => {
     }
 });
 
-app.post('/process-video', async (req, res) => {
+app.post('/process-video', requireScope('jobs:submit'), async (req, res) => {
     try {
       const { videoUrl } = req.body;
       
@@ -100,13 +154,90 @@ createBullBoard({
     serverAdapter
 });
 
-app.use('/admin/queues', serverAdapter.getRouter());
+app.use('/admin/queues', requireScope('admin'), serverAdapter.getRouter());
+
+// API key management and audit log
+app.use('/auth', authRouter);
+
+// Rendition preset management
+app.use('/presets', requireScope(scopeByMethod('jobs:read', 'admin')), presetsRouter);
+
+// HLS key delivery for encrypted reels, and the tokens players fetch keys with
+app.use('/keys', keysRouter);
+
+// Media inspection without queueing a job
+app.use('/probe', requireScope('jobs:submit'), probeRouter);
+
+// Webhook delivery log and replay
+app.use('/webhooks', requireScope(scopeByMethod('jobs:read', 'jobs:submit')), webhooksRouter);
+
+// Resumable (tus) direct uploads; a completed upload queues a processing job
+app.use('/uploads', requireScope('jobs:submit'), uploadsRouter);
+
+// Cancelling jobs; listing and streaming them is further down
+app.use('/jobs', requireScope(scopeByMethod('jobs:read', 'jobs:submit')), jobsRouter);
+
+// Tenants: their storage, callback URL, quotas and concurrency (admin only)
+app.use('/tenants', requireScope('admin', { auditReads: true }), tenantsRouter);
+
+// Free the space of uploads that expired before they were completed
+const uploadCleanup = runsApi && setInterval(async () => {
+    try {
+        const removed = await removeExpiredUploads();
+        if (removed) {
+            console.log(`Removed ${removed} expired uploads`);
+        }
+    } catch (error) {
+        console.error('Error removing expired uploads:', error);
+    }
+}, 60 * 60 * 1000);
 
-// roiute for create manual reel video processing without queue
-app.post('/create-job/reels-processing-without-queue', async (req, res) => {
+// roiute for create manual reel video processing without queue. It gets the
+// same checks as create-job, and a tenant's run takes one of its concurrency
+// slots and counts against its usage.
+app.post('/create-job/reels-processing-without-queue', requireScope('jobs:submit'), async (req, res) => {
+    const runId = `inline:${crypto.randomUUID()}`;
+    let slotTaken = false;
     try {
-        const { reelId, videoUrl, folderPath } = req.body;
-        const processedUrl = await processVideoToHLS(videoUrl, folderPath, reelId);
+        const prepared = await prepareProcessingJob(req.body, req.tenant);
+        if (prepared.error) {
+            return res.status(prepared.status).json(prepared.error);
+        }
+
+        const { reelId, videoUrl, folderPath } = prepared.data;
+        const options = pickJobOptions(prepared.data);
+        // The tenant's default preset stands in when the request names no ladder
+        if (req.tenant?.defaultPreset && !options.renditions && !options.preset) {
+            options.preset = req.tenant.defaultPreset;
+        }
+
+        if (req.tenant) {
+            slotTaken = await acquireTenantSlot(req.tenant, runId);
+            if (!slotTaken) {
+                return res.status(429).json({ error: `Tenant ${req.tenant.id} is at its concurrency limit, queue the job instead` });
+            }
+        }
+
+        const ladder = await resolveRenditions(options);
+        let processedUrl;
+        try {
+            processedUrl = await processVideoToHLS(videoUrl, folderPath, reelId, {
+                ...options,
+                renditions: ladder,
+                tenant: req.tenant
+            });
+        } catch (processingError) {
+            await emitJobEvent(null, { reelId, tenantId: req.tenant?.id, ...options }, 'failed', {
+                error: { name: processingError.name, message: processingError.message, code: processingError.code }
+            });
+            throw processingError;
+        }
+        if (req.tenant) {
+            await recordJobUsage(req.tenant.id, processedUrl).catch((error) => {
+                console.error(`Error recording usage of reel ${reelId}:`, error.message);
+            });
+        }
+        await emitJobEvent(null, { reelId, tenantId: req.tenant?.id, ...options }, 'completed', { result: processedUrl });
         return res.json({
             success: true,
             originalUrl: videoUrl,
@@ -114,61 +245,270 @@ app.post('/create-job/reels-processing-without-queue', async (req, res) => {
         });
     } catch (error) {
         console.error('Error creating job:', error);
+        return res.status(500).json({
+            error: 'Failed to process video',
+            message: error.message
+        });
+    } finally {
+        if (slotTaken) {
+            await releaseTenantSlot(req.tenant.id, runId).catch((error) => {
+                console.error(`Error releasing tenant slot of ${runId}:`, error.message);
+            });
+        }
     }
 });
 
 
-// Create job route
-app.post('/create-job/reels-processing', async (req, res) => {
+// A submission whose idempotency key already has a job gets that job back
+// (with its result once it has completed) instead of a new one
+function sendExistingJob(res, existing) {
+    if (existing.pending) {
+        return res.status(409).json({ error: 'A submission with the same idempotency key is still being queued' });
+    }
+    res.set('Idempotent-Replayed', 'true');
+    return res.json({
+        success: true,
+        message: 'Job already submitted',
+        existing: true,
+        jobId: existing.jobId,
+        state: existing.state,
+        ...(existing.result !== undefined && { result: existing.result })
+    });
+}
+
+// Create job route. `priority` (1 first to 10 last, default 5) lets some
+// reels jump the queue; `delay` (seconds) holds the job back. Sending the
+// same reel, source and ladder again (or the same Idempotency-Key header)
+// returns the job already submitted.
+app.post('/create-job/reels-processing', requireScope('jobs:submit'), async (req, res) => {
+    try {
+        const idempotency = getIdempotencyKey(req.body, {
+            header: req.get('Idempotency-Key'),
+            name: 'video-processing-reel'
+        });
+        if (idempotency.error) {
+            return res.status(400).json({ error: 'Invalid idempotency key', message: idempotency.error });
+        }
+
+        const outcome = await submitIdempotently(idempotency.key, req.tenant?.id, async () => {
+            const prepared = await prepareProcessingJob(req.body, req.tenant);
+            if (prepared.error) return prepared;
+
+            const job = await addJob('video-processing-reel', prepared.data, {
+                tenant: req.tenant,
+                ...prepared.queueOptions,
+                idempotencyKey: idempotency.key,
+                attempts: 3,
+                backoff: {
+                    type: 'exponential',
+                    delay: 1000
+                }
+            });
+            return { job };
+        });
+        if (outcome.existing) {
+            return sendExistingJob(res, outcome.existing);
+        }
+        if (outcome.error) {
+            return res.status(outcome.status).json(outcome.error);
+        }
+
+        const { job } = outcome;
+        return res.json({
+            success: true,
+            message: 'Job created successfully',
+            jobId: job.id,
+            priority: getPriorityLevel(job),
+            delay: job.opts.delay ? job.opts.delay / 1000 : 0,
+            data: job.data
+        });
+    } catch (error) {
+        console.error('Error creating job:', error);
+        return res.status(500).json({
+            error: 'Failed to create job',
+            message: error.message
+        });
+    }
+});
+
+// Submit many reels at once: { "jobs": [ ...create-job bodies... ] }. Each
+// item is checked on its own; the valid ones are queued and every item gets
+// its result (jobId, or the error create-job would have answered with).
+app.post('/create-job/reels-processing/batch', requireScope('jobs:submit'), async (req, res) => {
     try {
-        const { reelId, videoUrl, folderPath } = req.body;
+        const { jobs } = req.body || {};
+        if (!Array.isArray(jobs) || jobs.length === 0 || jobs.length > MAX_BATCH_JOBS) {
+            return res.status(400).json({ error: `jobs must be a list of 1 to ${MAX_BATCH_JOBS} jobs` });
+        }
+
+        const results = [];
+        // Inputs accepted so far count against the tenant's minutes quota
+        let pendingSeconds = 0;
+        for (const [index, item] of jobs.entries()) {
+            const body = item && typeof item === 'object' ? item : {};
+            const reelId = body.reelId ?? null;
+            const idempotency = getIdempotencyKey(body, { name: 'video-processing-reel' });
+            if (idempotency.error) {
+                results.push({ index, reelId, success: false, status: 400, error: 'Invalid idempotency key', message: idempotency.error });
+                continue;
+            }
+
+            const outcome = await submitIdempotently(idempotency.key, req.tenant?.id, async () => {
+                const prepared = await prepareProcessingJob(body, req.tenant, { pendingSeconds });
+                if (prepared.error) return prepared;
+
+                const job = await addJob('video-processing-reel', prepared.data, {
+                    tenant: req.tenant,
+                    ...prepared.queueOptions,
+                    idempotencyKey: idempotency.key,
+                    attempts: 3,
+                    backoff: {
+                        type: 'exponential',
+                        delay: 1000
+                    }
+                });
+                return { job, durationSeconds: prepared.durationSeconds };
+            });
 
-        if (!reelId || !videoUrl || !folderPath) {
+            if (outcome.existing?.pending) {
+                results.push({ index, reelId, success: false, status: 409, error: 'A submission with the same idempotency key is still being queued' });
+            } else if (outcome.existing) {
+                results.push({ index, reelId, success: true, existing: true, jobId: outcome.existing.jobId, state: outcome.existing.state });
+            } else if (outcome.error) {
+                results.push({ index, reelId, success: false, status: outcome.status, ...outcome.error });
+            } else {
+                pendingSeconds += outcome.durationSeconds;
+                results.push({ index, reelId, success: true, jobId: outcome.job.id, priority: getPriorityLevel(outcome.job) });
+            }
+        }
+
+        const queued = results.filter(result => result.success).length;
+        return res.status(queued ? 200 : 422).json({
+            success: queued === results.length,
+            total: results.length,
+            queued,
+            rejected: results.length - queued,
+            results
+        });
+    } catch (error) {
+        console.error('Error creating batch of jobs:', error);
+        return res.status(500).json({
+            error: 'Failed to create jobs',
+            message: error.message
+        });
+    }
+});
+
+// Create trim/concat job route: the segments are cut, normalised and joined,
+// then the result goes through the normal HLS pipeline
+app.post('/create-job/reels-edit', requireScope('jobs:submit'), async (req, res) => {
+    try {
+        const { reelId, folderPath, segments, transition, output } = req.body;
+
+        if (!reelId || !folderPath || !segments) {
             return res.status(400).json({
                 error: 'Missing required fields',
-                required: ['reelId', 'videoUrl', 'folderPath']
+                required: ['reelId', 'folderPath', 'segments']
             });
         }
 
-        const job = await videoQueue.add('video-processing-reel', {
-            reelId,
-            videoUrl,
-            folderPath,
-            timestamp: Date.now()
-        }, {
-            attempts: 3,
-            backoff: {
-                type: 'exponential',
-                delay: 1000
+        const options = pickJobOptions(req.body);
+        const errors = [
+            ...validateEditJob({ segments, transition, output }),
+            ...(await validateJobOptions(options)),
+            ...validateQueueOptions(req.body)
+        ];
+        if (req.tenant && !errors.length) {
+            errors.push(...checkTenantDestination(req.tenant, folderPath, segments[0].url));
+        }
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid job options', details: errors });
+        }
+
+        const idempotency = getIdempotencyKey(req.body, {
+            header: req.get('Idempotency-Key'),
+            name: EDIT_JOB_NAME
+        });
+        if (idempotency.error) {
+            return res.status(400).json({ error: 'Invalid idempotency key', message: idempotency.error });
+        }
+
+        const outcome = await submitIdempotently(idempotency.key, req.tenant?.id, async () => {
+            if (req.tenant) {
+                // Segments without an end aren't counted until the job has run
+                const durationSeconds = segments
+                    .filter(segment => segment.end !== undefined)
+                    .reduce((total, segment) => total + segment.end - (segment.start || 0), 0);
+                const violations = await checkTenantQuota(req.tenant, { durationSeconds });
+                if (violations.length) {
+                    return { status: 429, error: { error: 'Quota exceeded', violations } };
+                }
             }
+
+            const job = await addJob(EDIT_JOB_NAME, {
+                reelId,
+                folderPath,
+                segments,
+                ...(transition && { transition }),
+                ...(output && { output }),
+                ...options,
+                timestamp: Date.now()
+            }, {
+                tenant: req.tenant,
+                priority: req.body.priority ?? undefined,
+                delay: req.body.delay ?? undefined,
+                idempotencyKey: idempotency.key,
+                attempts: 3,
+                backoff: {
+                    type: 'exponential',
+                    delay: 1000
+                }
+            });
+            return { job };
         });
+        if (outcome.existing) {
+            return sendExistingJob(res, outcome.existing);
+        }
+        if (outcome.error) {
+            return res.status(outcome.status).json(outcome.error);
+        }
 
+        const { job } = outcome;
         return res.json({
             success: true,
-            message: 'Job created successfully',
+            message: 'Edit job created successfully',
             jobId: job.id,
             data: job.data
         });
     } catch (error) {
-        console.error('Error creating job:', error);
+        console.error('Error creating edit job:', error);
         return res.status(500).json({
-            error: 'Failed to create job',
+            error: 'Failed to create edit job',
             message: error.message
         });
     }
 });
 
 // Get job status route
-app.get('/job-status/:jobId', async (req, res) => {
+app.get('/job-status/:jobId', requireScope('jobs:read'), async (req, res) => {
     try {
         const { jobId } = req.params;
         const job = await videoQueue.getJob(jobId);
 
         if (!job) {
+            // Jobs cancelled before they started are gone from the queue
+            const cancellation = await getCancellation(jobId);
+            if (cancellation?.cancelledAt && canAccessTenant(req, cancellation.tenantId)) {
+                return res.json({ jobId, state: 'cancelled', cancellation });
+            }
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        // Other tenants' jobs look like they don't exist
+        if (!canAccessTenant(req, job.data.tenantId)) {
             return res.status(404).json({ error: 'Job not found' });
         }
 
-        const state = await job.getState();
+        const state = await getJobState(job);
         const progress = job.progress;
         const result = job.returnvalue;
         const failedReason = job.failedReason;
@@ -176,6 +516,7 @@ app.get('/job-status/:jobId', async (req, res) => {
         return res.json({
             jobId,
             state,
+            priority: getPriorityLevel(job),
             progress,
             result,
             failedReason
@@ -189,8 +530,100 @@ app.get('/job-status/:jobId', async (req, res) => {
     }
 });
 
+// Live status of one job as Server-Sent Events: the current state first,
+// then waiting/active/progress/completed/failed as they happen. The stream
+// ends when the job completes, fails for good or is cancelled.
+app.get('/job-status/:jobId/stream', requireScope('jobs:read'), async (req, res) => {
+    try {
+        const { jobId } = req.params;
+        const job = await videoQueue.getJob(jobId);
+
+        if (!job || !canAccessTenant(req, job.data.tenantId)) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        const close = openEventStream(res, async (event) => {
+            if (event.jobId !== jobId) return false;
+            writeEvent(res, event.event, event);
+            // A waiting job that was cancelled is removed from the queue
+            if (event.event === 'completed' || event.event === 'removed') return true;
+            // A failed attempt that will be retried keeps the stream open
+            if (event.event === 'failed') {
+                const failedJob = await videoQueue.getJob(jobId);
+                return !failedJob || (await failedJob.getState()) === 'failed';
+            }
+            return false;
+        });
+
+        const state = await getJobState(job);
+        writeEvent(res, 'state', {
+            jobId,
+            state,
+            progress: job.progress,
+            result: job.returnvalue,
+            failedReason: job.failedReason
+        });
+        if (state === 'completed' || state === 'failed' || state === 'cancelled') {
+            close();
+        }
+    } catch (error) {
+        console.error('Error streaming job status:', error);
+        if (res.headersSent) {
+            return res.end();
+        }
+        return res.status(500).json({
+            error: 'Failed to stream job status',
+            message: error.message
+        });
+    }
+});
+
+// Events of every job as Server-Sent Events, for dashboards.
+// ?events=progress,completed limits the stream to some event types.
+// With a tenant (a tenant's key, or ?tenantId=) only that tenant's jobs show.
+app.get('/jobs/stream', requireScope('jobs:read'), (req, res) => {
+    const events = req.query.events ? String(req.query.events).split(',') : STREAMED_EVENTS;
+    const unknown = events.filter(event => !STREAMED_EVENTS.includes(event));
+    if (unknown.length) {
+        return res.status(400).json({ error: `events must be a list of ${STREAMED_EVENTS.join(', ')}` });
+    }
+
+    // Progress and completed events carry the job's tenant (see worker.js).
+    // Other queue events carry no job data, so the tenant is looked up on the
+    // first event of every job, whichever events are streamed, and kept until
+    // the job ends: finished jobs are removed from the queue at once.
+    const jobTenants = new Map();
+    const getJobTenant = async (event) => {
+        const carried = event.data?.tenantId ?? event.returnvalue?.tenantId;
+        if (carried !== undefined) {
+            jobTenants.set(event.jobId, carried);
+        } else if (!jobTenants.has(event.jobId)) {
+            const job = await videoQueue.getJob(event.jobId);
+            // A cancelled waiting job is gone by its 'removed' event, its cancellation isn't
+            const cancellation = job ? null : await getCancellation(event.jobId);
+            if (job) {
+                jobTenants.set(event.jobId, job.data.tenantId || null);
+            } else if (cancellation) {
+                jobTenants.set(event.jobId, cancellation.tenantId || null);
+            }
+        }
+        return jobTenants.get(event.jobId);
+    };
+
+    openEventStream(res, async (event) => {
+        const tenantId = req.tenant ? await getJobTenant(event) : null;
+        if (['completed', 'failed', 'removed'].includes(event.event)) {
+            jobTenants.delete(event.jobId);
+        }
+        if (!events.includes(event.event)) return false;
+        if (req.tenant && tenantId !== req.tenant.id) return false;
+        writeEvent(res, event.event, event);
+        return false;
+    });
+});
+
 // List all jobs route
-app.get('/jobs', async (req, res) => {
+app.get('/jobs', requireScope('jobs:read'), async (req, res) => {
     try {
         const { status = 'all', limit = 100, offset = 0 } = req.query;
         
@@ -203,8 +636,8 @@ app.get('/jobs', async (req, res) => {
                 total = await videoQueue.getActiveCount();
                 break;
             case 'waiting':
-                jobs = await videoQueue.getWaiting();
-                total = await videoQueue.getWaitingCount();
+                jobs = await videoQueue.getJobs(WAITING_STATES);
+                total = await videoQueue.getJobCountByTypes(...WAITING_STATES);
                 break;
             case 'failed':
                 jobs = await videoQueue.getFailed();
@@ -222,7 +655,7 @@ app.get('/jobs', async (req, res) => {
                 // Get jobs from all states
                 const [active, waiting, failed, delayed, completed] = await Promise.all([
                     videoQueue.getActive(),
-                    videoQueue.getWaiting(),
+                    videoQueue.getJobs(WAITING_STATES),
                     videoQueue.getFailed(),
                     videoQueue.getDelayed(),
                     videoQueue.getCompleted()
@@ -231,6 +664,12 @@ app.get('/jobs', async (req, res) => {
                 total = jobs.length;
         }
 
+        // A tenant's key (or ?tenantId=) lists that tenant's jobs only
+        if (req.tenant) {
+            jobs = jobs.filter(job => job.data.tenantId === req.tenant.id);
+            total = jobs.length;
+        }
+
         // Sort jobs by timestamp (newest first)
         jobs.sort((a, b) => b.timestamp - a.timestamp);
 
@@ -239,12 +678,13 @@ app.get('/jobs', async (req, res) => {
 
         // Format job data
         const formattedJobs = await Promise.all(paginatedJobs.map(async (job) => {
-            const state = await job.getState();
+            const state = await getJobState(job);
             return {
                 id: job.id,
                 name: job.name,
                 data: job.data,
                 state,
+                priority: getPriorityLevel(job),
                 progress: job.progress,
                 timestamp: job.timestamp,
                 processedOn: job.processedOn,
@@ -276,25 +716,29 @@ app.get('/health', (req, res) => {
     res.json({ status: 'ok' });
 });
 
-// Worker status check route
-app.get('/worker/status', async (req, res) => {
+// Worker status check route. `worker` describes this process's worker (an
+// API-only process has none); `connectedWorkers` counts them across processes.
+app.get('/worker/status', requireScope('diagnostics', { auditReads: true }), async (req, res) => {
     try {
-        const isRunning = worker.isRunning();
-        const [active, waiting, failed, delayed, completed] = await Promise.all([
+        const isRunning = worker ? worker.isRunning() : false;
+        const [active, waiting, failed, delayed, completed, connectedWorkers] = await Promise.all([
             videoQueue.getActiveCount(),
-            videoQueue.getWaitingCount(),
+            videoQueue.getJobCountByTypes(...WAITING_STATES),
             videoQueue.getFailedCount(),
             videoQueue.getDelayedCount(),
-            videoQueue.getCompletedCount()
+            videoQueue.getCompletedCount(),
+            videoQueue.getWorkersCount()
         ]);
 
         return res.json({
             success: true,
+            role: serverConfig.role,
             worker: {
                 isRunning,
-                status: isRunning ? 'active' : 'inactive',
+                status: worker ? (isRunning ? 'active' : 'inactive') : 'not running in this process',
                 lastStatusCheck: new Date().toISOString()
             },
+            connectedWorkers,
             queue: {
                 active,
                 waiting,
@@ -314,7 +758,42 @@ app.get('/worker/status', async (req, res) => {
 });
 
 // Start the server
-app.listen(PORT, () => {
+const server = runsApi && app.listen(PORT, () => {
     console.log(`Server is running on port ${PORT}`);
     console.log(`Bull Board available at http://localhost:${PORT}/admin/queues`);
-});
\ No newline at end of file
+});
+if (runsWorker) {
+    console.log(`Processing jobs${runsApi ? '' : ' (worker only, no HTTP server)'}`);
+}
+
+// Stop accepting connections and let requests in flight, and uploads being
+// finished, complete until `deadline`. Event streams are ended right away;
+// clients reconnect to another instance.
+async function stopServer(deadline) {
+    clearInterval(uploadCleanup);
+    const closed = new Promise(resolve => server.close(resolve));
+    await closeEventStreams();
+    server.closeIdleConnections();
+    if (!(await finishesBefore(Promise.all([closed, waitForFinishingUploads()]), deadline))) {
+        console.warn('Requests still running at the shutdown deadline, closing their connections');
+        server.closeAllConnections();
+        await closed;
+    }
+}
+
+// Graceful shutdown on deploys: the API and the worker drain side by side,
+// then the remaining queues and Redis connections are closed and the logs
+// flushed
+handleShutdownSignals(async (deadline) => {
+    await Promise.all([
+        runsApi && stopServer(deadline),
+        runsWorker && stopWorker(deadline)
+    ]);
+    await Promise.all([
+        webhookWorker?.close(),
+        videoQueue.close(),
+        closeWebhookQueue()
+    ]);
+    await closeRedisClient();
+    await Logger.endAll();
+});
@@ -0,0 +1,110 @@
+import express from 'express';
+import { requireScope } from '../utils/auth.js';
+import {
+    API_SCOPES,
+    validateApiKey,
+    createApiKey,
+    getApiKeyRecord,
+    describeApiKey,
+    listApiKeys,
+    revokeApiKey,
+    listAudit
+} from '../utils/apiKeys.js';
+import { getTenant } from '../utils/tenants.js';
+
+const router = express.Router();
+
+// The key making the request, so clients can check what they are allowed to do
+router.get('/me', (req, res) => {
+    return res.json({ ...req.apiKey, availableScopes: API_SCOPES });
+});
+
+// Everything else manages keys and needs the admin scope
+router.use(requireScope('admin', { auditReads: true }));
+
+// ?tenantId= lists one tenant's keys
+router.get('/keys', async (req, res) => {
+    try {
+        const keys = (await listApiKeys()).filter(key => !req.query.tenantId || key.tenantId === req.query.tenantId);
+        return res.json({ total: keys.length, keys });
+    } catch (error) {
+        console.error('Error listing API keys:', error);
+        return res.status(500).json({
+            error: 'Failed to list API keys',
+            message: error.message
+        });
+    }
+});
+
+router.get('/keys/:id', async (req, res) => {
+    try {
+        const record = await getApiKeyRecord(req.params.id);
+        if (!record) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+        return res.json(describeApiKey(record));
+    } catch (error) {
+        console.error('Error getting API key:', error);
+        return res.status(500).json({
+            error: 'Failed to get API key',
+            message: error.message
+        });
+    }
+});
+
+// Create a key. The plain key is only returned here; store it now.
+router.post('/keys', async (req, res) => {
+    try {
+        const errors = validateApiKey(req.body);
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid API key', details: errors });
+        }
+        if (req.body.tenantId && !(await getTenant(req.body.tenantId))) {
+            return res.status(400).json({ error: 'Invalid API key', details: [`Tenant ${req.body.tenantId} does not exist`] });
+        }
+
+        const { key, record } = await createApiKey(req.body, req.apiKey.id);
+        return res.status(201).json({ success: true, key, apiKey: record });
+    } catch (error) {
+        console.error('Error creating API key:', error);
+        return res.status(500).json({
+            error: 'Failed to create API key',
+            message: error.message
+        });
+    }
+});
+
+// Revoke a key; it stays listed with revokedAt set
+router.delete('/keys/:id', async (req, res) => {
+    try {
+        const record = await revokeApiKey(req.params.id);
+        if (!record) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+        return res.json({ success: true, apiKey: record });
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        return res.status(500).json({
+            error: 'Failed to revoke API key',
+            message: error.message
+        });
+    }
+});
+
+// Audit log, newest first. ?keyId= narrows it to one key, ?tenantId= to one tenant's keys.
+router.get('/audit', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+        const offset = parseInt(req.query.offset, 10) || 0;
+        const { total, entries } = await listAudit({ keyId: req.query.keyId, tenantId: req.query.tenantId, limit, offset });
+        return res.json({ total, limit, offset, entries });
+    } catch (error) {
+        console.error('Error reading audit log:', error);
+        return res.status(500).json({
+            error: 'Failed to read audit log',
+            message: error.message
+        });
+    }
+});
+
+export default router;
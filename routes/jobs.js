@@ -0,0 +1,265 @@
+import express from 'express';
+import videoQueue from '../queue.js';
+import {
+    PRIORITY_LEVELS,
+    getPriorityLevel,
+    getJobState,
+    cancelJob,
+    retryJob,
+    changeJobPriority
+} from '../utils/jobs.js';
+import { canAccessTenant } from '../utils/auth.js';
+
+const router = express.Router();
+
+// States a bulk cancel can select jobs by
+const CANCELLABLE_STATES = ['waiting', 'prioritized', 'delayed', 'active'];
+const MAX_BULK_JOBS = 1000;
+
+// The job in the URL, or null (after answering 404) when it doesn't exist or
+// belongs to another tenant
+async function loadJob(req, res) {
+    const job = await videoQueue.getJob(req.params.id);
+    if (!job || !canAccessTenant(req, job.data.tenantId)) {
+        res.status(404).json({ error: 'Job not found' });
+        return null;
+    }
+    return job;
+}
+
+function validateJobIds(jobIds) {
+    return Array.isArray(jobIds) && jobIds.length > 0 && jobIds.length <= MAX_BULK_JOBS
+        ? null
+        : `jobIds must be a list of 1 to ${MAX_BULK_JOBS} job ids`;
+}
+
+// The jobs a bulk request is about: the listed `jobIds`, or every job in
+// `states` (of the request's tenant, if any). Returns [{ jobId, job }], with
+// job null for ids that don't exist or belong to another tenant.
+async function selectJobs(req, { jobIds, states }) {
+    if (jobIds) {
+        return Promise.all(jobIds.map(async (jobId) => {
+            const job = await videoQueue.getJob(String(jobId));
+            return { jobId: String(jobId), job: job && canAccessTenant(req, job.data.tenantId) ? job : null };
+        }));
+    }
+    const jobs = await videoQueue.getJobs(states, 0, MAX_BULK_JOBS - 1);
+    return jobs
+        .filter(job => !req.tenant || job.data.tenantId === req.tenant.id)
+        .map(job => ({ jobId: job.id, job }));
+}
+
+// Run `action(job)` on each selected job; one job failing doesn't stop the rest
+async function applyToJobs(selected, action) {
+    const results = [];
+    for (const { jobId, job } of selected) {
+        if (!job) {
+            results.push({ jobId, error: 'Job not found' });
+            continue;
+        }
+        try {
+            results.push({ jobId, ...(await action(job)) });
+        } catch (error) {
+            results.push({ jobId, error: error.message });
+        }
+    }
+    return results;
+}
+
+// Cancel one job. Waiting and delayed jobs are removed at once (200); an
+// active job is stopped by its worker, which kills ffmpeg, deletes what it
+// uploaded and sends 'cancelled' (202).
+router.delete('/:id', async (req, res) => {
+    try {
+        const job = await loadJob(req, res);
+        if (!job) return;
+
+        const result = await cancelJob(job, { requestedBy: req.apiKey.id });
+        if (result.state === 'completed' || result.state === 'failed') {
+            return res.status(409).json({ error: `Job already ${result.state}`, ...result });
+        }
+        return res.status(result.state === 'cancelling' ? 202 : 200).json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error cancelling job:', error);
+        return res.status(500).json({
+            error: 'Failed to cancel job',
+            message: error.message
+        });
+    }
+});
+
+// Cancel many jobs: { "jobIds": [...] } or { "states": ["waiting", "delayed"] }
+// for everything in those states (a tenant's key only reaches its own jobs)
+router.post('/cancel', async (req, res) => {
+    try {
+        const { jobIds, states } = req.body || {};
+        if ((jobIds === undefined) === (states === undefined)) {
+            return res.status(400).json({ error: 'Provide either jobIds or states' });
+        }
+        if (jobIds !== undefined && validateJobIds(jobIds)) {
+            return res.status(400).json({ error: validateJobIds(jobIds) });
+        }
+        if (states !== undefined && (!Array.isArray(states) || states.length === 0 || states.some(state => !CANCELLABLE_STATES.includes(state)))) {
+            return res.status(400).json({ error: `states must be a list of ${CANCELLABLE_STATES.join(', ')}` });
+        }
+
+        const results = await applyToJobs(
+            await selectJobs(req, { jobIds, states }),
+            job => cancelJob(job, { requestedBy: req.apiKey.id })
+        );
+        return res.json({
+            success: true,
+            total: results.length,
+            cancelled: results.filter(result => result.state === 'cancelled').length,
+            cancelling: results.filter(result => result.state === 'cancelling').length,
+            results
+        });
+    } catch (error) {
+        console.error('Error cancelling jobs:', error);
+        return res.status(500).json({
+            error: 'Failed to cancel jobs',
+            message: error.message
+        });
+    }
+});
+
+// Run a failed or cancelled job again
+router.post('/:id/retry', async (req, res) => {
+    try {
+        const job = await loadJob(req, res);
+        if (!job) return;
+
+        const state = await getJobState(job);
+        if (state !== 'failed' && state !== 'cancelled') {
+            return res.status(409).json({ error: `Only failed or cancelled jobs can be retried, this one is ${state}` });
+        }
+
+        await retryJob(job);
+        return res.json({ success: true, jobId: job.id, state: await job.getState() });
+    } catch (error) {
+        console.error('Error retrying job:', error);
+        return res.status(500).json({
+            error: 'Failed to retry job',
+            message: error.message
+        });
+    }
+});
+
+// Retry failed jobs: the given { "jobIds" }, or every failed job. Cancelled
+// jobs are left alone unless listed or "includeCancelled" is true.
+router.post('/retry', async (req, res) => {
+    try {
+        const { jobIds, includeCancelled = false } = req.body || {};
+        if (jobIds !== undefined && validateJobIds(jobIds)) {
+            return res.status(400).json({ error: validateJobIds(jobIds) });
+        }
+
+        const results = await applyToJobs(await selectJobs(req, { jobIds, states: ['failed'] }), async (job) => {
+            const state = await getJobState(job);
+            if (state === 'cancelled' && !jobIds && !includeCancelled) {
+                return { skipped: true, state };
+            }
+            if (state !== 'failed' && state !== 'cancelled') {
+                return { skipped: true, state };
+            }
+            await retryJob(job);
+            return { retried: true };
+        });
+        return res.json({
+            success: true,
+            total: results.length,
+            retried: results.filter(result => result.retried).length,
+            results
+        });
+    } catch (error) {
+        console.error('Error retrying jobs:', error);
+        return res.status(500).json({
+            error: 'Failed to retry jobs',
+            message: error.message
+        });
+    }
+});
+
+// Start a delayed job now
+router.post('/:id/promote', async (req, res) => {
+    try {
+        const job = await loadJob(req, res);
+        if (!job) return;
+
+        const state = await job.getState();
+        if (state !== 'delayed') {
+            return res.status(409).json({ error: `Only delayed jobs can be promoted, this one is ${state}` });
+        }
+
+        await job.promote();
+        return res.json({ success: true, jobId: job.id, state: await job.getState() });
+    } catch (error) {
+        console.error('Error promoting job:', error);
+        return res.status(500).json({
+            error: 'Failed to promote job',
+            message: error.message
+        });
+    }
+});
+
+// Promote delayed jobs: the given { "jobIds" }, or every delayed job
+router.post('/promote', async (req, res) => {
+    try {
+        const { jobIds } = req.body || {};
+        if (jobIds !== undefined && validateJobIds(jobIds)) {
+            return res.status(400).json({ error: validateJobIds(jobIds) });
+        }
+
+        const results = await applyToJobs(await selectJobs(req, { jobIds, states: ['delayed'] }), async (job) => {
+            const state = await job.getState();
+            if (state !== 'delayed') {
+                return { skipped: true, state };
+            }
+            await job.promote();
+            return { promoted: true };
+        });
+        return res.json({
+            success: true,
+            total: results.length,
+            promoted: results.filter(result => result.promoted).length,
+            results
+        });
+    } catch (error) {
+        console.error('Error promoting jobs:', error);
+        return res.status(500).json({
+            error: 'Failed to promote jobs',
+            message: error.message
+        });
+    }
+});
+
+// Move a job that hasn't started to another priority: { "priority": 1 }
+// (1 first to 10 last)
+router.patch('/:id/priority', async (req, res) => {
+    try {
+        const { priority } = req.body || {};
+        if (!(Number.isInteger(priority) && priority >= 1 && priority <= PRIORITY_LEVELS)) {
+            return res.status(400).json({ error: `priority must be an integer from 1 (first) to ${PRIORITY_LEVELS} (last)` });
+        }
+
+        const job = await loadJob(req, res);
+        if (!job) return;
+
+        const state = await job.getState();
+        if (!['waiting', 'prioritized', 'delayed'].includes(state)) {
+            return res.status(409).json({ error: `Only jobs that haven't started can change priority, this one is ${state}` });
+        }
+
+        await changeJobPriority(job, priority);
+        const updated = await videoQueue.getJob(job.id);
+        return res.json({ success: true, jobId: job.id, priority: getPriorityLevel(updated) });
+    } catch (error) {
+        console.error('Error changing job priority:', error);
+        return res.status(500).json({
+            error: 'Failed to change job priority',
+            message: error.message
+        });
+    }
+});
+
+export default router;
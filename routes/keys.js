@@ -0,0 +1,147 @@
+import express from 'express';
+import path from 'path';
+import {
+    DEFAULT_TOKEN_TTL_SECONDS,
+    MAX_TOKEN_TTL_SECONDS,
+    getContentKey,
+    getKeyUri,
+    getPlaylistUri,
+    createKeyToken,
+    verifyKeyToken,
+    addTokenToPlaylist
+} from '../utils/hlsEncryption.js';
+import { parseStorageUri, joinLocation, getStorage } from '../utils/storage.js';
+import { getTenant } from '../utils/tenants.js';
+import { requireScope, canAccessTenant } from '../utils/auth.js';
+
+const router = express.Router();
+
+// Players fetch keys cross-origin (hls.js, Shaka), so allow CORS on this router
+router.use((req, res, next) => {
+    res.set('Access-Control-Allow-Origin', process.env.KEY_DELIVERY_ALLOWED_ORIGIN || '*');
+    res.set('Access-Control-Allow-Headers', 'Authorization');
+    if (req.method === 'OPTIONS') {
+        return res.sendStatus(204);
+    }
+    next();
+});
+
+// Serve the raw 16 byte AES key to an authorised player.
+// The token comes from POST /keys/:keyId/tokens (see below),
+// as "Authorization: Bearer <token>" or "?token=<token>".
+router.get('/:keyId', async (req, res) => {
+    try {
+        const { keyId } = req.params;
+        const header = req.get('authorization') || '';
+        const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : req.query.token;
+
+        if (!verifyKeyToken(keyId, token)) {
+            return res.status(401).json({ error: 'Invalid or expired key token' });
+        }
+
+        const contentKey = await getContentKey(keyId);
+        if (!contentKey) {
+            return res.status(404).json({ error: 'Key not found' });
+        }
+
+        res.set('Content-Type', 'application/octet-stream');
+        res.set('Cache-Control', 'no-store');
+        return res.send(contentKey.key);
+    } catch (error) {
+        console.error('Error serving key:', error);
+        return res.status(500).json({
+            error: 'Failed to serve key',
+            message: error.message
+        });
+    }
+});
+
+// The asset's playlists for native players (Safari, AVPlayer), which can't
+// add a header to key requests. Authorised by the same token, as ?token=:
+// linked playlists and EXT-X-KEY URIs get it appended, segments are loaded
+// from their public URL.
+router.get('/:keyId/playlists/*playlistPath', async (req, res) => {
+    try {
+        const { keyId } = req.params;
+        const { token } = req.query;
+        if (!verifyKeyToken(keyId, token)) {
+            return res.status(401).json({ error: 'Invalid or expired key token' });
+        }
+
+        // Only playlists inside the asset's output folder
+        const parts = req.params.playlistPath;
+        const playlistPath = parts.join('/');
+        if (!playlistPath.endsWith('.m3u8') || parts.some(part => part === '..' || /[\\/]/.test(part))) {
+            return res.status(404).json({ error: 'Playlist not found' });
+        }
+
+        const contentKey = await getContentKey(keyId);
+        // Keys made before playlists were served through /keys don't know their output
+        if (!contentKey || !contentKey.location) {
+            return res.status(404).json({ error: 'Playlist not found' });
+        }
+
+        const tenant = contentKey.tenantId ? await getTenant(contentKey.tenantId) : null;
+        const folder = parseStorageUri(contentKey.location, tenant);
+        const location = joinLocation(folder, ...parts);
+        const storage = getStorage(location, tenant);
+        if (!(await storage.exists(location))) {
+            return res.status(404).json({ error: 'Playlist not found' });
+        }
+
+        const content = (await storage.read(location)).toString('utf8');
+        const directory = path.posix.dirname(playlistPath);
+        const segmentBaseUrl = directory === '.' ? contentKey.baseUrl : `${contentKey.baseUrl}${directory}/`;
+
+        res.set('Content-Type', 'application/vnd.apple.mpegurl');
+        res.set('Cache-Control', 'no-store');
+        return res.send(addTokenToPlaylist(content, token, segmentBaseUrl));
+    } catch (error) {
+        console.error('Error serving playlist:', error);
+        return res.status(500).json({
+            error: 'Failed to serve playlist',
+            message: error.message
+        });
+    }
+});
+
+// Issue a key delivery token for a player; needs an API key with jobs:read.
+// Body: { "ttl": seconds }, 6 hours by default, at most 7 days.
+// Players that can set headers (hls.js xhrSetup, Shaka request filters) send
+// `token` as a Bearer token with the public playlists. Native players (Safari,
+// AVPlayer) can't: give them `masterPlaylistUrl`, the playlists served above.
+router.post('/:keyId/tokens', requireScope('jobs:read'), async (req, res) => {
+    try {
+        const { keyId } = req.params;
+        const ttl = req.body?.ttl ?? DEFAULT_TOKEN_TTL_SECONDS;
+        if (!Number.isInteger(ttl) || ttl < 1 || ttl > MAX_TOKEN_TTL_SECONDS) {
+            return res.status(400).json({ error: `ttl must be a number of seconds between 1 and ${MAX_TOKEN_TTL_SECONDS}` });
+        }
+
+        const contentKey = await getContentKey(keyId);
+        // Other tenants' keys look like they don't exist
+        if (!contentKey || !canAccessTenant(req, contentKey.tenantId)) {
+            return res.status(404).json({ error: 'Key not found' });
+        }
+
+        const token = createKeyToken(keyId, ttl);
+        return res.status(201).json({
+            keyId,
+            reelId: contentKey.reelId,
+            token,
+            expiresAt: new Date(Number(token.split('.')[0]) * 1000).toISOString(),
+            keyUri: `${getKeyUri(keyId)}?token=${encodeURIComponent(token)}`,
+            masterPlaylistUrl: contentKey.location
+                ? `${getPlaylistUri(keyId)}?token=${encodeURIComponent(token)}`
+                : null
+        });
+    } catch (error) {
+        console.error('Error issuing key token:', error);
+        return res.status(500).json({
+            error: 'Failed to issue key token',
+            message: error.message
+        });
+    }
+});
+
+export default router;
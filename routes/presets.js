@@ -0,0 +1,103 @@
+import express from 'express';
+import {
+    validatePreset,
+    listPresets,
+    getPreset,
+    savePreset,
+    deletePreset
+} from '../utils/presets.js';
+
+const router = express.Router();
+
+// List all stored presets
+router.get('/', async (req, res) => {
+    try {
+        const presets = await listPresets();
+        return res.json({ total: presets.length, presets });
+    } catch (error) {
+        console.error('Error listing presets:', error);
+        return res.status(500).json({
+            error: 'Failed to list presets',
+            message: error.message
+        });
+    }
+});
+
+// Get a single preset
+router.get('/:name', async (req, res) => {
+    try {
+        const preset = await getPreset(req.params.name);
+        if (!preset) {
+            return res.status(404).json({ error: 'Preset not found' });
+        }
+        return res.json(preset);
+    } catch (error) {
+        console.error('Error getting preset:', error);
+        return res.status(500).json({
+            error: 'Failed to get preset',
+            message: error.message
+        });
+    }
+});
+
+// Create a new preset
+router.post('/', async (req, res) => {
+    try {
+        const errors = validatePreset(req.body);
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid preset', details: errors });
+        }
+
+        if (await getPreset(req.body.name)) {
+            return res.status(409).json({ error: `Preset "${req.body.name}" already exists` });
+        }
+
+        const preset = await savePreset(req.body);
+        return res.status(201).json({ success: true, preset });
+    } catch (error) {
+        console.error('Error creating preset:', error);
+        return res.status(500).json({
+            error: 'Failed to create preset',
+            message: error.message
+        });
+    }
+});
+
+// Create or replace a preset
+router.put('/:name', async (req, res) => {
+    try {
+        const body = { ...req.body, name: req.params.name };
+        const errors = validatePreset(body);
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid preset', details: errors });
+        }
+
+        const preset = await savePreset(body);
+        return res.json({ success: true, preset });
+    } catch (error) {
+        console.error('Error updating preset:', error);
+        return res.status(500).json({
+            error: 'Failed to update preset',
+            message: error.message
+        });
+    }
+});
+
+// Delete a preset
+router.delete('/:name', async (req, res) => {
+    try {
+        const removed = await deletePreset(req.params.name);
+        if (!removed) {
+            return res.status(404).json({ error: 'Preset not found' });
+        }
+        return res.json({ success: true, message: `Preset "${req.params.name}" deleted` });
+    } catch (error) {
+        console.error('Error deleting preset:', error);
+        return res.status(500).json({
+            error: 'Failed to delete preset',
+            message: error.message
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,50 @@
+import express from 'express';
+import admissionConfig from '../config/admission.js';
+import { probeMedia, describeMedia } from '../utils/mediaProbe.js';
+import { checkAdmission } from '../utils/admission.js';
+import { parseStorageUri, getReadableInput } from '../utils/storage.js';
+
+const router = express.Router();
+
+// Probe a media URI without downloading it: a readable summary, the raw
+// ffprobe output and whether the input would be accepted for processing
+router.post('/', async (req, res) => {
+    const { url } = req.body || {};
+    if (!url || !/^(https?|s3|file):\/\//.test(String(url))) {
+        return res.status(400).json({ error: 'url is required and must be an http(s), s3:// or file:// URI' });
+    }
+
+    let metadata;
+    try {
+        const input = await getReadableInput(parseStorageUri(url, req.tenant), req.tenant);
+        metadata = await probeMedia(input, { timeout: admissionConfig.probeTimeout });
+    } catch (error) {
+        console.error('Error probing media:', error);
+        return res.status(422).json({
+            error: 'Input could not be probed',
+            message: error.killed ? 'ffprobe timed out' : (error.stderr || error.message).trim()
+        });
+    }
+
+    try {
+        const media = describeMedia(metadata);
+        const violations = checkAdmission(media);
+        return res.json({
+            url,
+            ...media,
+            admission: {
+                accepted: violations.length === 0,
+                violations
+            },
+            ffprobe: metadata
+        });
+    } catch (error) {
+        console.error('Error describing media:', error);
+        return res.status(500).json({
+            error: 'Failed to probe media',
+            message: error.message
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,194 @@
+import express from 'express';
+import { getPreset } from '../utils/presets.js';
+import {
+    validateTenant,
+    describeTenant,
+    listTenants,
+    getTenant,
+    saveTenant,
+    deleteTenant,
+    getTenantUsage,
+    releaseTenantStorage,
+    setTenantStorage
+} from '../utils/tenants.js';
+
+const router = express.Router();
+
+// validateTenant plus the checks that need Redis
+async function checkTenant(tenant) {
+    const errors = validateTenant(tenant);
+    if (tenant.defaultPreset && typeof tenant.defaultPreset === 'string' && !(await getPreset(tenant.defaultPreset))) {
+        errors.push(`Preset "${tenant.defaultPreset}" does not exist`);
+    }
+    return errors;
+}
+
+// List all tenants, storage secrets masked
+router.get('/', async (req, res) => {
+    try {
+        const tenants = await listTenants();
+        return res.json({ total: tenants.length, tenants: tenants.map(describeTenant) });
+    } catch (error) {
+        console.error('Error listing tenants:', error);
+        return res.status(500).json({
+            error: 'Failed to list tenants',
+            message: error.message
+        });
+    }
+});
+
+router.get('/:id', async (req, res) => {
+    try {
+        const tenant = await getTenant(req.params.id);
+        if (!tenant) {
+            return res.status(404).json({ error: 'Tenant not found' });
+        }
+        return res.json(describeTenant(tenant));
+    } catch (error) {
+        console.error('Error getting tenant:', error);
+        return res.status(500).json({
+            error: 'Failed to get tenant',
+            message: error.message
+        });
+    }
+});
+
+// Minutes processed and jobs run in a month (?month=YYYY-MM, default this
+// one), storage used so far, and the quotas they count against. Storage used
+// is the bytes jobs wrote minus what was reported freed (see below).
+router.get('/:id/usage', async (req, res) => {
+    try {
+        const tenant = await getTenant(req.params.id);
+        if (!tenant) {
+            return res.status(404).json({ error: 'Tenant not found' });
+        }
+        if (req.query.month && !/^\d{4}-\d{2}$/.test(String(req.query.month))) {
+            return res.status(400).json({ error: 'month must look like 2025-01' });
+        }
+
+        const usage = await getTenantUsage(tenant.id, req.query.month || undefined);
+        return res.json({ tenantId: tenant.id, ...usage, quotas: tenant.quotas });
+    } catch (error) {
+        console.error('Error getting tenant usage:', error);
+        return res.status(500).json({
+            error: 'Failed to get tenant usage',
+            message: error.message
+        });
+    }
+});
+
+// Bytes of outputs deleted outside the converter, e.g. the storedBytes of a
+// job whose reel was removed. Body: { "bytes": 123456 }
+router.post('/:id/usage/storage/release', async (req, res) => {
+    try {
+        const tenant = await getTenant(req.params.id);
+        if (!tenant) {
+            return res.status(404).json({ error: 'Tenant not found' });
+        }
+        const bytes = req.body?.bytes;
+        if (!Number.isInteger(bytes) || bytes < 1) {
+            return res.status(400).json({ error: 'bytes must be a positive integer' });
+        }
+
+        await releaseTenantStorage(tenant.id, bytes);
+        return res.json({ tenantId: tenant.id, ...(await getTenantUsage(tenant.id)) });
+    } catch (error) {
+        console.error('Error releasing tenant storage:', error);
+        return res.status(500).json({
+            error: 'Failed to release tenant storage',
+            message: error.message
+        });
+    }
+});
+
+// Set storage used outright, after checking the bucket (0 resets it).
+// Body: { "bytes": 123456 }
+router.put('/:id/usage/storage', async (req, res) => {
+    try {
+        const tenant = await getTenant(req.params.id);
+        if (!tenant) {
+            return res.status(404).json({ error: 'Tenant not found' });
+        }
+        const bytes = req.body?.bytes;
+        if (!Number.isInteger(bytes) || bytes < 0) {
+            return res.status(400).json({ error: 'bytes must be a non-negative integer' });
+        }
+
+        await setTenantStorage(tenant.id, bytes);
+        return res.json({ tenantId: tenant.id, ...(await getTenantUsage(tenant.id)) });
+    } catch (error) {
+        console.error('Error setting tenant storage:', error);
+        return res.status(500).json({
+            error: 'Failed to set tenant storage',
+            message: error.message
+        });
+    }
+});
+
+// Create a tenant. Give it API keys with POST /auth/keys and a tenantId.
+router.post('/', async (req, res) => {
+    try {
+        const errors = await checkTenant(req.body || {});
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid tenant', details: errors });
+        }
+
+        if (await getTenant(req.body.id)) {
+            return res.status(409).json({ error: `Tenant "${req.body.id}" already exists` });
+        }
+
+        const tenant = await saveTenant(req.body);
+        return res.status(201).json({ success: true, tenant: describeTenant(tenant) });
+    } catch (error) {
+        console.error('Error creating tenant:', error);
+        return res.status(500).json({
+            error: 'Failed to create tenant',
+            message: error.message
+        });
+    }
+});
+
+// Create or replace a tenant. A secretAccessKey of "***" (as returned by
+// GET) keeps the stored one.
+router.put('/:id', async (req, res) => {
+    try {
+        const existing = await getTenant(req.params.id);
+        const body = { ...req.body, id: req.params.id };
+        if (body.storage?.secretAccessKey === '***') {
+            body.storage = { ...body.storage, secretAccessKey: existing?.storage?.secretAccessKey || null };
+        }
+
+        const errors = await checkTenant(body);
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid tenant', details: errors });
+        }
+
+        const tenant = await saveTenant(body);
+        return res.status(existing ? 200 : 201).json({ success: true, tenant: describeTenant(tenant) });
+    } catch (error) {
+        console.error('Error updating tenant:', error);
+        return res.status(500).json({
+            error: 'Failed to update tenant',
+            message: error.message
+        });
+    }
+});
+
+// Delete a tenant. Its keys stop working; its jobs already queued fail.
+router.delete('/:id', async (req, res) => {
+    try {
+        const removed = await deleteTenant(req.params.id);
+        if (!removed) {
+            return res.status(404).json({ error: 'Tenant not found' });
+        }
+        return res.json({ success: true, message: `Tenant "${req.params.id}" deleted` });
+    } catch (error) {
+        console.error('Error deleting tenant:', error);
+        return res.status(500).json({
+            error: 'Failed to delete tenant',
+            message: error.message
+        });
+    }
+});
+
+export default router;
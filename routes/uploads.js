@@ -0,0 +1,455 @@
+import express from 'express';
+import path from 'path';
+import uploadsConfig from '../config/uploads.js';
+import admissionConfig from '../config/admission.js';
+import { pickJobOptions, validateJobOptions } from '../utils/jobOptions.js';
+import { admitInput } from '../utils/admission.js';
+import { addJob, findSubmittedJob, submitIdempotently } from '../utils/jobs.js';
+import { getTenant, checkTenantQuota } from '../utils/tenants.js';
+import { canAccessTenant } from '../utils/auth.js';
+import { resolveDestination, joinLocation, formatStorageUri, getStorage } from '../utils/storage.js';
+import {
+    TUS_VERSION,
+    TUS_EXTENSIONS,
+    parseUploadMetadata,
+    formatUploadMetadata,
+    getUploadPath,
+    saveUpload,
+    getUpload,
+    createUpload,
+    writeUploadChunk,
+    lockUpload,
+    discardUploadData,
+    deleteUpload
+} from '../utils/uploads.js';
+
+const router = express.Router();
+
+// A request that finds an upload locked (see lockUpload) by a PATCH or
+// finish in progress, on this instance or another, gets 423 and retries.
+// Completed uploads are finished after the response; these are the ones
+// this instance is still finishing, so shutdown can wait for them.
+const finishingUploads = new Set();
+
+const TUS_HEADERS = [
+    'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size',
+    'Upload-Offset', 'Upload-Length', 'Upload-Metadata', 'Upload-Expires', 'Upload-Job-Id', 'Location'
+];
+
+// Browser tus clients need CORS, and some send PATCH/DELETE as POST with
+// X-HTTP-Method-Override
+router.use((req, res, next) => {
+    res.set('Access-Control-Allow-Origin', uploadsConfig.allowedOrigin);
+    res.set('Access-Control-Allow-Methods', 'POST, GET, HEAD, PATCH, DELETE, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Authorization, Content-Type, X-HTTP-Method-Override, Tus-Resumable, Upload-Offset, Upload-Length, Upload-Metadata');
+    res.set('Access-Control-Expose-Headers', TUS_HEADERS.join(', '));
+    res.set('Tus-Resumable', TUS_VERSION);
+
+    const override = req.get('x-http-method-override');
+    if (override) {
+        req.method = override.toUpperCase();
+    }
+
+    // Everything but OPTIONS and the JSON status lookup speaks tus
+    if (req.method !== 'OPTIONS' && req.method !== 'GET' && req.get('tus-resumable') !== TUS_VERSION) {
+        res.set('Tus-Version', TUS_VERSION);
+        return res.status(412).json({ error: `Tus-Resumable: ${TUS_VERSION} is required` });
+    }
+    next();
+});
+
+function sendCapabilities(req, res) {
+    res.set('Tus-Version', TUS_VERSION);
+    res.set('Tus-Extension', TUS_EXTENSIONS.join(','));
+    res.set('Tus-Max-Size', String(uploadsConfig.maxSize));
+    return res.sendStatus(204);
+}
+
+router.options('/', sendCapabilities);
+router.options('/:id', sendCapabilities);
+
+function setUploadHeaders(res, upload) {
+    res.set('Upload-Offset', String(upload.offset));
+    res.set('Upload-Length', String(upload.length));
+    res.set('Upload-Expires', new Date(upload.expiresAt).toUTCString());
+    res.set('Cache-Control', 'no-store');
+    if (upload.jobId) {
+        res.set('Upload-Job-Id', String(upload.jobId));
+    }
+}
+
+function describeUpload(upload) {
+    return {
+        id: upload.id,
+        status: upload.status,
+        offset: upload.offset,
+        length: upload.length,
+        metadata: upload.metadata,
+        expiresAt: new Date(upload.expiresAt).toISOString(),
+        ...(upload.videoUrl && { videoUrl: upload.videoUrl }),
+        ...(upload.jobId && { jobId: upload.jobId }),
+        ...(upload.violations && { violations: upload.violations }),
+        ...(upload.error && { error: upload.error })
+    };
+}
+
+// Idempotency key of an upload's processing job, so finishing it again
+// after a crash finds the job instead of queueing another
+function getUploadJobKey(upload) {
+    return `upload:${upload.id}`;
+}
+
+// Move a complete upload to the job's storage, check it against the
+// admission rules (and the tenant's quotas) and queue the normal processing job for it
+async function finishUpload(upload) {
+    const { reelId, folderPath, filename } = upload.metadata;
+    const tenant = await getTenant(upload.tenantId);
+    if (upload.tenantId && !tenant) {
+        throw new Error(`Tenant ${upload.tenantId} no longer exists`);
+    }
+
+    const extension = path.extname(filename || '').toLowerCase();
+    const location = joinLocation(
+        resolveDestination(folderPath, null, tenant),
+        `${String(reelId).replace(/[^\w-]/g, '_')}_upload${/^\.[a-z0-9]{1,5}$/.test(extension) ? extension : '.mp4'}`
+    );
+
+    const videoUrl = formatStorageUri(location);
+
+    // An earlier attempt got as far as queueing the job
+    const key = getUploadJobKey(upload);
+    const submitted = await findSubmittedJob(key, upload.tenantId);
+    if (submitted?.jobId) {
+        return markUploadQueued(upload, videoUrl, submitted.jobId);
+    }
+
+    const storage = getStorage(location, tenant);
+    await storage.checkAccess(location);
+    await storage.uploadFile(getUploadPath(upload.id), location);
+
+    let admission;
+    try {
+        admission = await admitInput(videoUrl, undefined, tenant);
+    } catch (probeError) {
+        admission = {
+            violations: [],
+            error: probeError.killed ? 'ffprobe timed out' : (probeError.stderr || probeError.message).trim()
+        };
+    }
+    if (tenant && !admission.error && !admission.violations.length) {
+        const violations = await checkTenantQuota(tenant, { durationSeconds: admission.media.duration || 0 });
+        if (violations.length) {
+            admission = { violations, error: 'Quota exceeded' };
+        }
+    }
+
+    if (admission.error || admission.violations.length) {
+        upload.status = 'rejected';
+        upload.violations = admission.violations;
+        upload.error = admission.error || 'Input rejected';
+        await storage.delete(location);
+        await saveUpload(upload);
+        await discardUploadData(upload);
+        return upload;
+    }
+
+    const { job, existing } = await submitIdempotently(key, upload.tenantId, async () => ({
+        job: await addJob('video-processing-reel', {
+            reelId,
+            videoUrl,
+            folderPath,
+            ...upload.options,
+            timestamp: Date.now()
+        }, { tenant, idempotencyKey: key })
+    }));
+    if (existing && !existing.jobId) {
+        throw new Error('The job of this upload is still being queued');
+    }
+    return markUploadQueued(upload, videoUrl, existing ? existing.jobId : job.id);
+}
+
+async function markUploadQueued(upload, videoUrl, jobId) {
+    upload.status = 'queued';
+    upload.videoUrl = videoUrl;
+    upload.jobId = jobId;
+    await saveUpload(upload);
+    await discardUploadData(upload);
+    return upload;
+}
+
+// Mark a complete upload 'finishing' and run finishUpload after the
+// response: copying a file of several GB to storage doesn't fit in a
+// request. Takes over `unlock`, the upload's lock. If finishing fails the
+// upload stays 'finishing' and the next HEAD or PATCH tries again.
+async function finishInBackground(upload, unlock) {
+    upload.status = 'finishing';
+    delete upload.error;
+    try {
+        await saveUpload(upload);
+    } catch (error) {
+        await unlock().catch(() => {});
+        throw error;
+    }
+
+    const finishing = (async () => {
+        try {
+            await finishUpload(upload);
+        } catch (error) {
+            console.error(`Error finishing upload ${upload.id}:`, error);
+            upload.error = error.message;
+            await saveUpload(upload).catch(() => {});
+        } finally {
+            await unlock().catch((error) => {
+                console.error(`Error unlocking upload ${upload.id}:`, error.message);
+            });
+            finishingUploads.delete(finishing);
+        }
+    })();
+    finishingUploads.add(finishing);
+}
+
+// Complete and waiting to be finished (again, if an earlier attempt failed)
+function needsFinishing(upload) {
+    return ['uploading', 'finishing'].includes(upload.status) && upload.offset === upload.length;
+}
+
+// Settles once the uploads this instance is finishing are done
+async function waitForFinishingUploads() {
+    await Promise.allSettled([...finishingUploads]);
+}
+
+// Create an upload. Upload-Metadata must carry reelId and folderPath, and may
+// carry filename and options (the JSON job options, as for /create-job).
+router.post('/', async (req, res) => {
+    try {
+        const length = Number(req.get('upload-length'));
+        if (!req.get('upload-length') || !Number.isInteger(length) || length <= 0) {
+            return res.status(400).json({ error: 'Upload-Length must be a positive integer' });
+        }
+        if (length > uploadsConfig.maxSize) {
+            return res.status(413).json({ error: `Uploads are limited to ${uploadsConfig.maxSize} bytes` });
+        }
+        if (admissionConfig.maxFileSize && length > admissionConfig.maxFileSize) {
+            return res.status(413).json({
+                error: 'Input rejected',
+                violations: [{
+                    rule: 'maxFileSize',
+                    message: `Input is ${length} bytes, the limit is ${admissionConfig.maxFileSize} bytes`,
+                    limit: admissionConfig.maxFileSize,
+                    actual: length
+                }]
+            });
+        }
+
+        let metadata;
+        let options;
+        try {
+            metadata = parseUploadMetadata(req.get('upload-metadata'));
+            options = pickJobOptions(metadata.options ? JSON.parse(metadata.options) : {});
+        } catch (parseError) {
+            return res.status(400).json({ error: 'Invalid Upload-Metadata', message: parseError.message });
+        }
+
+        if (!metadata.reelId || !metadata.folderPath) {
+            return res.status(400).json({
+                error: 'Missing required fields',
+                required: ['reelId', 'folderPath']
+            });
+        }
+
+        const optionErrors = await validateJobOptions(options);
+        try {
+            // Also refuses a folderPath outside the tenant's storage
+            getStorage(resolveDestination(metadata.folderPath, null, req.tenant), req.tenant);
+        } catch (destinationError) {
+            optionErrors.push(destinationError.message);
+        }
+        if (optionErrors.length) {
+            return res.status(400).json({ error: 'Invalid job options', details: optionErrors });
+        }
+
+        // Refuse now rather than after the whole file is sent; the input's
+        // own minutes are checked again once it is complete
+        if (req.tenant) {
+            const violations = await checkTenantQuota(req.tenant);
+            if (violations.length) {
+                return res.status(429).json({ error: 'Quota exceeded', violations });
+            }
+        }
+
+        const upload = await createUpload({ length, metadata, options, tenantId: req.tenant?.id });
+
+        res.set('Location', `${req.baseUrl}/${upload.id}`);
+        setUploadHeaders(res, upload);
+        return res.sendStatus(201);
+    } catch (error) {
+        console.error('Error creating upload:', error);
+        return res.status(500).json({
+            error: 'Failed to create upload',
+            message: error.message
+        });
+    }
+});
+
+// Current offset, so the client knows where to resume
+router.head('/:id', async (req, res) => {
+    try {
+        let upload = await getUpload(req.params.id);
+        if (!upload || !canAccessTenant(req, upload.tenantId)) {
+            res.set('Cache-Control', 'no-store');
+            return res.sendStatus(404);
+        }
+
+        // A client whose last chunk arrived but whose upload was never
+        // finished (the instance finishing it went away, or finishing
+        // failed) only HEADs before considering itself done, so start it here
+        if (needsFinishing(upload)) {
+            const unlock = await lockUpload(upload.id);
+            if (unlock) {
+                const current = await getUpload(upload.id);
+                if (current && needsFinishing(current)) {
+                    await finishInBackground(current, unlock);
+                    upload = current;
+                } else {
+                    await unlock();
+                }
+            }
+        }
+
+        setUploadHeaders(res, upload);
+        res.set('Upload-Metadata', formatUploadMetadata(upload.metadata));
+        return res.sendStatus(200);
+    } catch (error) {
+        console.error('Error getting upload offset:', error);
+        return res.sendStatus(500);
+    }
+});
+
+// Upload state as JSON, including the job id once it is queued
+router.get('/:id', async (req, res) => {
+    try {
+        const upload = await getUpload(req.params.id);
+        if (!upload || !canAccessTenant(req, upload.tenantId)) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+        return res.json(describeUpload(upload));
+    } catch (error) {
+        console.error('Error getting upload:', error);
+        return res.status(500).json({
+            error: 'Failed to get upload',
+            message: error.message
+        });
+    }
+});
+
+// Append a chunk. Once the last chunk is in, the upload is 'finishing' while
+// it is moved to storage and checked; GET /uploads/:id then shows the job id
+// (also in Upload-Job-Id on HEAD) or why it was rejected.
+router.patch('/:id', async (req, res) => {
+    const { id } = req.params;
+    let unlock = null;
+
+    try {
+        let upload = await getUpload(id);
+        if (!upload || !canAccessTenant(req, upload.tenantId)) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+        if (req.get('content-type') !== 'application/offset+octet-stream') {
+            return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+        }
+
+        const offset = Number(req.get('upload-offset'));
+        if (!req.get('upload-offset') || !Number.isInteger(offset) || offset < 0) {
+            return res.status(400).json({ error: 'Upload-Offset must be a non-negative integer' });
+        }
+
+        unlock = await lockUpload(id);
+        if (!unlock) {
+            return res.status(423).json({ error: 'Another request is writing to this upload' });
+        }
+        // What the previous lock holder left
+        upload = await getUpload(id);
+        if (!upload) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+        if (offset !== upload.offset) {
+            setUploadHeaders(res, upload);
+            return res.status(409).json({ error: `Upload-Offset is ${offset}, the upload is at ${upload.offset}` });
+        }
+
+        if (upload.status === 'uploading' && upload.offset < upload.length) {
+            const contentLength = Number(req.get('content-length'));
+            if (contentLength && offset + contentLength > upload.length) {
+                return res.status(413).json({ error: `Chunk goes past the declared Upload-Length of ${upload.length} bytes` });
+            }
+
+            try {
+                await writeUploadChunk(upload, req);
+            } catch (writeError) {
+                if (writeError.status === 413) {
+                    setUploadHeaders(res, upload);
+                    return res.status(413).json({ error: writeError.message });
+                }
+                if (req.destroyed) {
+                    // The client went away; it will HEAD and resume from what was kept
+                    console.warn(`Upload ${id} interrupted at ${upload.offset}/${upload.length} bytes`);
+                    return;
+                }
+                throw writeError;
+            }
+        }
+
+        // Also reached again by an empty PATCH if finishing failed last time
+        if (needsFinishing(upload)) {
+            await finishInBackground(upload, unlock);
+            unlock = null;
+        }
+
+        setUploadHeaders(res, upload);
+        if (upload.status === 'rejected') {
+            return res.status(422).json(describeUpload(upload));
+        }
+        return res.sendStatus(204);
+    } catch (error) {
+        console.error('Error writing upload chunk:', error);
+        return res.status(500).json({
+            error: 'Failed to write upload chunk',
+            message: error.message
+        });
+    } finally {
+        if (unlock) {
+            await unlock().catch((error) => {
+                console.error(`Error unlocking upload ${id}:`, error.message);
+            });
+        }
+    }
+});
+
+// Abandon an upload and free its space
+router.delete('/:id', async (req, res) => {
+    try {
+        const upload = await getUpload(req.params.id);
+        if (!upload || !canAccessTenant(req, upload.tenantId)) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+        const unlock = await lockUpload(upload.id);
+        if (!unlock) {
+            return res.status(423).json({ error: 'Another request is writing to this upload' });
+        }
+        try {
+            await deleteUpload(upload);
+        } finally {
+            await unlock();
+        }
+        return res.sendStatus(204);
+    } catch (error) {
+        console.error('Error deleting upload:', error);
+        return res.status(500).json({
+            error: 'Failed to delete upload',
+            message: error.message
+        });
+    }
+});
+
+export { waitForFinishingUploads };
+export default router;
@@ -0,0 +1,68 @@
+import express from 'express';
+import { DELIVERY_STATUSES, getDelivery, listDeliveries, replayDelivery } from '../utils/webhooks.js';
+import { canAccessTenant } from '../utils/auth.js';
+
+const router = express.Router();
+
+// Delivery log, newest first. Filter with ?jobId=, ?status= and ?tenantId=;
+// a tenant's key only sees its own tenant's deliveries.
+router.get('/deliveries', async (req, res) => {
+    try {
+        const { jobId, status } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+        if (status && !DELIVERY_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of ${DELIVERY_STATUSES.join(', ')}` });
+        }
+
+        const { total, deliveries } = await listDeliveries({ jobId, tenantId: req.tenant?.id, status, limit, offset });
+        return res.json({ total, limit, offset, deliveries });
+    } catch (error) {
+        console.error('Error listing webhook deliveries:', error);
+        return res.status(500).json({
+            error: 'Failed to list webhook deliveries',
+            message: error.message
+        });
+    }
+});
+
+// One delivery with every attempt made
+router.get('/deliveries/:id', async (req, res) => {
+    try {
+        const delivery = await getDelivery(req.params.id);
+        if (!delivery || !canAccessTenant(req, delivery.tenantId)) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+        return res.json(delivery);
+    } catch (error) {
+        console.error('Error getting webhook delivery:', error);
+        return res.status(500).json({
+            error: 'Failed to get webhook delivery',
+            message: error.message
+        });
+    }
+});
+
+// Send a delivery again, e.g. once a receiver that was down is back
+router.post('/deliveries/:id/replay', async (req, res) => {
+    try {
+        const existing = await getDelivery(req.params.id);
+        if (!existing || !canAccessTenant(req, existing.tenantId)) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+        const delivery = await replayDelivery(req.params.id);
+        if (!delivery) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+        return res.status(202).json({ success: true, delivery });
+    } catch (error) {
+        console.error('Error replaying webhook delivery:', error);
+        return res.status(500).json({
+            error: 'Failed to replay webhook delivery',
+            message: error.message
+        });
+    }
+});
+
+export default router;
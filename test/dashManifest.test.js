@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { buildDashManifest, buildSegmentTimeline, formatFrameRate } from '../utils/dashManifest.js';
+
+function representation(overrides) {
+    return {
+        initSegment: 'init.mp4',
+        segmentDurations: [4, 4, 2],
+        peakBandwidth: 1000000,
+        codecs: [],
+        ...overrides
+    };
+}
+
+describe('buildSegmentTimeline', () => {
+    it('folds repeated durations into r', () => {
+        assert.deepEqual(buildSegmentTimeline([4, 4, 4, 1.5]), [
+            '<S t="0" d="4000" r="2"/>',
+            '<S t="12000" d="1500"/>'
+        ]);
+    });
+
+    it('starts at the first segment decode time', () => {
+        assert.deepEqual(buildSegmentTimeline([2, 2], 1.4), ['<S t="1400" d="2000" r="1"/>']);
+    });
+});
+
+describe('formatFrameRate', () => {
+    it('writes NTSC rates as fractions', () => {
+        assert.equal(formatFrameRate(29.97), '30000/1001');
+        assert.equal(formatFrameRate(23.976), '24000/1001');
+        assert.equal(formatFrameRate(25), '25');
+        assert.equal(formatFrameRate(null), null);
+    });
+});
+
+describe('buildDashManifest', () => {
+    const manifest = buildDashManifest({
+        duration: 10,
+        video: [
+            representation({ id: '360p', dir: '360p/segments', width: 640, height: 360, frameRate: 25, codecs: ['avc1.64001E'], decodeTime: 0.08 }),
+            representation({ id: '720p', dir: '720p/segments', width: 1280, height: 720, frameRate: 25, codecs: ['avc1.64001F'], decodeTime: 0.08 })
+        ],
+        audio: [
+            representation({ id: 'audio_en', dir: 'audio/en', language: 'en', isDefault: true, audioChannels: 2, audioSampleRate: 48000, codecs: ['mp4a.40.2'], decodeTime: 0.021 })
+        ]
+    });
+
+    it('describes a static presentation of the given length', () => {
+        assert.match(manifest, /<MPD [^>]*type="static"[^>]*mediaPresentationDuration="PT10.000S"/);
+    });
+
+    it('puts the video representations in one adaptation set', () => {
+        assert.match(manifest, /<AdaptationSet id="0" contentType="video" mimeType="video\/mp4" [^>]*maxWidth="1280" maxHeight="720">/);
+        assert.match(manifest, /<Representation id="360p" bandwidth="1000000" codecs="avc1.64001E" width="640" height="360" frameRate="25" sar="1:1">/);
+        assert.match(manifest, /initialization="720p\/segments\/init.mp4" media="720p\/segments\/segment_\$Number%03d\$.m4s"/);
+    });
+
+    it('gives each audio track its own adaptation set with language and channels', () => {
+        assert.match(manifest, /<AdaptationSet id="1" contentType="audio" mimeType="audio\/mp4" lang="en"/);
+        assert.match(manifest, /<Role schemeIdUri="urn:mpeg:dash:role:2011" value="main"\/>/);
+        assert.match(manifest, /<AudioChannelConfiguration [^>]*value="2"\/>/);
+        assert.match(manifest, /<Representation id="audio_en" bandwidth="1000000" codecs="mp4a.40.2" audioSamplingRate="48000">/);
+    });
+
+    it('starts each timeline at its decode time, offset by the earliest one', () => {
+        const templates = manifest.match(/<SegmentTemplate [^>]*>/g);
+        assert.equal(templates.length, 3);
+        for (const template of templates) {
+            assert.match(template, /presentationTimeOffset="21"/);
+        }
+        assert.match(manifest, /<S t="80" d="4000" r="1"\/>/);
+        assert.match(manifest, /<S t="21" d="4000" r="1"\/>/);
+    });
+
+    it('leaves presentationTimeOffset out for timelines starting at zero', () => {
+        const plain = buildDashManifest({
+            duration: 10,
+            video: [representation({ id: 'v', dir: 'v', width: 640, height: 360 })]
+        });
+        assert.doesNotMatch(plain, /presentationTimeOffset/);
+        assert.match(plain, /<S t="0" d="4000" r="1"\/>/);
+    });
+});
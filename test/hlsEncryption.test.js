@@ -0,0 +1,90 @@
+import { describe, it, before } from 'node:test';
+import assert from 'assert/strict';
+import { createKeyToken, verifyKeyToken, addTokenToPlaylist } from '../utils/hlsEncryption.js';
+
+const KEY_ID = '3f2a6c1e-5b7d-4e8f-9a0b-1c2d3e4f5a6b';
+
+describe('verifyKeyToken', () => {
+    before(() => {
+        process.env.KEY_DELIVERY_SECRET = 'test-secret';
+    });
+
+    it('accepts a token issued for the key', () => {
+        assert.equal(verifyKeyToken(KEY_ID, createKeyToken(KEY_ID, 60)), true);
+    });
+
+    it('rejects an expired token', () => {
+        assert.equal(verifyKeyToken(KEY_ID, createKeyToken(KEY_ID, -1)), false);
+    });
+
+    it('rejects a token for another key', () => {
+        assert.equal(verifyKeyToken('another-key', createKeyToken(KEY_ID, 60)), false);
+    });
+
+    it('rejects a token whose expiry was pushed back', () => {
+        const [expires, signature] = createKeyToken(KEY_ID, 60).split('.');
+        assert.equal(verifyKeyToken(KEY_ID, `${Number(expires) + 3600}.${signature}`), false);
+    });
+
+    it('rejects a token whose signature was changed', () => {
+        const token = createKeyToken(KEY_ID, 60);
+        const tampered = token.slice(0, -1) + (token.endsWith('0') ? '1' : '0');
+        assert.equal(verifyKeyToken(KEY_ID, tampered), false);
+        assert.equal(verifyKeyToken(KEY_ID, token.slice(0, -2)), false);
+    });
+
+    it('rejects a token signed with another secret', () => {
+        const token = createKeyToken(KEY_ID, 60);
+        process.env.KEY_DELIVERY_SECRET = 'rotated-secret';
+        try {
+            assert.equal(verifyKeyToken(KEY_ID, token), false);
+        } finally {
+            process.env.KEY_DELIVERY_SECRET = 'test-secret';
+        }
+    });
+
+    it('rejects missing and malformed tokens', () => {
+        for (const token of [undefined, '', 'garbage', '.', `${Date.now()}`, ['1', '2']]) {
+            assert.equal(verifyKeyToken(KEY_ID, token), false);
+        }
+    });
+});
+
+describe('addTokenToPlaylist', () => {
+    const segmentBaseUrl = 'https://cdn.example.com/reels/abc/720p/segments/';
+
+    it('adds the token to key and playlist URIs and makes segments absolute', () => {
+        const playlist = [
+            '#EXTM3U',
+            '#EXT-X-VERSION:7',
+            '#EXT-X-KEY:METHOD=SAMPLE-AES,URI="https://keys.example.com/keys/abc",KEYFORMAT="identity"',
+            '#EXT-X-MAP:URI="init.mp4"',
+            '#EXTINF:4.000,',
+            'segment_000.m4s',
+            '#EXT-X-ENDLIST'
+        ].join('\n');
+
+        assert.deepEqual(addTokenToPlaylist(playlist, '123.abc', segmentBaseUrl).split('\n'), [
+            '#EXTM3U',
+            '#EXT-X-VERSION:7',
+            '#EXT-X-KEY:METHOD=SAMPLE-AES,URI="https://keys.example.com/keys/abc?token=123.abc",KEYFORMAT="identity"',
+            '#EXT-X-MAP:URI="https://cdn.example.com/reels/abc/720p/segments/init.mp4"',
+            '#EXTINF:4.000,',
+            'https://cdn.example.com/reels/abc/720p/segments/segment_000.m4s',
+            '#EXT-X-ENDLIST'
+        ]);
+    });
+
+    it('keeps linked playlists relative so they come back through the key service', () => {
+        const master = [
+            '#EXTM3U',
+            '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio",NAME="en",URI="audio/en/playlist.m3u8"',
+            '#EXT-X-STREAM-INF:BANDWIDTH=500000',
+            '360p/segments/playlist.m3u8?v=2'
+        ].join('\n');
+
+        const lines = addTokenToPlaylist(master, 'a b', 'https://cdn.example.com/reels/abc/').split('\n');
+        assert.equal(lines[1], '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio",NAME="en",URI="audio/en/playlist.m3u8?token=a%20b"');
+        assert.equal(lines[3], '360p/segments/playlist.m3u8?v=2&token=a%20b');
+    });
+});
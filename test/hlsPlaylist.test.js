@@ -0,0 +1,96 @@
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { buildMasterPlaylist, parseMediaPlaylist } from '../utils/hlsPlaylist.js';
+import { planLadder } from '../utils/ladder.js';
+
+function streamInfLines(playlist) {
+    return playlist.split('\n').filter(line => line.startsWith('#EXT-X-STREAM-INF:'));
+}
+
+describe('buildMasterPlaylist', () => {
+    it('writes the measured bandwidth, codecs, resolution and frame rate of each variant', () => {
+        const playlist = buildMasterPlaylist({
+            variants: [{
+                uri: '720p/segments/playlist.m3u8',
+                peakBandwidth: 2800000,
+                averageBandwidth: 2400000,
+                codecs: ['avc1.64001F', 'mp4a.40.2'],
+                width: 1280,
+                height: 720,
+                frameRate: 29.97
+            }]
+        });
+
+        assert.deepEqual(playlist.split('\n'), [
+            '#EXTM3U',
+            '#EXT-X-VERSION:4',
+            '#EXT-X-INDEPENDENT-SEGMENTS',
+            '#EXT-X-STREAM-INF:BANDWIDTH=2800000,AVERAGE-BANDWIDTH=2400000,CODECS="avc1.64001F,mp4a.40.2",RESOLUTION=1280x720,FRAME-RATE=29.970',
+            '720p/segments/playlist.m3u8',
+            ''
+        ]);
+    });
+
+    it('uses the display size of rotated sources for RESOLUTION', () => {
+        // A phone clip stored as 1920x1080 with a 90 degree rotation
+        const { renditions } = planLadder({ displayWidth: 1080, displayHeight: 1920 }, [
+            { name: '360p', height: 360 },
+            { name: '720p', height: 720 }
+        ]);
+        const playlist = buildMasterPlaylist({
+            variants: renditions.map(rendition => ({
+                uri: `${rendition.name}/segments/playlist.m3u8`,
+                peakBandwidth: 1000000,
+                width: rendition.width,
+                height: rendition.height
+            }))
+        });
+
+        assert.deepEqual(streamInfLines(playlist), [
+            '#EXT-X-STREAM-INF:BANDWIDTH=1000000,RESOLUTION=360x640',
+            '#EXT-X-STREAM-INF:BANDWIDTH=1000000,RESOLUTION=720x1280'
+        ]);
+    });
+
+    it('leaves out attributes it does not know and links audio and subtitle groups', () => {
+        const playlist = buildMasterPlaylist({
+            version: 7,
+            media: [
+                { type: 'AUDIO', groupId: 'audio', name: 'English', language: 'en', isDefault: true, channels: '2', uri: 'audio/en/playlist.m3u8' },
+                { type: 'SUBTITLES', groupId: 'subs', name: 'French', language: 'fr', uri: 'subtitles/fr/playlist.m3u8' }
+            ],
+            variants: [{ uri: 'v.m3u8', peakBandwidth: 500000, codecs: [], audio: 'audio', subtitles: 'subs' }]
+        });
+
+        assert.match(playlist, /^#EXT-X-VERSION:7$/m);
+        assert.match(playlist, /^#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio",NAME="English",LANGUAGE="en",DEFAULT=YES,AUTOSELECT=YES,CHANNELS="2",URI="audio\/en\/playlist.m3u8"$/m);
+        assert.match(playlist, /^#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="French",LANGUAGE="fr",DEFAULT=NO,AUTOSELECT=YES,FORCED=NO,URI="subtitles\/fr\/playlist.m3u8"$/m);
+        assert.deepEqual(streamInfLines(playlist), ['#EXT-X-STREAM-INF:BANDWIDTH=500000,AUDIO="audio",SUBTITLES="subs"']);
+    });
+});
+
+describe('parseMediaPlaylist', () => {
+    it('reads the version, init segment, durations and byte ranges', () => {
+        const playlist = parseMediaPlaylist([
+            '#EXTM3U',
+            '#EXT-X-VERSION:7',
+            '#EXT-X-TARGETDURATION:4',
+            '#EXT-X-MAP:URI="init.mp4"',
+            '#EXTINF:4.000,',
+            '#EXT-X-BYTERANGE:1000@800',
+            'stream.m4s',
+            '#EXTINF:2.500,',
+            '#EXT-X-BYTERANGE:600',
+            'stream.m4s',
+            '#EXT-X-ENDLIST'
+        ].join('\n'));
+
+        assert.equal(playlist.version, 7);
+        assert.equal(playlist.targetDuration, 4);
+        assert.deepEqual(playlist.map, { uri: 'init.mp4' });
+        assert.deepEqual(playlist.segments, [
+            { duration: 4, byteRange: { length: 1000, offset: 800 }, uri: 'stream.m4s' },
+            { duration: 2.5, byteRange: { length: 600, offset: 1800 }, uri: 'stream.m4s' }
+        ]);
+    });
+});
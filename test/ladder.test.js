@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { planLadder } from '../utils/ladder.js';
+import { parseBitrate } from '../utils/presets.js';
+
+const LADDER = [
+    { name: '360p', height: 360 },
+    { name: '720p', height: 720 },
+    { name: '1080p', height: 1080 }
+];
+
+describe('planLadder', () => {
+    it('sizes landscape renditions by height and skips the ones that would upscale', () => {
+        const { renditions, skipped } = planLadder({ displayWidth: 1280, displayHeight: 720 }, LADDER);
+
+        assert.deepEqual(renditions.map(({ name, width, height }) => ({ name, width, height })), [
+            { name: '360p', width: 640, height: 360 },
+            { name: '720p', width: 1280, height: 720 }
+        ]);
+        assert.deepEqual(skipped.map(item => item.name), ['1080p']);
+    });
+
+    it('fits portrait renditions to the short edge', () => {
+        const { renditions, skipped } = planLadder({ displayWidth: 1080, displayHeight: 1920 }, LADDER);
+
+        assert.deepEqual(renditions.map(({ width, height }) => `${width}x${height}`), ['360x640', '720x1280', '1080x1920']);
+        assert.deepEqual(skipped, []);
+    });
+
+    it('keeps even dimensions for odd aspect ratios', () => {
+        const { renditions } = planLadder({ displayWidth: 1000, displayHeight: 562 }, [{ name: '360p', height: 360 }]);
+
+        assert.equal(renditions[0].height, 360);
+        assert.equal(renditions[0].width % 2, 0);
+    });
+
+    it('caps the lowest rendition at the source size when every rendition would upscale', () => {
+        const { renditions, skipped } = planLadder({ displayWidth: 320, displayHeight: 240 }, LADDER);
+
+        assert.equal(renditions.length, 1);
+        assert.equal(renditions[0].name, '360p');
+        assert.equal(renditions[0].cappedToSource, true);
+        assert.deepEqual([renditions[0].width, renditions[0].height], [320, 240]);
+        assert.deepEqual(skipped.map(item => item.name), ['720p', '1080p']);
+    });
+});
+
+describe('parseBitrate', () => {
+    it('reads k and M suffixes in either case', () => {
+        assert.equal(parseBitrate('800k'), 800000);
+        assert.equal(parseBitrate('2.5M'), 2500000);
+        assert.equal(parseBitrate('1.5m'), 1500000);
+        assert.equal(parseBitrate('96K'), 96000);
+    });
+
+    it('takes plain numbers as bits per second', () => {
+        assert.equal(parseBitrate(128000), 128000);
+        assert.equal(parseBitrate('64000'), 64000);
+    });
+
+    it('returns NaN for values that are not bit rates', () => {
+        assert.ok(Number.isNaN(parseBitrate('fast')));
+    });
+});
@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { readBoxes, readTimescale, readBaseMediaDecodeTime } from '../utils/mp4Boxes.js';
+
+function box(type, ...children) {
+    const payload = Buffer.concat(children);
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + payload.length);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, payload]);
+}
+
+function fullBox(type, version, fields) {
+    return box(type, Buffer.from([version, 0, 0, 0]), fields);
+}
+
+function mdhd(version, timescale) {
+    // creation and modification times, then the timescale
+    const fields = Buffer.alloc(version === 1 ? 20 : 12);
+    fields.writeUInt32BE(timescale, version === 1 ? 16 : 8);
+    return fullBox('mdhd', version, fields);
+}
+
+function tfdt(version, decodeTime) {
+    const fields = Buffer.alloc(version === 1 ? 8 : 4);
+    if (version === 1) {
+        fields.writeBigUInt64BE(BigInt(decodeTime));
+    } else {
+        fields.writeUInt32BE(decodeTime);
+    }
+    return fullBox('tfdt', version, fields);
+}
+
+describe('readBoxes', () => {
+    it('lists top level boxes and stops at one running past the data', () => {
+        const buffer = Buffer.concat([box('ftyp', Buffer.alloc(4)), box('moov'), box('mdat', Buffer.alloc(16))]);
+        const truncated = buffer.subarray(0, buffer.length - 4);
+
+        assert.deepEqual(readBoxes(buffer).map(item => item.type), ['ftyp', 'moov', 'mdat']);
+        assert.deepEqual(readBoxes(truncated).map(item => item.type), ['ftyp', 'moov']);
+    });
+});
+
+describe('readTimescale', () => {
+    it('reads the first track timescale from version 0 and 1 headers', () => {
+        for (const version of [0, 1]) {
+            const init = Buffer.concat([
+                box('ftyp', Buffer.alloc(4)),
+                box('moov', box('mvhd'), box('trak', box('tkhd'), box('mdia', mdhd(version, 90000))))
+            ]);
+            assert.equal(readTimescale(init), 90000);
+        }
+    });
+
+    it('returns null without a track', () => {
+        assert.equal(readTimescale(box('moov', box('mvhd'))), null);
+    });
+});
+
+describe('readBaseMediaDecodeTime', () => {
+    it('reads the first fragment decode time after a styp box', () => {
+        const segment = Buffer.concat([
+            box('styp', Buffer.alloc(4)),
+            box('moof', box('mfhd'), box('traf', box('tfhd'), tfdt(0, 126000))),
+            box('mdat', Buffer.alloc(8))
+        ]);
+        assert.equal(readBaseMediaDecodeTime(segment), 126000);
+    });
+
+    it('reads 64-bit decode times', () => {
+        const segment = box('moof', box('traf', tfdt(1, 2 ** 33)));
+        assert.equal(readBaseMediaDecodeTime(segment), 2 ** 33);
+    });
+
+    it('returns null for segments that are not fragmented MP4', () => {
+        assert.equal(readBaseMediaDecodeTime(Buffer.from([0x47, 0x40, 0x00, 0x10])), null);
+    });
+});
@@ -0,0 +1,97 @@
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { planStages, ProgressReporter } from '../utils/progress.js';
+
+// download 8, probe 2, thumbnail 4, transcode 55, packaging 5, upload 10
+const STAGES = planStages({});
+
+function createReporter(options) {
+    const updates = [];
+    const reporter = new ProgressReporter(STAGES, update => updates.push(update), options);
+    return { reporter, updates };
+}
+
+describe('planStages', () => {
+    it('adds the optional stages a job asks for, in pipeline order', () => {
+        assert.deepEqual(STAGES, ['download', 'probe', 'thumbnail', 'transcode', 'packaging', 'upload']);
+        assert.deepEqual(planStages({ loudness: true, sprites: true, teaser: true }, { edit: true, dedupe: true }), [
+            'render', 'download', 'hash', 'probe', 'loudness', 'thumbnail', 'sprites', 'teaser', 'transcode', 'packaging', 'upload'
+        ]);
+    });
+});
+
+describe('ProgressReporter', () => {
+    it('weights the overall percentage by stage and counts skipped stages as done', () => {
+        const { reporter, updates } = createReporter({ interval: 0 });
+
+        reporter.start('download');
+        assert.equal(updates.at(-1).percent, 0);
+
+        reporter.update({ bytes: 50, totalBytes: 100 });
+        assert.equal(updates.at(-1).stagePercent, 50);
+        assert.equal(updates.at(-1).bytesTransferred, 50);
+        assert.equal(updates.at(-1).percent, 4.8);
+
+        reporter.start('transcode', { renditions: ['360p'] });
+        assert.equal(updates.at(-1).percent, 16.7);
+        assert.deepEqual(updates.at(-1).detail, { renditions: ['360p'] });
+
+        reporter.update({ percent: 50, speed: 2 });
+        assert.equal(updates.at(-1).percent, 49.4);
+        assert.equal(updates.at(-1).speed, 2);
+        assert.equal(updates.at(-1).stageIndex, 3);
+        assert.equal(updates.at(-1).stageCount, 6);
+    });
+
+    it('ignores stages it does not know and stages already passed', () => {
+        const { reporter, updates } = createReporter({ interval: 0 });
+
+        reporter.start('packaging');
+        reporter.start('download');
+        reporter.start('teaser');
+        assert.equal(updates.length, 1);
+        assert.equal(updates[0].stage, 'packaging');
+    });
+
+    it('stays below 100 until finished', () => {
+        const { reporter, updates } = createReporter({ interval: 0 });
+
+        reporter.start('upload');
+        reporter.update({ percent: 150 });
+        assert.equal(updates.at(-1).stagePercent, 100);
+        assert.equal(updates.at(-1).percent, 99.9);
+
+        reporter.finish();
+        assert.equal(updates.at(-1).stage, 'done');
+        assert.equal(updates.at(-1).percent, 100);
+        assert.equal(updates.at(-1).etaSeconds, null);
+    });
+
+    it('throttles updates within a stage but not stage changes', () => {
+        const { reporter, updates } = createReporter({ interval: 60 * 1000 });
+
+        reporter.start('download');
+        reporter.update({ percent: 10 });
+        reporter.update({ percent: 20 });
+        reporter.start('probe');
+        assert.deepEqual(updates.map(update => update.stage), ['download', 'probe']);
+    });
+
+    it('does not throw when reporting fails', async () => {
+        const errors = [];
+        const originalError = console.error;
+        console.error = (...args) => errors.push(args.join(' '));
+        try {
+            new ProgressReporter(STAGES, () => {
+                throw new Error('boom');
+            }).start('download');
+            new ProgressReporter(STAGES, async () => {
+                throw new Error('rejected');
+            }).start('download');
+            await new Promise(resolve => setImmediate(resolve));
+        } finally {
+            console.error = originalError;
+        }
+        assert.deepEqual(errors, ['Error reporting progress: boom', 'Error reporting progress: rejected']);
+    });
+});
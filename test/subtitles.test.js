@@ -0,0 +1,80 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { formatTimestamp, parseWebVtt, writeSegmentedWebVtt } from '../utils/subtitles.js';
+
+const VTT = [
+    'WEBVTT',
+    '',
+    'STYLE',
+    '::cue { color: yellow; }',
+    '',
+    'NOTE this is skipped',
+    '',
+    '1',
+    '00:00:01.000 --> 00:00:03.500 align:start line:10%',
+    'Hello',
+    '',
+    '00:05.000 --> 00:07.250',
+    'Across a',
+    'boundary',
+    '',
+    '00:00:08.000 --> 00:00:08.500',
+    'Later',
+    ''
+].join('\r\n');
+
+describe('formatTimestamp', () => {
+    it('writes hours, minutes, seconds and milliseconds', () => {
+        assert.equal(formatTimestamp(0), '00:00:00.000');
+        assert.equal(formatTimestamp(3723.4567), '01:02:03.457');
+    });
+});
+
+describe('parseWebVtt', () => {
+    it('splits styles and cues and skips notes', () => {
+        const { styles, cues } = parseWebVtt(VTT);
+
+        assert.deepEqual(styles, ['STYLE\n::cue { color: yellow; }']);
+        assert.deepEqual(cues, [
+            { start: 1, end: 3.5, settings: 'align:start line:10%', text: 'Hello' },
+            { start: 5, end: 7.25, settings: '', text: 'Across a\nboundary' },
+            { start: 8, end: 8.5, settings: '', text: 'Later' }
+        ]);
+    });
+});
+
+describe('writeSegmentedWebVtt', () => {
+    let trackDir;
+
+    before(async () => {
+        trackDir = await fs.mkdtemp(path.join(os.tmpdir(), 'subtitles-test-'));
+    });
+
+    after(async () => {
+        await fs.remove(trackDir);
+    });
+
+    it('writes six second segments and a VOD playlist covering the duration', async () => {
+        const result = await writeSegmentedWebVtt(VTT, trackDir, { duration: 9, mpegtsOffset: 126000 });
+        assert.deepEqual(result, { cueCount: 3, segmentCount: 2 });
+
+        const playlist = await fs.readFile(path.join(trackDir, 'playlist.m3u8'), 'utf8');
+        assert.match(playlist, /#EXT-X-PLAYLIST-TYPE:VOD/);
+        assert.match(playlist, /#EXTINF:6.000,\nsegment_000.vtt\n#EXTINF:3.000,\nsegment_001.vtt\n#EXT-X-ENDLIST\n$/);
+
+        const first = await fs.readFile(path.join(trackDir, 'segment_000.vtt'), 'utf8');
+        assert.match(first, /^WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:126000,LOCAL:00:00:00.000\n\nSTYLE\n::cue \{ color: yellow; \}\n/);
+        assert.match(first, /00:00:01.000 --> 00:00:03.500 align:start line:10%\nHello/);
+        assert.match(first, /00:00:05.000 --> 00:00:07.250\nAcross a\nboundary/);
+        assert.doesNotMatch(first, /Later/);
+
+        // The cue spanning the boundary is repeated
+        const second = await fs.readFile(path.join(trackDir, 'segment_001.vtt'), 'utf8');
+        assert.match(second, /00:00:05.000 --> 00:00:07.250\nAcross a\nboundary/);
+        assert.match(second, /00:00:08.000 --> 00:00:08.500\nLater/);
+        assert.doesNotMatch(second, /Hello/);
+    });
+});
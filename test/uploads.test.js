@@ -0,0 +1,40 @@
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { parseUploadMetadata, formatUploadMetadata } from '../utils/uploads.js';
+
+function base64(value) {
+    return Buffer.from(value, 'utf8').toString('base64');
+}
+
+describe('parseUploadMetadata', () => {
+    it('decodes base64 values and keeps keys without a value', () => {
+        const header = `filename ${base64('clip é.mp4')},filetype ${base64('video/mp4')}, is_private`;
+
+        assert.deepEqual(parseUploadMetadata(header), {
+            filename: 'clip é.mp4',
+            filetype: 'video/mp4',
+            is_private: ''
+        });
+    });
+
+    it('returns an empty object without a header', () => {
+        assert.deepEqual(parseUploadMetadata(undefined), {});
+        assert.deepEqual(parseUploadMetadata(''), {});
+    });
+
+    it('rejects duplicate keys, extra fields and non-ASCII keys', () => {
+        for (const header of [
+            `name ${base64('a')},name ${base64('b')}`,
+            `name ${base64('a')} extra`,
+            `nämé ${base64('a')}`,
+            `a,,b`
+        ]) {
+            assert.throws(() => parseUploadMetadata(header), /Malformed Upload-Metadata entry/);
+        }
+    });
+
+    it('reads back what formatUploadMetadata writes', () => {
+        const metadata = { filename: 'holiday.mov', title: 'Day 1, beach', flag: '' };
+        assert.deepEqual(parseUploadMetadata(formatUploadMetadata(metadata)), metadata);
+    });
+});
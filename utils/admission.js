@@ -0,0 +1,66 @@
+import axios from 'axios';
+import admissionConfig from '../config/admission.js';
+import { probeMedia, describeMedia } from './mediaProbe.js';
+import { parseStorageUri, getReadableInput } from './storage.js';
+
+// Content-Length of a remote file, when ffprobe couldn't tell
+async function getRemoteSize(url) {
+    try {
+        const response = await axios.head(url, { timeout: 10000 });
+        return Number(response.headers['content-length']) || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Compare a described input (see describeMedia) with the admission rules.
+// Returns a list of { rule, message, limit, actual }, empty when it is accepted.
+function checkAdmission(media, rules = admissionConfig) {
+    const violations = [];
+    const reject = (rule, message, limit, actual) => violations.push({ rule, message, limit, actual });
+
+    if (rules.requireVideo && !media.hasVideo) {
+        reject('requireVideo', 'Input has no video stream', true, false);
+    }
+    if (rules.maxDuration && media.duration && media.duration > rules.maxDuration) {
+        reject('maxDuration', `Input is ${Math.round(media.duration)}s long, the limit is ${rules.maxDuration}s`, rules.maxDuration, media.duration);
+    }
+    if (rules.maxFileSize && media.size && media.size > rules.maxFileSize) {
+        reject('maxFileSize', `Input is ${media.size} bytes, the limit is ${rules.maxFileSize} bytes`, rules.maxFileSize, media.size);
+    }
+    if (rules.allowedContainers.length && media.container) {
+        // ffprobe reports every name of the demuxer, e.g. "mov,mp4,m4a,3gp,3g2,mj2"
+        const names = media.container.split(',');
+        if (!names.some(name => rules.allowedContainers.includes(name))) {
+            reject('allowedContainers', `Container ${media.container} is not allowed`, rules.allowedContainers, media.container);
+        }
+    }
+    if (rules.allowedVideoCodecs.length && media.video && !rules.allowedVideoCodecs.includes(media.video.codec)) {
+        reject('allowedVideoCodecs', `Video codec ${media.video.codec} is not allowed`, rules.allowedVideoCodecs, media.video.codec);
+    }
+    if (rules.allowedAudioCodecs.length) {
+        for (const stream of media.streams.filter(item => item.type === 'audio')) {
+            if (!rules.allowedAudioCodecs.includes(stream.codec)) {
+                reject('allowedAudioCodecs', `Audio codec ${stream.codec} (stream ${stream.index}) is not allowed`, rules.allowedAudioCodecs, stream.codec);
+            }
+        }
+    }
+
+    return violations;
+}
+
+// Probe a source URI and check it against the admission rules before queueing.
+// Throws when the input can't be probed at all, or is outside the tenant's storage.
+async function admitInput(uri, rules = admissionConfig, tenant = null) {
+    const input = await getReadableInput(parseStorageUri(uri, tenant), tenant);
+    const metadata = await probeMedia(input, { timeout: rules.probeTimeout });
+    const media = describeMedia(metadata);
+
+    if (!media.size && rules.maxFileSize && /^https?:/.test(input)) {
+        media.size = await getRemoteSize(input);
+    }
+
+    return { media, violations: checkAdmission(media, rules) };
+}
+
+export { checkAdmission, admitInput };
@@ -0,0 +1,154 @@
+import crypto from 'crypto';
+import getRedisClient from './redisClient.js';
+import authConfig from '../config/auth.js';
+
+// What a key may do. `admin` includes every other scope.
+const API_SCOPES = ['jobs:submit', 'jobs:read', 'diagnostics', 'admin'];
+
+// Scopes that see the whole platform, so never given to a tenant's key
+const PLATFORM_SCOPES = ['diagnostics', 'admin'];
+
+const API_KEYS_KEY = 'api-keys';
+const API_KEY_HASHES_KEY = 'api-keys:by-hash';
+const AUDIT_LOG_KEY = 'api-audit-log';
+
+const KEY_PREFIX = 'vck_';
+
+// lastUsedAt is refreshed at most this often per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function hasScope(apiKey, scope) {
+    return apiKey.scopes.includes('admin') || apiKey.scopes.includes(scope);
+}
+
+// A key with a tenantId acts for that tenant only
+function validateApiKey({ name, scopes, tenantId } = {}) {
+    const errors = [];
+    if (!name || typeof name !== 'string' || name.length > 100) {
+        errors.push('name is required and must be a string of at most 100 characters');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_SCOPES.includes(scope))) {
+        errors.push(`scopes must be a non-empty list of ${API_SCOPES.join(', ')}`);
+    }
+    if (tenantId !== undefined && tenantId !== null) {
+        if (typeof tenantId !== 'string') {
+            errors.push('tenantId must be a tenant id');
+        }
+        if (Array.isArray(scopes) && scopes.some(scope => PLATFORM_SCOPES.includes(scope))) {
+            errors.push(`A tenant's key cannot have the ${PLATFORM_SCOPES.join(' or ')} scope`);
+        }
+    }
+    return errors;
+}
+
+// The stored record without the hash
+function describeApiKey(record) {
+    const { hash, ...rest } = record;
+    return rest;
+}
+
+// Returns the record and the plain key, which is not kept anywhere
+async function createApiKey({ name, scopes, tenantId = null }, createdBy = null) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+        id: crypto.randomUUID(),
+        name,
+        scopes: [...new Set(scopes)],
+        tenantId,
+        prefix: key.slice(0, KEY_PREFIX.length + 6),
+        hash: hashApiKey(key),
+        createdAt: new Date().toISOString(),
+        createdBy,
+        lastUsedAt: null,
+        revokedAt: null
+    };
+
+    const redis = getRedisClient();
+    await redis.hset(API_KEYS_KEY, record.id, JSON.stringify(record));
+    await redis.hset(API_KEY_HASHES_KEY, record.hash, record.id);
+    return { key, record: describeApiKey(record) };
+}
+
+async function getApiKeyRecord(id) {
+    const stored = await getRedisClient().hget(API_KEYS_KEY, id);
+    return stored ? JSON.parse(stored) : null;
+}
+
+async function listApiKeys() {
+    const stored = await getRedisClient().hgetall(API_KEYS_KEY);
+    return Object.values(stored)
+        .map(value => describeApiKey(JSON.parse(value)))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Revoked keys stay listed (and in the audit log) but stop working
+async function revokeApiKey(id) {
+    const record = await getApiKeyRecord(id);
+    if (!record) return null;
+
+    if (!record.revokedAt) {
+        record.revokedAt = new Date().toISOString();
+        const redis = getRedisClient();
+        await redis.hset(API_KEYS_KEY, id, JSON.stringify(record));
+        await redis.hdel(API_KEY_HASHES_KEY, record.hash);
+    }
+    return describeApiKey(record);
+}
+
+// Look up the key presented with a request. Returns { id, name, scopes, tenantId } or null.
+async function verifyApiKey(key) {
+    if (!key) return null;
+    const hash = hashApiKey(key);
+
+    if (authConfig.adminKey && crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(hashApiKey(authConfig.adminKey), 'hex'))) {
+        return { id: 'bootstrap', name: 'ADMIN_API_KEY', scopes: ['admin'], tenantId: null };
+    }
+
+    const redis = getRedisClient();
+    const id = await redis.hget(API_KEY_HASHES_KEY, hash);
+    const record = id ? await getApiKeyRecord(id) : null;
+    if (!record || record.revokedAt) return null;
+
+    if (!record.lastUsedAt || Date.now() - Date.parse(record.lastUsedAt) > LAST_USED_RESOLUTION_MS) {
+        record.lastUsedAt = new Date().toISOString();
+        await redis.hset(API_KEYS_KEY, id, JSON.stringify(record));
+    }
+    return { id: record.id, name: record.name, scopes: record.scopes, tenantId: record.tenantId || null };
+}
+
+async function recordAudit(entry) {
+    const redis = getRedisClient();
+    await redis.lpush(AUDIT_LOG_KEY, JSON.stringify(entry));
+    await redis.ltrim(AUDIT_LOG_KEY, 0, authConfig.auditLogMaxEntries - 1);
+}
+
+// Newest first, optionally for one key or one tenant
+async function listAudit({ keyId, tenantId, limit = 100, offset = 0 } = {}) {
+    const stored = await getRedisClient().lrange(AUDIT_LOG_KEY, 0, -1);
+    const entries = stored
+        .map(value => JSON.parse(value))
+        .filter(entry => !keyId || entry.keyId === keyId)
+        .filter(entry => !tenantId || entry.tenantId === tenantId);
+    return {
+        total: entries.length,
+        entries: entries.slice(offset, offset + limit)
+    };
+}
+
+export {
+    API_SCOPES,
+    hasScope,
+    validateApiKey,
+    createApiKey,
+    getApiKeyRecord,
+    describeApiKey,
+    listApiKeys,
+    revokeApiKey,
+    verifyApiKey,
+    recordAudit,
+    listAudit
+};
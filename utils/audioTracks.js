@@ -0,0 +1,51 @@
+// Pick the audio tracks a job keeps and give each one a folder name.
+//
+// `requested` is the job's audioTracks option: language codes ("eng") and/or
+// audio stream indexes (0 is the first audio stream). Without it every track
+// of the source is kept.
+function selectAudioTracks(available, requested) {
+    let selected = available;
+
+    if (requested && requested.length) {
+        selected = available.filter(track => requested.some(wanted =>
+            typeof wanted === 'number'
+                ? wanted === track.index
+                : wanted.toLowerCase() === track.language.toLowerCase()
+        ));
+
+        if (available.length && selected.length === 0) {
+            const found = available.map(track => `${track.index}:${track.language}`).join(', ');
+            throw new Error(`None of the requested audio tracks (${requested.join(', ')}) exist in the source (found ${found})`);
+        }
+    }
+
+    // The source's default track stays the default, otherwise the first kept one
+    const defaultTrack = selected.find(track => track.isDefault) || selected[0];
+    const usedNames = new Set();
+    const usedLabels = new Set();
+
+    return selected.map(track => {
+        // Folder name, e.g. "eng", or "eng_2" for a second English track
+        let name = track.language.toLowerCase().replace(/[^a-z0-9-]/g, '') || 'und';
+        if (usedNames.has(name)) {
+            name = `${name}_${track.index}`;
+        }
+        usedNames.add(name);
+
+        // NAME shown by players, which must be unique within the audio group
+        let label = track.title || (track.language === 'und' ? 'Audio' : track.language);
+        if (usedLabels.has(label)) {
+            label = `${label} ${track.index + 1}`;
+        }
+        usedLabels.add(label);
+
+        return {
+            ...track,
+            name,
+            label,
+            isDefault: track === defaultTrack
+        };
+    });
+}
+
+export { selectAudioTracks };
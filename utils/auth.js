@@ -0,0 +1,138 @@
+import { hasScope, verifyApiKey, recordAudit } from './apiKeys.js';
+import { getTenant } from './tenants.js';
+
+// Reachable without a key: health checks, and HLS key delivery (GET
+// /keys/:keyId and its playlists), which players call with their own signed
+// tokens. Issuing those tokens (/keys/:keyId/tokens) needs a key.
+const PUBLIC_PATHS = [/^\/health$/, /^\/keys\/[^/]+$/, /^\/keys\/[^/]+\/playlists\/.+$/];
+
+// "Authorization: Bearer <key>", "X-API-Key: <key>", or Basic auth with the
+// key as password (so a browser can open Bull Board). EventSource can't send
+// headers, so event streams also take ?apiKey=.
+function readApiKey(req) {
+    const header = req.get('authorization') || '';
+    if (header.startsWith('Bearer ')) {
+        return header.slice('Bearer '.length).trim();
+    }
+    if (header.startsWith('Basic ')) {
+        const decoded = Buffer.from(header.slice('Basic '.length), 'base64').toString('utf8');
+        return decoded.slice(decoded.indexOf(':') + 1);
+    }
+    if (req.get('x-api-key')) {
+        return req.get('x-api-key');
+    }
+    if (req.method === 'GET' && req.path.endsWith('/stream') && typeof req.query.apiKey === 'string') {
+        return req.query.apiKey;
+    }
+    return null;
+}
+
+function audit(req, res, startedAt) {
+    recordAudit({
+        at: new Date(startedAt).toISOString(),
+        keyId: req.apiKey?.id || null,
+        keyName: req.apiKey?.name || null,
+        tenantId: req.tenant?.id || null,
+        method: req.method,
+        // No query string: it may hold the key
+        path: req.baseUrl + req.path,
+        status: res.statusCode,
+        ip: req.ip,
+        durationMs: Date.now() - startedAt
+    }).catch((error) => {
+        console.error('Error writing audit log:', error.message);
+    });
+}
+
+// Every request needs a valid key (see PUBLIC_PATHS). Changes, refused
+// requests and reads of routes marked with `auditReads` go to the audit log.
+// `req.tenant` is the tenant the request acts for: a tenant key's own, or
+// the `tenantId` a platform key names in the body or query.
+async function authenticate(req, res, next) {
+    if (req.method === 'OPTIONS' || PUBLIC_PATHS.some(pattern => pattern.test(req.path))) {
+        return next();
+    }
+
+    const startedAt = Date.now();
+    res.on('finish', () => {
+        const isRead = req.method === 'GET' || req.method === 'HEAD';
+        if (!isRead || req.auditReads || res.statusCode === 401 || res.statusCode === 403) {
+            audit(req, res, startedAt);
+        }
+    });
+
+    try {
+        req.apiKey = await verifyApiKey(readApiKey(req));
+    } catch (error) {
+        console.error('Error verifying API key:', error);
+        return res.status(500).json({
+            error: 'Failed to verify API key',
+            message: error.message
+        });
+    }
+
+    if (!req.apiKey) {
+        if (req.path.startsWith('/admin/')) {
+            // Lets browsers prompt for the key
+            res.set('WWW-Authenticate', 'Basic realm="video-converter", charset="UTF-8"');
+        }
+        return res.status(401).json({ error: 'A valid API key is required' });
+    }
+
+    const requested = req.body?.tenantId ?? req.query.tenantId;
+    if (req.apiKey.tenantId && requested && requested !== req.apiKey.tenantId) {
+        return res.status(403).json({ error: `This API key belongs to tenant ${req.apiKey.tenantId}` });
+    }
+
+    const tenantId = req.apiKey.tenantId || requested;
+    if (tenantId) {
+        try {
+            req.tenant = await getTenant(String(tenantId));
+        } catch (error) {
+            console.error('Error loading tenant:', error);
+            return res.status(500).json({
+                error: 'Failed to load tenant',
+                message: error.message
+            });
+        }
+        if (!req.tenant) {
+            // A tenant key whose tenant was deleted stops working
+            return req.apiKey.tenantId
+                ? res.status(401).json({ error: `Tenant ${tenantId} no longer exists` })
+                : res.status(400).json({ error: `Tenant ${tenantId} does not exist` });
+        }
+    }
+    next();
+}
+
+// Whether the request may see something belonging to `tenantId`. Platform
+// keys see everything; tenant keys only their own tenant's jobs and uploads.
+function canAccessTenant(req, tenantId) {
+    return !req.apiKey?.tenantId || req.apiKey.tenantId === (tenantId || null);
+}
+
+// `scope` is a scope name or a function of the request returning one
+function requireScope(scope, { auditReads = false } = {}) {
+    return (req, res, next) => {
+        if (req.method === 'OPTIONS') return next();
+
+        const needed = typeof scope === 'function' ? scope(req) : scope;
+        if (auditReads) {
+            req.auditReads = true;
+        }
+        if (!req.apiKey) {
+            return res.status(401).json({ error: 'A valid API key is required' });
+        }
+        if (!hasScope(req.apiKey, needed)) {
+            return res.status(403).json({ error: `This API key does not have the ${needed} scope` });
+        }
+        next();
+    };
+}
+
+// Reads need `readScope`, anything else `writeScope`
+function scopeByMethod(readScope, writeScope) {
+    return req => (req.method === 'GET' || req.method === 'HEAD' ? readScope : writeScope);
+}
+
+export { authenticate, requireScope, scopeByMethod, canAccessTenant };
@@ -0,0 +1,151 @@
+// Build an MPEG-DASH manifest (MPD) that points at the same CMAF segments the
+// HLS playlists use, so one set of fMP4 files serves both players.
+
+// Segment durations are expressed in milliseconds in the timeline
+const TIMESCALE = 1000;
+
+function formatDuration(seconds) {
+    return `PT${seconds.toFixed(3)}S`;
+}
+
+// 29.97 -> "30000/1001", 25 -> "25"
+function formatFrameRate(frameRate) {
+    if (!frameRate) return null;
+    const ntsc = Math.round(frameRate * 1.001);
+    if (Math.abs(frameRate - ntsc * 1000 / 1001) < 0.01 && Math.abs(frameRate - Math.round(frameRate)) > 0.01) {
+        return `${ntsc * 1000}/1001`;
+    }
+    return String(Math.round(frameRate));
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function attributes(values) {
+    return Object.entries(values)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([key, value]) => `${key}="${escapeXml(value)}"`)
+        .join(' ');
+}
+
+// <S> elements, with repeated durations folded into r="n". The first starts
+// at `startTime` (seconds), the first segment's decode time in the media.
+function buildSegmentTimeline(segmentDurations, startTime = 0) {
+    const entries = [];
+    let time = Math.round(startTime * TIMESCALE);
+
+    for (const duration of segmentDurations) {
+        const d = Math.round(duration * TIMESCALE);
+        const last = entries[entries.length - 1];
+        if (last && last.d === d) {
+            last.r += 1;
+        } else {
+            entries.push({ t: time, d, r: 0 });
+        }
+        time += d;
+    }
+
+    return entries.map(({ t, d, r }) => `<S ${attributes({ t, d, r: r || null })}/>`);
+}
+
+// representation: { id, dir, initSegment, segmentDurations, decodeTime, peakBandwidth, codecs, ... }
+// `dir` is the folder of the media playlist relative to the manifest.
+// `children` are extra elements placed before the SegmentTemplate.
+// `timeOffset` (seconds) is the media time the Period starts at.
+function buildRepresentation(representation, extra, children, indent, timeOffset) {
+    const pad = ' '.repeat(indent);
+    const media = representation.segmentTemplate || 'segment_$Number%03d$.m4s';
+
+    return [
+        `${pad}<Representation ${attributes({
+            id: representation.id,
+            bandwidth: representation.peakBandwidth,
+            codecs: representation.codecs.join(','),
+            ...extra
+        })}>`,
+        ...children.map(line => `${pad}  ${line}`),
+        `${pad}  <SegmentTemplate ${attributes({
+            timescale: TIMESCALE,
+            initialization: `${representation.dir}/${representation.initSegment}`,
+            media: `${representation.dir}/${media}`,
+            startNumber: 0,
+            presentationTimeOffset: Math.round(timeOffset * TIMESCALE) || null
+        })}>`,
+        `${pad}    <SegmentTimeline>`,
+        ...buildSegmentTimeline(representation.segmentDurations, representation.decodeTime || 0).map(line => `${pad}      ${line}`),
+        `${pad}    </SegmentTimeline>`,
+        `${pad}  </SegmentTemplate>`,
+        `${pad}</Representation>`
+    ];
+}
+
+function buildDashManifest({ duration, video = [], audio = [] }) {
+    // Every stream shares one offset, the earliest start, so the Period begins
+    // at the first media sample and audio keeps its sync with video
+    const timeOffset = Math.min(...video.concat(audio).map(item => item.decodeTime || 0));
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<MPD ${attributes({
+            'xmlns': 'urn:mpeg:dash:schema:mpd:2011',
+            'profiles': 'urn:mpeg:dash:profile:isoff-live:2011,urn:mpeg:dash:profile:cmaf:2019',
+            'type': 'static',
+            'mediaPresentationDuration': formatDuration(duration),
+            'minBufferTime': 'PT2S'
+        })}>`,
+        `  <Period ${attributes({ id: '0', start: 'PT0S' })}>`
+    ];
+
+    if (video.length) {
+        lines.push(`    <AdaptationSet ${attributes({
+            id: 0,
+            contentType: 'video',
+            mimeType: 'video/mp4',
+            segmentAlignment: 'true',
+            startWithSAP: 1,
+            maxWidth: Math.max(...video.map(item => item.width)),
+            maxHeight: Math.max(...video.map(item => item.height))
+        })}>`);
+        for (const representation of video) {
+            lines.push(...buildRepresentation(representation, {
+                width: representation.width,
+                height: representation.height,
+                frameRate: formatFrameRate(representation.frameRate),
+                sar: '1:1'
+            }, [], 6, timeOffset));
+        }
+        lines.push('    </AdaptationSet>');
+    }
+
+    audio.forEach((track, index) => {
+        lines.push(`    <AdaptationSet ${attributes({
+            id: video.length ? index + 1 : index,
+            contentType: 'audio',
+            mimeType: 'audio/mp4',
+            lang: track.language,
+            segmentAlignment: 'true',
+            startWithSAP: 1
+        })}>`);
+        if (track.isDefault) {
+            lines.push('      <Role schemeIdUri="urn:mpeg:dash:role:2011" value="main"/>');
+        }
+        const children = track.audioChannels
+            ? [`<AudioChannelConfiguration ${attributes({
+                schemeIdUri: 'urn:mpeg:dash:23003:3:audio_channel_configuration:2011',
+                value: track.audioChannels
+            })}/>`]
+            : [];
+        lines.push(...buildRepresentation(track, { audioSamplingRate: track.audioSampleRate }, children, 6, timeOffset));
+        lines.push('    </AdaptationSet>');
+    });
+
+    lines.push('  </Period>', '</MPD>');
+    return lines.join('\n') + '\n';
+}
+
+export { buildDashManifest, buildSegmentTimeline, formatFrameRate };
@@ -0,0 +1,106 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import { pipeline } from 'stream/promises';
+import getRedisClient from './redisClient.js';
+import dedupConfig from '../config/dedup.js';
+
+// Content-hash deduplication. After a job's source is downloaded it is
+// hashed; when the same bytes were already processed with the same
+// settings, the earlier output is reused instead of transcoding again:
+//   'copy'      the earlier files are copied to the new destination
+//   'reference' the new job returns the earlier URLs as they are
+const DEDUPE_MODES = ['off', 'copy', 'reference'];
+
+const OUTPUT_PREFIX = 'content-outputs:';
+
+// Options that change what the pipeline writes. `renditions` is the resolved
+// ladder, so a preset and the same ladder given inline match.
+const FINGERPRINT_FIELDS = [
+    'renditions',
+    'outputFormat',
+    'progressive',
+    'measureQuality',
+    'audioTracks',
+    'subtitles',
+    'sprites',
+    'posters',
+    'teaser',
+    'watermark',
+    'loudness'
+];
+
+function validateDedupe(dedupe) {
+    if (dedupe === undefined || dedupe === null || typeof dedupe === 'boolean') return [];
+    if (!DEDUPE_MODES.includes(dedupe)) {
+        return [`dedupe must be true, false or one of ${DEDUPE_MODES.join(', ')}`];
+    }
+    return [];
+}
+
+// 'off', 'copy' or 'reference'. `true` means copy. Encrypted jobs are never
+// deduplicated: every reel gets its own content key.
+function getDedupeMode(options = {}) {
+    if (options.encryption) return 'off';
+    if (options.dedupe === true) return 'copy';
+    if (options.dedupe === false) return 'off';
+    const mode = options.dedupe || dedupConfig.defaultMode;
+    return DEDUPE_MODES.includes(mode) ? mode : 'off';
+}
+
+async function hashFile(filePath, { signal } = {}) {
+    const hash = crypto.createHash('sha256');
+    await pipeline(fs.createReadStream(filePath), hash, { signal });
+    return hash.digest('hex');
+}
+
+function getSettingsFingerprint(options = {}) {
+    const settings = {};
+    for (const field of FINGERPRINT_FIELDS) {
+        if (options[field] !== undefined && options[field] !== null) {
+            settings[field] = options[field];
+        }
+    }
+    return crypto.createHash('sha256').update(JSON.stringify(settings)).digest('hex');
+}
+
+// Outputs are only shared within a tenant
+function outputKey(contentHash, options, tenantId) {
+    return `${OUTPUT_PREFIX}${tenantId || 'platform'}:${contentHash}:${getSettingsFingerprint(options)}`;
+}
+
+// { reelId, destination, baseUrl, files, storedBytes, result, createdAt } of
+// the job that processed this source with these settings, or null
+async function findProcessedOutput(contentHash, options, tenantId) {
+    const stored = await getRedisClient().get(outputKey(contentHash, options, tenantId));
+    return stored ? JSON.parse(stored) : null;
+}
+
+async function saveProcessedOutput(contentHash, options, tenantId, output) {
+    await getRedisClient().set(
+        outputKey(contentHash, options, tenantId),
+        JSON.stringify({ ...output, createdAt: new Date().toISOString() }),
+        'EX',
+        dedupConfig.outputTtlDays * 24 * 60 * 60
+    );
+}
+
+async function forgetProcessedOutput(contentHash, options, tenantId) {
+    await getRedisClient().del(outputKey(contentHash, options, tenantId));
+}
+
+// The earlier result with every URL under `fromBase` moved to `toBase`
+function rebaseResult(result, fromBase, toBase) {
+    if (fromBase === toBase) return result;
+    return JSON.parse(JSON.stringify(result).split(fromBase).join(toBase));
+}
+
+export {
+    DEDUPE_MODES,
+    validateDedupe,
+    getDedupeMode,
+    hashFile,
+    findProcessedOutput,
+    saveProcessedOutput,
+    forgetProcessedOutput,
+    rebaseResult
+};
@@ -0,0 +1,225 @@
+import fs from 'fs-extra';
+import path from 'path';
+import axios from 'axios';
+import { runFfmpeg } from './ffmpegRunner.js';
+import { getVideoInfo } from './mediaProbe.js';
+import { parseStorageUri, getStorage } from './storage.js';
+
+// BullMQ job name for trim/concat jobs; they share the reel processing queue
+const EDIT_JOB_NAME = 'video-edit-reel';
+
+const MAX_EDIT_SEGMENTS = 20;
+const MAX_CROSSFADE_DURATION = 3;
+
+// Every clip is brought to this audio layout before concatenating
+const EDIT_AUDIO_SAMPLE_RATE = 48000;
+const EDIT_AUDIO_LAYOUT = 'stereo';
+
+// Returns a list of problems with the body of an edit job
+function validateEditJob({ segments, transition, output } = {}) {
+    const errors = [];
+
+    if (!Array.isArray(segments) || segments.length === 0) {
+        errors.push('segments must be a non-empty array of { url, start, end }');
+    } else if (segments.length > MAX_EDIT_SEGMENTS) {
+        errors.push(`segments can contain at most ${MAX_EDIT_SEGMENTS} entries`);
+    } else {
+        segments.forEach((segment, index) => {
+            const label = `segments[${index}]`;
+            if (!segment || typeof segment !== 'object') {
+                errors.push(`${label} must be an object`);
+                return;
+            }
+            if (!/^(https?|s3|file):\/\//.test(String(segment.url))) {
+                errors.push(`${label}.url must be an http(s), s3:// or file:// URI`);
+            }
+            for (const field of ['start', 'end']) {
+                if (segment[field] !== undefined && !(typeof segment[field] === 'number' && segment[field] >= 0)) {
+                    errors.push(`${label}.${field} must be a number of seconds`);
+                }
+            }
+            if (typeof segment.start === 'number' && typeof segment.end === 'number' && segment.end <= segment.start) {
+                errors.push(`${label}.end must be after ${label}.start`);
+            }
+        });
+    }
+
+    if (transition !== undefined) {
+        if (!transition || transition.type !== 'crossfade') {
+            errors.push('transition must look like { "type": "crossfade", "duration": 0.5 }');
+        } else if (!(typeof transition.duration === 'number' && transition.duration > 0 && transition.duration <= MAX_CROSSFADE_DURATION)) {
+            errors.push(`transition.duration must be between 0 and ${MAX_CROSSFADE_DURATION} seconds`);
+        }
+    }
+
+    if (output !== undefined) {
+        if (!output || typeof output !== 'object' || Array.isArray(output)) {
+            errors.push('output must be an object like { "width": 1080, "height": 1920, "frameRate": 30 }');
+        } else {
+            for (const field of ['width', 'height']) {
+                const value = output[field];
+                if (value !== undefined && !(Number.isInteger(value) && value >= 144 && value <= 4320 && value % 2 === 0)) {
+                    errors.push(`output.${field} must be an even integer between 144 and 4320`);
+                }
+            }
+            if ((output.width === undefined) !== (output.height === undefined)) {
+                errors.push('output.width and output.height must be given together');
+            }
+            if (output.frameRate !== undefined && !(typeof output.frameRate === 'number' && output.frameRate >= 1 && output.frameRate <= 60)) {
+                errors.push('output.frameRate must be between 1 and 60');
+            }
+        }
+    }
+
+    return errors;
+}
+
+async function downloadClip(url, destination, { tenant, signal } = {}) {
+    if (!/^https?:/.test(url)) {
+        const location = parseStorageUri(url, tenant);
+        await getStorage(location, tenant).download(location, destination, { signal });
+        return;
+    }
+
+    const response = await axios({
+        method: 'get',
+        url,
+        responseType: 'stream',
+        timeout: 60000,
+        signal
+    });
+    const writer = fs.createWriteStream(destination);
+    await new Promise((resolve, reject) => {
+        response.data.pipe(writer);
+        response.data.on('error', reject);
+        writer.on('finish', resolve);
+        writer.on('error', reject);
+    });
+}
+
+// One filter chain per clip bringing it to the common size, frame rate and
+// audio layout. Clips without audio get silence so concat/acrossfade line up.
+function buildClipFilters(clips, { width, height, frameRate }) {
+    const filters = [];
+    clips.forEach((clip, index) => {
+        filters.push(
+            `[${index}:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,`
+            + `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${frameRate},format=yuv420p,setpts=PTS-STARTPTS[v${index}]`
+        );
+        if (clip.hasAudio) {
+            filters.push(
+                `[${index}:a]aformat=sample_rates=${EDIT_AUDIO_SAMPLE_RATE}:channel_layouts=${EDIT_AUDIO_LAYOUT},`
+                + `apad,atrim=duration=${clip.duration.toFixed(3)},asetpts=PTS-STARTPTS[a${index}]`
+            );
+        } else {
+            filters.push(
+                `anullsrc=r=${EDIT_AUDIO_SAMPLE_RATE}:cl=${EDIT_AUDIO_LAYOUT},atrim=duration=${clip.duration.toFixed(3)},asetpts=PTS-STARTPTS[a${index}]`
+            );
+        }
+    });
+    return filters;
+}
+
+// Join the normalised clips, either back to back or with crossfades
+function buildJoinFilters(clips, transition) {
+    if (clips.length === 1) {
+        return { filters: [], video: '[v0]', audio: '[a0]' };
+    }
+
+    if (!transition) {
+        const inputs = clips.map((_, index) => `[v${index}][a${index}]`).join('');
+        return { filters: [`${inputs}concat=n=${clips.length}:v=1:a=1[vout][aout]`], video: '[vout]', audio: '[aout]' };
+    }
+
+    // xfade offsets are measured on the joined timeline, which loses one
+    // transition length per join
+    const filters = [];
+    let video = '[v0]';
+    let audio = '[a0]';
+    let offset = 0;
+    for (let index = 1; index < clips.length; index++) {
+        offset += clips[index - 1].duration - transition.duration;
+        filters.push(`${video}[v${index}]xfade=transition=fade:duration=${transition.duration}:offset=${offset.toFixed(3)}[xv${index}]`);
+        filters.push(`${audio}[a${index}]acrossfade=d=${transition.duration}[xa${index}]`);
+        video = `[xv${index}]`;
+        audio = `[xa${index}]`;
+    }
+    return { filters, video, audio };
+}
+
+// Download, trim, normalise and join the segments of an edit job into one
+// mezzanine MP4 that the normal HLS pipeline can take as its source.
+// `onProgress` gets the first 30% while downloading and the rest while rendering.
+async function renderEdit(segments, { workDir, transition, output = {}, logger, tenant = null, signal, onProgress = () => {} }) {
+    const clips = [];
+    for (const [index, segment] of segments.entries()) {
+        const sourcePath = path.join(workDir, `clip_${index}${path.extname(parseStorageUri(segment.url).key) || '.mp4'}`);
+        logger.info(`Downloading clip ${index + 1}/${segments.length} from ${segment.url}`);
+        onProgress({ percent: index / segments.length * 30, detail: { clip: index + 1, clips: segments.length } });
+        await downloadClip(segment.url, sourcePath, { tenant, signal });
+
+        const info = await getVideoInfo(sourcePath);
+        const start = segment.start || 0;
+        const end = Math.min(segment.end ?? info.duration, info.duration || Infinity);
+        if (!Number.isFinite(end) || end <= start) {
+            throw new Error(`Segment ${index} (${start}s to ${segment.end ?? 'end'}) is outside the clip, which is ${info.duration}s long`);
+        }
+
+        clips.push({ sourcePath, start, duration: end - start, info, hasAudio: info.hasAudio });
+    }
+
+    if (transition) {
+        const tooShort = clips.findIndex(clip => clip.duration <= transition.duration);
+        if (tooShort !== -1) {
+            throw new Error(`Segment ${tooShort} is shorter than the ${transition.duration}s crossfade`);
+        }
+    }
+
+    // The first clip decides the shape of the result unless the job sets it
+    const first = clips[0].info;
+    const target = {
+        width: output.width || first.displayWidth - (first.displayWidth % 2),
+        height: output.height || first.displayHeight - (first.displayHeight % 2),
+        frameRate: output.frameRate || Math.round(first.frameRate || 30)
+    };
+    logger.info(`Normalising ${clips.length} clips to ${target.width}x${target.height} at ${target.frameRate}fps`);
+
+    const inputs = clips.flatMap(clip => [
+        '-ss', clip.start.toFixed(3),
+        '-t', clip.duration.toFixed(3),
+        '-i', clip.sourcePath
+    ]);
+    const join = buildJoinFilters(clips, transition);
+    const filters = [...buildClipFilters(clips, target), ...join.filters];
+
+    const outputPath = path.join(workDir, 'edit.mp4');
+    const duration = clips.reduce((total, clip) => total + clip.duration, 0)
+        - (transition ? transition.duration * (clips.length - 1) : 0);
+
+    await runFfmpeg([
+        ...inputs,
+        '-filter_complex', filters.join(';'),
+        '-map', join.video,
+        '-map', join.audio,
+        '-c:v', 'libx264', '-preset', 'fast', '-crf', '18',
+        '-c:a', 'aac', '-b:a', '192k',
+        '-movflags', '+faststart',
+        outputPath
+    ], {
+        duration,
+        onProgress: ({ percent, speed }) => onProgress({ percent: 30 + (percent || 0) * 0.7, speed, detail: null })
+    });
+
+    // The clips aren't needed once the edit is rendered
+    await Promise.all(clips.map(clip => fs.remove(clip.sourcePath)));
+
+    logger.info(`Rendered edit of ${duration.toFixed(2)}s to ${outputPath}`);
+    return {
+        path: outputPath,
+        duration,
+        ...target,
+        segments: clips.map(clip => ({ start: clip.start, duration: clip.duration }))
+    };
+}
+
+export { EDIT_JOB_NAME, validateEditJob, renderEdit };
@@ -0,0 +1,101 @@
+import { spawn } from 'child_process';
+import { AsyncLocalStorage } from 'async_hooks';
+import ffmpegStatic from 'ffmpeg-static';
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || ffmpegStatic || 'ffmpeg';
+
+// Keep only the end of stderr, that is where ffmpeg explains what went wrong
+const STDERR_TAIL_LENGTH = 64 * 1024;
+
+// Cancelling a job has to reach ffmpeg calls deep inside the pipeline, so
+// the job's AbortSignal travels with the async context instead of through
+// every helper's options.
+const abortContext = new AsyncLocalStorage();
+
+// Run `fn`; ffmpeg and ffprobe started inside it are killed when `signal` aborts
+function withAbortSignal(signal, fn) {
+    return abortContext.run(signal, fn);
+}
+
+function getAbortSignal() {
+    return abortContext.getStore() || null;
+}
+
+// Run ffmpeg with the given arguments.
+// It is killed with SIGKILL if the surrounding job is cancelled (see withAbortSignal).
+// `duration` (seconds) lets us turn ffmpeg's progress output into a percentage.
+// Resolves with the wall clock time and the tail of stderr (for stats parsing).
+function runFfmpeg(args, { duration, onProgress } = {}) {
+    return new Promise((resolve, reject) => {
+        const startedAt = Date.now();
+        const signal = getAbortSignal();
+        const child = spawn(FFMPEG_PATH, [
+            '-hide_banner',
+            '-nostdin',
+            '-y',
+            '-progress', 'pipe:1',
+            '-nostats',
+            ...args
+        ], {
+            ...(signal && { signal, killSignal: 'SIGKILL' })
+        });
+
+        let stderr = '';
+        let progressBuffer = '';
+        let progress = {};
+
+        child.stderr.on('data', (chunk) => {
+            stderr = (stderr + chunk.toString()).slice(-STDERR_TAIL_LENGTH);
+        });
+
+        // -progress writes blocks of key=value lines, each ending with progress=continue|end
+        child.stdout.on('data', (chunk) => {
+            progressBuffer += chunk.toString();
+            const lines = progressBuffer.split('\n');
+            progressBuffer = lines.pop();
+
+            for (const line of lines) {
+                const [key, value] = line.trim().split('=');
+                if (!key) continue;
+                progress[key] = value;
+
+                if (key === 'progress') {
+                    const outTimeSeconds = Number(progress.out_time_us || progress.out_time_ms || 0) / 1000000;
+                    if (onProgress) {
+                        onProgress({
+                            outTimeSeconds,
+                            percent: duration ? Math.min(100, Math.round(outTimeSeconds / duration * 1000) / 10) : null,
+                            speed: parseFloat(progress.speed) || null,
+                            done: value === 'end'
+                        });
+                    }
+                    progress = {};
+                }
+            }
+        });
+
+        child.on('error', (error) => {
+            if (error.name === 'AbortError') {
+                const abortError = new Error('ffmpeg was killed, the job was cancelled');
+                abortError.code = 'ABORT_ERR';
+                return reject(abortError);
+            }
+            reject(new Error(`Failed to start ffmpeg: ${error.message}`));
+        });
+
+        child.on('close', (code, signal) => {
+            const elapsedMs = Date.now() - startedAt;
+            if (code === 0) {
+                return resolve({ elapsedMs, stderr });
+            }
+
+            const lastLines = stderr.trim().split('\n').slice(-10).join('\n');
+            const error = new Error(`ffmpeg exited with ${signal ? `signal ${signal}` : `code ${code}`}: ${lastLines}`);
+            error.code = code;
+            error.signal = signal;
+            reject(error);
+        });
+    });
+}
+
+export { FFMPEG_PATH, runFfmpeg, withAbortSignal, getAbortSignal };
@@ -0,0 +1,255 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import dotenv from 'dotenv';
+import getRedisClient from './redisClient.js';
+import { parseMediaPlaylist } from './hlsPlaylist.js';
+import { runPackager } from './packager.js';
+import { HLS_SEGMENT_DURATION } from './transcoder.js';
+
+dotenv.config();
+
+// AES-128 encrypts whole segments and works with every HLS player.
+// SAMPLE-AES encrypts only the video NAL units and audio frames (what
+// FairPlay builds on); Shaka Packager does it, ffmpeg can't, and audio is
+// then always packaged as its own rendition.
+const ENCRYPTION_METHODS = ['AES-128', 'SAMPLE-AES'];
+
+const KEY_PREFIX = 'hls-keys:';
+
+// How long a key delivery token is valid when none is given, and at most
+const DEFAULT_TOKEN_TTL_SECONDS = 6 * 60 * 60;
+const MAX_TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+function getKeyDeliverySecret() {
+    if (!process.env.KEY_DELIVERY_SECRET) {
+        throw new Error('KEY_DELIVERY_SECRET is not configured');
+    }
+    return process.env.KEY_DELIVERY_SECRET;
+}
+
+// Returns a list of problems with a job's `encryption` option. The other
+// job options are checked too: progressive MP4s and teasers would be
+// uploaded in the clear next to the encrypted segments.
+function validateEncryption(encryption, { outputFormat = 'hls', progressive, teaser } = {}) {
+    if (!encryption) return [];
+    if (typeof encryption !== 'object' || Array.isArray(encryption)) {
+        return ['encryption must be an object like { "method": "AES-128" }'];
+    }
+
+    const method = encryption.method || 'AES-128';
+    if (!ENCRYPTION_METHODS.includes(method)) {
+        return [`encryption.method must be one of ${ENCRYPTION_METHODS.join(', ')}`];
+    }
+    if (outputFormat !== 'hls') {
+        return ['encryption is only available with the "hls" output format'];
+    }
+    if (progressive || teaser) {
+        return ['encryption cannot be combined with progressive or teaser, those files are not encrypted'];
+    }
+    if (!process.env.KEY_DELIVERY_URL || !process.env.KEY_DELIVERY_SECRET) {
+        return ['encryption requires KEY_DELIVERY_URL and KEY_DELIVERY_SECRET to be configured'];
+    }
+    return [];
+}
+
+// Where players fetch a key; this is the URI written into EXT-X-KEY
+function getKeyUri(keyId) {
+    return `${process.env.KEY_DELIVERY_URL.replace(/\/$/, '')}/keys/${keyId}`;
+}
+
+// Where native players get the asset's playlists with tokenised key URIs
+function getPlaylistUri(keyId, playlistPath = 'master.m3u8') {
+    return `${getKeyUri(keyId)}/playlists/${playlistPath}`;
+}
+
+// Generate and store a new content key for one asset. `location` (storage
+// URI) and `baseUrl` (public URL) of the output folder let /keys serve its
+// playlists.
+async function createContentKey(reelId, method, { tenantId = null, location = null, baseUrl = null } = {}) {
+    const keyId = crypto.randomUUID();
+    const key = crypto.randomBytes(16);
+
+    await getRedisClient().set(`${KEY_PREFIX}${keyId}`, JSON.stringify({
+        keyId,
+        reelId,
+        tenantId,
+        location,
+        baseUrl,
+        method,
+        key: key.toString('hex'),
+        createdAt: new Date().toISOString()
+    }));
+
+    return {
+        keyId,
+        key,
+        method,
+        keyUri: getKeyUri(keyId)
+    };
+}
+
+async function getContentKey(keyId) {
+    const stored = await getRedisClient().get(`${KEY_PREFIX}${keyId}`);
+    if (!stored) return null;
+
+    const record = JSON.parse(stored);
+    return { ...record, key: Buffer.from(record.key, 'hex') };
+}
+
+// Token format: "<expires unix seconds>.<hex hmac of keyId:expires>"
+function createKeyToken(keyId, ttlSeconds = DEFAULT_TOKEN_TTL_SECONDS) {
+    const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+    const signature = crypto
+        .createHmac('sha256', getKeyDeliverySecret())
+        .update(`${keyId}:${expires}`)
+        .digest('hex');
+    return `${expires}.${signature}`;
+}
+
+function verifyKeyToken(keyId, token) {
+    if (!token || typeof token !== 'string') return false;
+
+    const [expires, signature] = token.split('.');
+    if (!expires || !signature || Number(expires) < Date.now() / 1000) {
+        return false;
+    }
+
+    const expected = crypto
+        .createHmac('sha256', getKeyDeliverySecret())
+        .update(`${keyId}:${expires}`)
+        .digest('hex');
+
+    return signature.length === expected.length
+        && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+function withToken(uri, token) {
+    return `${uri}${uri.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`;
+}
+
+// A stored playlist as served to a native player: playlists it links to and
+// EXT-X-KEY URIs carry the token, segments point at their public URL.
+// `segmentBaseUrl` is the public URL of the playlist's folder.
+function addTokenToPlaylist(content, token, segmentBaseUrl) {
+    const absolute = uri => new URL(uri, segmentBaseUrl).toString();
+    const isPlaylist = uri => /\.m3u8$/i.test(uri.split('?')[0]);
+
+    return content.split(/\r?\n/).map((line) => {
+        const trimmed = line.trim();
+        if (!trimmed) return line;
+
+        if (trimmed.startsWith('#')) {
+            return line.replace(/URI="([^"]+)"/, (match, uri) => {
+                if (trimmed.startsWith('#EXT-X-KEY:')) return `URI="${withToken(uri, token)}"`;
+                return `URI="${isPlaylist(uri) ? withToken(uri, token) : absolute(uri)}"`;
+            });
+        }
+        return isPlaylist(trimmed) ? withToken(trimmed, token) : absolute(trimmed);
+    }).join('\n');
+}
+
+// Encrypt every segment of a media playlist in place and write the
+// EXT-X-KEY tags. Returns the number of segments.
+async function encryptMediaPlaylist(playlistPath, contentKey) {
+    return contentKey.method === 'SAMPLE-AES'
+        ? sampleEncryptMediaPlaylist(playlistPath, contentKey)
+        : aesEncryptMediaPlaylist(playlistPath, contentKey);
+}
+
+// AES-128-CBC (PKCS#7) over whole segments, a fresh IV per segment
+async function aesEncryptMediaPlaylist(playlistPath, { key, keyUri, method }) {
+    const playlistDir = path.dirname(playlistPath);
+    const lines = (await fs.readFile(playlistPath, 'utf8')).split(/\r?\n/);
+    const output = [];
+    let pendingTags = [];
+    let segmentCount = 0;
+
+    for (const line of lines) {
+        const trimmed = line.trim();
+
+        if (trimmed.startsWith('#EXTINF:') || trimmed.startsWith('#EXT-X-BYTERANGE:')) {
+            pendingTags.push(line);
+            continue;
+        }
+
+        if (trimmed && !trimmed.startsWith('#')) {
+            const segmentPath = path.join(playlistDir, trimmed);
+            const iv = crypto.randomBytes(16);
+            const cipher = crypto.createCipheriv('aes-128-cbc', key, iv);
+            const plain = await fs.readFile(segmentPath);
+            await fs.writeFile(segmentPath, Buffer.concat([cipher.update(plain), cipher.final()]));
+
+            output.push(`#EXT-X-KEY:METHOD=${method},URI="${keyUri}",IV=0x${iv.toString('hex')}`);
+            output.push(...pendingTags, line);
+            pendingTags = [];
+            segmentCount += 1;
+            continue;
+        }
+
+        output.push(...pendingTags, line);
+        pendingTags = [];
+    }
+
+    await fs.writeFile(playlistPath, output.join('\n'));
+    return segmentCount;
+}
+
+// SAMPLE-AES: the rendition's segments are joined back into one stream and
+// Shaka Packager cuts it again on the same grid, encrypting the samples
+// (cbcs) and writing the playlist. Each rendition holds a single stream.
+async function sampleEncryptMediaPlaylist(playlistPath, { keyId, key, keyUri }) {
+    const segmentDir = path.dirname(playlistPath);
+    const workDir = `${segmentDir}_packaging`;
+    const playlist = parseMediaPlaylist(await fs.readFile(playlistPath, 'utf8'));
+
+    await fs.emptyDir(workDir);
+    try {
+        // MPEG-TS segments concatenate into a valid stream as they are
+        const sourcePath = path.join(workDir, 'source.ts');
+        for (const segment of playlist.segments) {
+            await pipeline(
+                fs.createReadStream(path.join(segmentDir, segment.uri)),
+                fs.createWriteStream(sourcePath, { flags: 'a' })
+            );
+        }
+
+        // Paths are relative to workDir so nothing in them can break the stream descriptor
+        await runPackager([
+            'in=source.ts,stream=0,segment_template=segments/segment_$Number%03d$.ts,playlist_name=segments/playlist.m3u8',
+            '--segment_duration', String(HLS_SEGMENT_DURATION),
+            // Keep ffmpeg's timestamps, the subtitles are lined up with them
+            '--transport_stream_timestamp_offset_ms', '0',
+            '--enable_raw_key_encryption',
+            '--keys', `label=:key_id=${keyId.replace(/-/g, '')}:key=${key.toString('hex')}`,
+            '--protection_scheme', 'cbcs',
+            '--clear_lead', '0',
+            '--hls_key_uri', keyUri,
+            '--hls_playlist_type', 'VOD',
+            '--hls_master_playlist_output', 'master.m3u8'
+        ], { cwd: workDir });
+
+        await fs.remove(segmentDir);
+        await fs.move(path.join(workDir, 'segments'), segmentDir);
+    } finally {
+        await fs.remove(workDir);
+    }
+
+    return parseMediaPlaylist(await fs.readFile(playlistPath, 'utf8')).segments.length;
+}
+
+export {
+    ENCRYPTION_METHODS,
+    validateEncryption,
+    createContentKey,
+    getContentKey,
+    DEFAULT_TOKEN_TTL_SECONDS,
+    MAX_TOKEN_TTL_SECONDS,
+    getKeyUri,
+    getPlaylistUri,
+    createKeyToken,
+    verifyKeyToken,
+    addTokenToPlaylist,
+    encryptMediaPlaylist
+};
@@ -0,0 +1,223 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { probeMedia, parseFrameRate } from './mediaProbe.js';
+import { readFragmentDecodeTime } from './mp4Boxes.js';
+
+// Master playlists are always written as version 4 or later
+const MIN_HLS_VERSION = 4;
+
+// Parse the tags of a media playlist that matter for building a master playlist
+function parseMediaPlaylist(content) {
+    const playlist = { version: 1, targetDuration: null, map: null, segments: [] };
+    let pending = {};
+    let lastByteRangeEnd = 0;
+
+    for (const rawLine of content.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line) continue;
+
+        if (line.startsWith('#EXT-X-VERSION:')) {
+            playlist.version = Number(line.split(':')[1]);
+        } else if (line.startsWith('#EXT-X-TARGETDURATION:')) {
+            playlist.targetDuration = Number(line.split(':')[1]);
+        } else if (line.startsWith('#EXT-X-MAP:')) {
+            const uri = line.match(/URI="([^"]+)"/);
+            playlist.map = uri ? { uri: uri[1] } : null;
+        } else if (line.startsWith('#EXTINF:')) {
+            pending.duration = parseFloat(line.slice('#EXTINF:'.length));
+        } else if (line.startsWith('#EXT-X-BYTERANGE:')) {
+            const [length, offset] = line.slice('#EXT-X-BYTERANGE:'.length).split('@').map(Number);
+            const start = offset !== undefined && !Number.isNaN(offset) ? offset : lastByteRangeEnd;
+            pending.byteRange = { length, offset: start };
+            lastByteRangeEnd = start + length;
+        } else if (!line.startsWith('#')) {
+            playlist.segments.push({ ...pending, uri: line });
+            pending = {};
+        }
+    }
+
+    return playlist;
+}
+
+// RFC 6381 codec string for a probed stream
+function getCodecString(stream) {
+    switch (stream.codec_name) {
+        case 'h264': {
+            const profiles = {
+                'Baseline': '4200',
+                'Constrained Baseline': '42E0',
+                'Main': '4D40',
+                'Extended': '5800',
+                'High': '6400',
+                'High 10': '6E00',
+                'High 4:2:2': '7A00',
+                'High 4:4:4 Predictive': 'F400'
+            };
+            const profile = profiles[stream.profile] || '6400';
+            const level = Number(stream.level) > 0 ? Number(stream.level) : 31;
+            return `avc1.${profile}${level.toString(16).padStart(2, '0').toUpperCase()}`;
+        }
+        case 'hevc': {
+            const main10 = stream.profile === 'Main 10';
+            const level = Number(stream.level) > 0 ? Number(stream.level) : 93;
+            return `hvc1.${main10 ? '2.4' : '1.6'}.L${level}.B0`;
+        }
+        case 'aac': {
+            const objectTypes = { 'HE-AAC': 5, 'HE-AACv2': 29 };
+            return `mp4a.40.${objectTypes[stream.profile] || 2}`;
+        }
+        case 'mp3':
+            return 'mp4a.40.34';
+        case 'ac3':
+            return 'ac-3';
+        case 'eac3':
+            return 'ec-3';
+        case 'opus':
+            return 'Opus';
+        default:
+            return null;
+    }
+}
+
+// Peak and average bit rate of a media playlist, from the size of its segments
+async function measurePlaylistBandwidth(playlistPath, playlist) {
+    const playlistDir = path.dirname(playlistPath);
+    if (!playlist) {
+        playlist = parseMediaPlaylist(await fs.readFile(playlistPath, 'utf8'));
+    }
+
+    let peakBandwidth = 0;
+    let totalBits = 0;
+    let totalDuration = 0;
+
+    for (const segment of playlist.segments) {
+        const size = segment.byteRange
+            ? segment.byteRange.length
+            : (await fs.stat(path.join(playlistDir, segment.uri))).size;
+        const bits = size * 8;
+
+        totalBits += bits;
+        totalDuration += segment.duration;
+
+        // BANDWIDTH must cover the peak segment bit rate (RFC 8216 4.3.4.2)
+        peakBandwidth = Math.max(peakBandwidth, bits / segment.duration);
+    }
+
+    return {
+        duration: totalDuration,
+        peakBandwidth: Math.ceil(peakBandwidth),
+        averageBandwidth: Math.ceil(totalBits / totalDuration)
+    };
+}
+
+// Read a generated media playlist and its segments to work out what a player
+// needs to know about it: real bandwidth, resolution, codecs and frame rate.
+async function analyseMediaPlaylist(playlistPath) {
+    const playlistDir = path.dirname(playlistPath);
+    const playlist = parseMediaPlaylist(await fs.readFile(playlistPath, 'utf8'));
+
+    if (playlist.segments.length === 0) {
+        throw new Error(`Media playlist ${playlistPath} has no segments`);
+    }
+
+    const bandwidth = await measurePlaylistBandwidth(playlistPath, playlist);
+
+    // The init segment (fMP4) carries the codec configuration; otherwise probe a segment
+    const probeTarget = path.join(playlistDir, playlist.map ? playlist.map.uri : playlist.segments[0].uri);
+    const { streams, format } = await probeMedia(probeTarget);
+    const videoStream = streams.find(stream => stream.codec_type === 'video');
+    const audioStream = streams.find(stream => stream.codec_type === 'audio');
+
+    const codecs = [videoStream, audioStream]
+        .filter(Boolean)
+        .map(getCodecString)
+        .filter(Boolean);
+
+    // Where an fMP4 stream's timeline starts; the DASH SegmentTimeline counts from it
+    const firstSegment = playlist.segments[0];
+    const decodeTime = playlist.map
+        ? await readFragmentDecodeTime(
+            path.join(playlistDir, playlist.map.uri),
+            path.join(playlistDir, firstSegment.uri),
+            firstSegment.byteRange ? firstSegment.byteRange.offset : 0
+        )
+        : null;
+
+    return {
+        version: playlist.version,
+        segmentCount: playlist.segments.length,
+        segmentDurations: playlist.segments.map(segment => segment.duration),
+        initSegment: playlist.map ? playlist.map.uri : null,
+        // Presentation time of the first segment, needed to line WebVTT cues up with MPEG-TS
+        startTime: playlist.map ? 0 : (parseFloat(format && format.start_time) || 0),
+        decodeTime,
+        ...bandwidth,
+        width: videoStream ? videoStream.width : null,
+        height: videoStream ? videoStream.height : null,
+        frameRate: videoStream ? (parseFrameRate(videoStream.avg_frame_rate) || parseFrameRate(videoStream.r_frame_rate)) : null,
+        audioChannels: audioStream ? audioStream.channels : null,
+        audioSampleRate: audioStream ? Number(audioStream.sample_rate) : null,
+        codecs
+    };
+}
+
+function formatAttributes(attributes) {
+    return Object.entries(attributes)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([key, value]) => `${key}=${value}`)
+        .join(',');
+}
+
+function quoted(value) {
+    return value === undefined || value === null ? null : `"${value}"`;
+}
+
+// Build the text of a master playlist.
+// media:    [{ type, groupId, name, language, isDefault, autoselect, forced, channels, uri }]
+// variants: [{ uri, peakBandwidth, averageBandwidth, width, height, frameRate, codecs, audio, subtitles }]
+function buildMasterPlaylist({ variants, media = [], version = MIN_HLS_VERSION }) {
+    const lines = [
+        '#EXTM3U',
+        `#EXT-X-VERSION:${Math.max(version, MIN_HLS_VERSION)}`,
+        '#EXT-X-INDEPENDENT-SEGMENTS'
+    ];
+
+    for (const rendition of media) {
+        lines.push(`#EXT-X-MEDIA:${formatAttributes({
+            'TYPE': rendition.type,
+            'GROUP-ID': quoted(rendition.groupId),
+            'NAME': quoted(rendition.name),
+            'LANGUAGE': quoted(rendition.language),
+            'DEFAULT': rendition.isDefault ? 'YES' : 'NO',
+            'AUTOSELECT': rendition.autoselect === false ? 'NO' : 'YES',
+            // FORCED is only allowed on SUBTITLES renditions
+            'FORCED': rendition.type === 'SUBTITLES' ? (rendition.forced ? 'YES' : 'NO') : null,
+            'CHANNELS': quoted(rendition.channels),
+            'URI': quoted(rendition.uri)
+        })}`);
+    }
+
+    for (const variant of variants) {
+        lines.push(`#EXT-X-STREAM-INF:${formatAttributes({
+            'BANDWIDTH': variant.peakBandwidth,
+            'AVERAGE-BANDWIDTH': variant.averageBandwidth,
+            'CODECS': variant.codecs && variant.codecs.length ? quoted(variant.codecs.join(',')) : null,
+            'RESOLUTION': variant.width && variant.height ? `${variant.width}x${variant.height}` : null,
+            'FRAME-RATE': variant.frameRate ? variant.frameRate.toFixed(3) : null,
+            'AUDIO': quoted(variant.audio),
+            'SUBTITLES': quoted(variant.subtitles)
+        })}`);
+        lines.push(variant.uri);
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+export {
+    MIN_HLS_VERSION,
+    parseMediaPlaylist,
+    getCodecString,
+    measurePlaylistBandwidth,
+    analyseMediaPlaylist,
+    buildMasterPlaylist
+};
@@ -0,0 +1,99 @@
+import crypto from 'crypto';
+import getRedisClient from './redisClient.js';
+import dedupConfig from '../config/dedup.js';
+
+// Submissions are keyed by an idempotency key: the client's own (the
+// Idempotency-Key header or `idempotencyKey` in the body) or, by default,
+// the reel, its source and its ladder. A key points at the job it created;
+// submitting it again returns that job instead of queueing a new one.
+const IDEMPOTENCY_PREFIX = 'job-idempotency:';
+
+// A submission holds its key this long while it probes and queues the job
+const RESERVATION_TTL_SECONDS = 120;
+
+const MAX_KEY_LENGTH = 255;
+
+function hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Returns { key } or { error }
+function getIdempotencyKey(body = {}, { header, name } = {}) {
+    const explicit = header ?? body.idempotencyKey;
+    if (explicit !== undefined && explicit !== null) {
+        if (typeof explicit !== 'string' || !explicit || explicit.length > MAX_KEY_LENGTH) {
+            return { error: `The idempotency key must be a string of 1 to ${MAX_KEY_LENGTH} characters` };
+        }
+        return { key: explicit };
+    }
+
+    const source = body.videoUrl ?? JSON.stringify(body.segments ?? null);
+    const ladder = body.preset ?? (body.renditions ? JSON.stringify(body.renditions) : '');
+    return { key: [name, body.reelId, source, ladder].join('|') };
+}
+
+function recordKey(key, tenantId) {
+    return `${IDEMPOTENCY_PREFIX}${tenantId || 'platform'}:${hash(key)}`;
+}
+
+// { jobId, state, result? } or { pending: true } while another submission
+// with the key is being queued; null when the key is free
+async function getIdempotencyRecord(key, tenantId) {
+    const stored = await getRedisClient().get(recordKey(key, tenantId));
+    return stored ? JSON.parse(stored) : null;
+}
+
+// Overwrite the record only if it still points at the job that was read,
+// so two submissions replacing the same stale record can't both win
+const REPLACE_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if current then
+    local jobId = cjson.decode(current).jobId
+    if jobId == nil or tostring(jobId) ~= ARGV[1] then
+        return 0
+    end
+end
+redis.call('SET', KEYS[1], ARGV[2], 'EX', ARGV[3])
+return 1
+`;
+
+// Take the key for a new submission. False if someone else holds it.
+// `replacing` is the stale record (one whose job failed or was cancelled)
+// the caller read; it is only taken over if nobody changed it since.
+async function reserveIdempotencyKey(key, tenantId, { replacing = null } = {}) {
+    const redis = getRedisClient();
+    const value = JSON.stringify({ pending: true });
+    if (replacing) {
+        const replaced = await redis.eval(
+            REPLACE_SCRIPT,
+            1,
+            recordKey(key, tenantId),
+            String(replacing.jobId),
+            value,
+            RESERVATION_TTL_SECONDS
+        );
+        return replaced === 1;
+    }
+    return (await redis.set(recordKey(key, tenantId), value, 'EX', RESERVATION_TTL_SECONDS, 'NX')) === 'OK';
+}
+
+async function saveIdempotencyRecord(key, tenantId, record) {
+    await getRedisClient().set(
+        recordKey(key, tenantId),
+        JSON.stringify(record),
+        'EX',
+        dedupConfig.idempotencyTtlHours * 60 * 60
+    );
+}
+
+async function releaseIdempotencyKey(key, tenantId) {
+    await getRedisClient().del(recordKey(key, tenantId));
+}
+
+export {
+    getIdempotencyKey,
+    getIdempotencyRecord,
+    reserveIdempotencyKey,
+    saveIdempotencyRecord,
+    releaseIdempotencyKey
+};
@@ -0,0 +1,61 @@
+import getRedisClient from './redisClient.js';
+
+// Cancellation requests. The API records one per job and announces it on a
+// pub/sub channel; the worker running the job (in whichever process) aborts
+// it, and checks the record before starting a job it picked up meanwhile.
+const CANCELLATION_PREFIX = 'job-cancellations:';
+const CANCELLATION_CHANNEL = 'job-cancellations';
+
+// Kept so /job-status can still answer for jobs removed from the queue
+const CANCELLATION_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// failedReason of a job stopped while it ran
+const JOB_CANCELLED_MESSAGE = 'Job cancelled';
+
+async function getCancellation(jobId) {
+    const stored = await getRedisClient().get(`${CANCELLATION_PREFIX}${jobId}`);
+    return stored ? JSON.parse(stored) : null;
+}
+
+async function saveCancellation(cancellation) {
+    await getRedisClient().set(
+        `${CANCELLATION_PREFIX}${cancellation.jobId}`,
+        JSON.stringify(cancellation),
+        'EX',
+        CANCELLATION_TTL_SECONDS
+    );
+}
+
+// A retried job starts over uncancelled
+async function clearCancellation(jobId) {
+    await getRedisClient().del(`${CANCELLATION_PREFIX}${jobId}`);
+}
+
+async function publishCancellation(jobId) {
+    await getRedisClient().publish(CANCELLATION_CHANNEL, String(jobId));
+}
+
+// `listener(jobId)` for every cancellation request. Subscribing takes a
+// connection of its own; returns the function that closes it.
+function subscribeToCancellations(listener) {
+    const subscriber = getRedisClient().duplicate();
+    subscriber.on('error', (error) => {
+        console.error('Cancellation subscriber error:', error.message);
+    });
+    subscriber.on('message', (channel, jobId) => {
+        if (channel === CANCELLATION_CHANNEL) listener(jobId);
+    });
+    subscriber.subscribe(CANCELLATION_CHANNEL).catch((error) => {
+        console.error('Error subscribing to cancellations:', error.message);
+    });
+    return () => subscriber.quit();
+}
+
+export {
+    JOB_CANCELLED_MESSAGE,
+    getCancellation,
+    saveCancellation,
+    clearCancellation,
+    publishCancellation,
+    subscribeToCancellations
+};
@@ -0,0 +1,96 @@
+import { EventEmitter } from 'events';
+import { QueueEvents } from 'bullmq';
+import redisConfig from '../config/redis.js';
+
+// Queue events relayed to Server-Sent Events clients. One QueueEvents
+// connection is shared by every open stream.
+const STREAMED_EVENTS = ['waiting', 'active', 'progress', 'completed', 'failed', 'removed'];
+
+// Comment line sent when nothing else happens, so proxies keep the stream open
+const HEARTBEAT_INTERVAL = 15000;
+
+let queueEvents = null;
+// close() of every open stream
+const openStreams = new Set();
+const relay = new EventEmitter();
+relay.setMaxListeners(0);
+
+function getQueueEvents() {
+    if (!queueEvents) {
+        queueEvents = new QueueEvents('video-processing-reel', { connection: redisConfig });
+        for (const event of STREAMED_EVENTS) {
+            queueEvents.on(event, (args) => relay.emit('event', { event, ...args }));
+        }
+        queueEvents.on('error', (error) => {
+            console.error('Queue events error:', error.message);
+        });
+    }
+    return queueEvents;
+}
+
+// Call `listener({ event, jobId, ... })` for every job event; returns the unsubscribe function
+function subscribeToJobEvents(listener) {
+    getQueueEvents();
+    relay.on('event', listener);
+    return () => relay.off('event', listener);
+}
+
+function writeEvent(res, event, data) {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Turn the response into an event stream. `onEvent` gets every job event and
+// writes what it wants; it returns (or resolves to) true to end the stream.
+function openEventStream(res, onEvent) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        // nginx would otherwise buffer the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    let unsubscribe = () => {};
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        openStreams.delete(close);
+        clearInterval(heartbeat);
+        unsubscribe();
+        res.end();
+    };
+
+    unsubscribe = subscribeToJobEvents(async (event) => {
+        if (closed) return;
+        try {
+            if (await onEvent(event)) {
+                close();
+            }
+        } catch (error) {
+            console.error('Error streaming job event:', error);
+        }
+    });
+    // The client went away
+    res.on('close', close);
+    openStreams.add(close);
+
+    return close;
+}
+
+// End every open stream (clients reconnect to another instance) and close
+// the QueueEvents connection
+async function closeEventStreams() {
+    for (const close of openStreams) {
+        close();
+    }
+    if (queueEvents) {
+        await queueEvents.close();
+        queueEvents = null;
+    }
+}
+
+export { STREAMED_EVENTS, subscribeToJobEvents, writeEvent, openEventStream, closeEventStreams };
@@ -0,0 +1,100 @@
+import { validateRenditions, getPreset } from './presets.js';
+import { OUTPUT_FORMATS } from './transcoder.js';
+import { validateEncryption } from './hlsEncryption.js';
+import { validateSubtitles } from './subtitles.js';
+import { validateSprites } from './sprites.js';
+import { validatePosters } from './posters.js';
+import { validateTeaser } from './teasers.js';
+import { validateWatermark } from './watermark.js';
+import { validateLoudness } from './loudness.js';
+import { validateWebhooks } from './webhooks.js';
+import { validateDedupe } from './dedup.js';
+
+// Processing options a job may carry besides reelId, videoUrl and folderPath.
+// The API stores them in the job data and the worker reads them back from
+// whichever format the job was queued in (BullMQ or Laravel).
+const JOB_OPTION_FIELDS = [
+    'renditions',
+    'preset',
+    'progressive',
+    'measureQuality',
+    'outputFormat',
+    'encryption',
+    'audioTracks',
+    'subtitles',
+    'sprites',
+    'posters',
+    'teaser',
+    'watermark',
+    'loudness',
+    'webhooks',
+    'dedupe'
+];
+
+// Job data is either our own BullMQ payload or one queued by Laravel, which
+// nests it under `data` or `command`
+function getJobPayload(data = {}) {
+    return data.data || data.command || data;
+}
+
+function pickJobOptions(source = {}) {
+    const options = {};
+    for (const field of JOB_OPTION_FIELDS) {
+        if (source[field] !== undefined && source[field] !== null) {
+            options[field] = source[field];
+        }
+    }
+    return options;
+}
+
+function validateAudioTracks(audioTracks) {
+    if (audioTracks === undefined) return [];
+    if (!Array.isArray(audioTracks) || audioTracks.length === 0) {
+        return ['audioTracks must be a non-empty array of language codes or audio stream indexes'];
+    }
+    const invalid = audioTracks.filter(track =>
+        !(Number.isInteger(track) && track >= 0) && !(typeof track === 'string' && /^[a-zA-Z-]{2,12}$/.test(track))
+    );
+    return invalid.length
+        ? [`audioTracks entries must be language codes ("eng") or stream indexes (0): ${invalid.join(', ')}`]
+        : [];
+}
+
+// Returns a list of problems with a job's options, empty when they are valid
+async function validateJobOptions(options) {
+    const errors = [];
+
+    // Either an inline ladder or the name of a stored preset, not both
+    if (options.renditions && options.preset) {
+        errors.push('Provide either renditions or preset, not both');
+    }
+    if (options.renditions) {
+        errors.push(...validateRenditions(options.renditions));
+    }
+    if (options.preset && !(await getPreset(options.preset))) {
+        errors.push(`Preset "${options.preset}" does not exist`);
+    }
+    if (options.outputFormat && !OUTPUT_FORMATS.includes(options.outputFormat)) {
+        errors.push(`outputFormat must be one of ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    for (const field of ['progressive', 'measureQuality']) {
+        if (options[field] !== undefined && typeof options[field] !== 'boolean') {
+            errors.push(`${field} must be a boolean`);
+        }
+    }
+
+    errors.push(...validateEncryption(options.encryption, options));
+    errors.push(...validateAudioTracks(options.audioTracks));
+    errors.push(...validateSubtitles(options.subtitles));
+    errors.push(...validateSprites(options.sprites));
+    errors.push(...validatePosters(options.posters));
+    errors.push(...validateTeaser(options.teaser));
+    errors.push(...validateWatermark(options.watermark));
+    errors.push(...validateLoudness(options.loudness));
+    errors.push(...validateWebhooks(options.webhooks));
+    errors.push(...validateDedupe(options.dedupe));
+
+    return errors;
+}
+
+export { JOB_OPTION_FIELDS, getJobPayload, pickJobOptions, validateJobOptions };
@@ -0,0 +1,336 @@
+import videoQueue from '../queue.js';
+import { emitJobEvent } from './webhooks.js';
+import { getJobPayload, pickJobOptions, validateJobOptions } from './jobOptions.js';
+import { admitInput } from './admission.js';
+import Logger from './logger.js';
+import { parseStorageUri, resolveDestination, getStorage } from './storage.js';
+import {
+    MAX_PRIORITY,
+    getTenantPriority,
+    markTenantJobQueued,
+    releaseTenantSlot,
+    checkTenantQuota,
+    recordTenantUsage
+} from './tenants.js';
+import {
+    JOB_CANCELLED_MESSAGE,
+    getCancellation,
+    saveCancellation,
+    clearCancellation,
+    publishCancellation
+} from './jobCancellation.js';
+import {
+    getIdempotencyRecord,
+    reserveIdempotencyKey,
+    saveIdempotencyRecord,
+    releaseIdempotencyKey
+} from './idempotency.js';
+
+// Priority clients give a job: 1 runs first, 10 last, 5 when not given.
+// Each level is a band of BullMQ priorities; inside it a tenant's jobs are
+// spread out by fair scheduling (see getTenantPriority), so a level 1 job
+// always runs before level 2 ones while tenants still take turns.
+const PRIORITY_LEVELS = 10;
+const DEFAULT_PRIORITY = 5;
+const PRIORITY_BAND = Math.floor(MAX_PRIORITY / PRIORITY_LEVELS);
+
+// Rounds of reserve / read / take over before claimIdempotencyKey gives up
+const CLAIM_ATTEMPTS = 3;
+
+// Longest a job can be held back with `delay` (seconds)
+const MAX_DELAY_SECONDS = 30 * 24 * 60 * 60;
+
+function validateQueueOptions({ priority, delay } = {}) {
+    const errors = [];
+    if (priority !== undefined && priority !== null && !(Number.isInteger(priority) && priority >= 1 && priority <= PRIORITY_LEVELS)) {
+        errors.push(`priority must be an integer from 1 (first) to ${PRIORITY_LEVELS} (last)`);
+    }
+    if (delay !== undefined && delay !== null && !(typeof delay === 'number' && delay >= 0 && delay <= MAX_DELAY_SECONDS)) {
+        errors.push(`delay must be a number of seconds between 0 and ${MAX_DELAY_SECONDS}`);
+    }
+    return errors;
+}
+
+function toQueuePriority(level, position) {
+    return (level - 1) * PRIORITY_BAND + Math.min(position, PRIORITY_BAND);
+}
+
+// The priority level of a queued job; null for jobs queued without one
+// (e.g. straight from Laravel), which run before all prioritized jobs
+function getPriorityLevel(job) {
+    const priority = job.opts.priority;
+    return priority ? Math.min(Math.floor((priority - 1) / PRIORITY_BAND) + 1, PRIORITY_LEVELS) : null;
+}
+
+// Queue a processing job for `tenant` (null for platform jobs). The job is
+// tagged with the tenant and gets a priority that interleaves it with other
+// tenants' jobs (see getTenantPriority), then 'queued' goes out.
+// `priority` is a level (see PRIORITY_LEVELS), `delay` is in seconds.
+// With `idempotencyKey` (claimed with claimIdempotencyKey) the key is
+// pointed at the new job.
+async function addJob(name, data, { tenant = null, priority, delay, idempotencyKey, ...opts } = {}) {
+    const position = await getTenantPriority(tenant?.id);
+    const job = await videoQueue.add(name, {
+        ...data,
+        ...(tenant && { tenantId: tenant.id }),
+        ...(idempotencyKey && { idempotencyKey })
+    }, {
+        ...opts,
+        priority: toQueuePriority(priority || DEFAULT_PRIORITY, position),
+        ...(delay && { delay: Math.round(delay * 1000) })
+    });
+    if (idempotencyKey) {
+        await saveIdempotencyRecord(idempotencyKey, tenant?.id, { jobId: job.id, state: 'queued' });
+    }
+    await markTenantJobQueued(tenant?.id, job.id);
+    await emitJobEvent(job.id, job.data, 'queued');
+    return job;
+}
+
+// The job an earlier submission with `key` created, as { jobId, state,
+// result? }, or { pending: true } while that submission is still being
+// queued. Null when there is none or it failed or was cancelled, so it
+// may be submitted again. Completed jobs are removed from the queue; the
+// worker keeps their result on the key instead.
+async function findSubmittedJob(key, tenantId) {
+    return describeSubmittedJob(await getIdempotencyRecord(key, tenantId));
+}
+
+async function describeSubmittedJob(record) {
+    if (!record) return null;
+    if (record.pending || record.state === 'completed') return record;
+
+    const job = await videoQueue.getJob(record.jobId);
+    if (!job) return null;
+    const state = await getJobState(job);
+    if (state === 'failed' || state === 'cancelled') return null;
+    return {
+        jobId: job.id,
+        state,
+        ...(state === 'completed' && { result: job.returnvalue?.result ?? null })
+    };
+}
+
+// Claim `key` for a new submission. Returns { existing } when an earlier
+// one still stands (see findSubmittedJob), otherwise {} and the key is
+// held until addJob points it at the new job or releaseIdempotencyKey
+// gives it up. A stale record is taken over only if it is unchanged, so
+// of two submissions racing for it one gets the key and the other sees
+// its job (or its reservation).
+async function claimIdempotencyKey(key, tenantId) {
+    for (let attempt = 0; attempt < CLAIM_ATTEMPTS; attempt++) {
+        if (await reserveIdempotencyKey(key, tenantId)) return {};
+
+        const record = await getIdempotencyRecord(key, tenantId);
+        const existing = await describeSubmittedJob(record);
+        if (existing) return { existing };
+        // Take over the stale record; if it expired meanwhile, or another
+        // submission got there first, the next round sorts it out
+        if (record && (await reserveIdempotencyKey(key, tenantId, { replacing: record }))) return {};
+    }
+    // The key keeps changing hands; treat it as being queued right now
+    return { existing: { pending: true } };
+}
+
+// Run `submit` holding `key`. submit checks the submission and queues it
+// with addJob and the key, returning { job, ... } or { status, error }.
+// Returns { existing } instead when the key already has a job; the key is
+// given up again if submit throws or queues nothing.
+async function submitIdempotently(key, tenantId, submit) {
+    const { existing } = await claimIdempotencyKey(key, tenantId);
+    if (existing) return { existing };
+    try {
+        const outcome = await submit();
+        if (!outcome.job) {
+            await releaseIdempotencyKey(key, tenantId);
+        }
+        return outcome;
+    } catch (error) {
+        await releaseIdempotencyKey(key, tenantId).catch(() => {});
+        throw error;
+    }
+}
+
+// A tenant's output must go to its own storage; found out here rather than
+// when the job is done
+function checkTenantDestination(tenant, folderPath, sourceUri) {
+    try {
+        getStorage(resolveDestination(folderPath, parseStorageUri(sourceUri, tenant), tenant), tenant);
+        return [];
+    } catch (error) {
+        return [error.message];
+    }
+}
+
+// Everything /create-job/reels-processing checks before queueing: required
+// fields, job and queue options, the tenant's storage, admission rules and
+// quotas. `pendingSeconds` counts inputs accepted earlier in the same batch
+// against the minutes quota. Returns { data, queueOptions, durationSeconds }
+// for addJob, or { status, error } to respond with.
+async function prepareProcessingJob(body = {}, tenant = null, { pendingSeconds = 0 } = {}) {
+    const { reelId, videoUrl, folderPath } = body;
+    if (!reelId || !videoUrl || !folderPath) {
+        return {
+            status: 400,
+            error: { error: 'Missing required fields', required: ['reelId', 'videoUrl', 'folderPath'] }
+        };
+    }
+
+    // Ladder, output format, encryption, audio track selection...
+    const options = pickJobOptions(body);
+    const optionErrors = [
+        ...(await validateJobOptions(options)),
+        ...validateQueueOptions(body)
+    ];
+    if (tenant) {
+        optionErrors.push(...checkTenantDestination(tenant, folderPath, videoUrl));
+    }
+    if (optionErrors.length) {
+        return { status: 400, error: { error: 'Invalid job options', details: optionErrors } };
+    }
+
+    // Reject unusable inputs now rather than after download and three retries
+    let admission;
+    try {
+        admission = await admitInput(videoUrl, undefined, tenant);
+    } catch (probeError) {
+        return {
+            status: 422,
+            error: {
+                error: 'Input could not be probed',
+                message: probeError.killed ? 'ffprobe timed out' : (probeError.stderr || probeError.message).trim()
+            }
+        };
+    }
+    if (admission.violations.length) {
+        return { status: 422, error: { error: 'Input rejected', violations: admission.violations } };
+    }
+
+    const durationSeconds = admission.media.duration || 0;
+    if (tenant) {
+        const violations = await checkTenantQuota(tenant, { durationSeconds: pendingSeconds + durationSeconds });
+        if (violations.length) {
+            return { status: 429, error: { error: 'Quota exceeded', violations } };
+        }
+    }
+
+    return {
+        durationSeconds,
+        data: {
+            reelId,
+            videoUrl,
+            folderPath,
+            ...options,
+            timestamp: Date.now()
+        },
+        queueOptions: {
+            priority: body.priority ?? undefined,
+            delay: body.delay ?? undefined
+        }
+    };
+}
+
+// BullMQ's state, except that a job stopped by cancelJob reads 'cancelled'
+// rather than 'failed'
+async function getJobState(job) {
+    const state = await job.getState();
+    return state === 'failed' && job.failedReason === JOB_CANCELLED_MESSAGE ? 'cancelled' : state;
+}
+
+// Cancel a job. One that hasn't started is removed from the queue at once;
+// an active one is told to stop and the worker finishes the cancellation.
+// Returns { jobId, state }: 'cancelled', 'cancelling', or the state of a
+// job that already finished and can't be cancelled.
+async function cancelJob(job, { requestedBy = null } = {}) {
+    const state = await job.getState();
+    if (state === 'completed' || state === 'failed') {
+        return { jobId: job.id, state };
+    }
+
+    let cancellation = await getCancellation(job.id);
+    if (!cancellation) {
+        cancellation = {
+            jobId: job.id,
+            reelId: getJobPayload(job.data).reelId ?? null,
+            tenantId: job.data.tenantId || null,
+            previousState: state,
+            requestedBy,
+            requestedAt: new Date().toISOString(),
+            cancelledAt: null
+        };
+        await saveCancellation(cancellation);
+    }
+
+    if (state !== 'active') {
+        try {
+            await job.remove();
+            await finishCancellation(job, cancellation);
+            return { jobId: job.id, state: 'cancelled' };
+        } catch (error) {
+            // A worker took it in the meantime (it is locked), so stop it like an active job
+            const jobLogger = new Logger(`job_${job.id}`);
+            await jobLogger.initialize();
+            await jobLogger.warn(`Job could not be removed (${error.message}), asking its worker to stop it`);
+            await jobLogger.end();
+        }
+    }
+
+    await publishCancellation(job.id);
+    return { jobId: job.id, state: 'cancelling' };
+}
+
+// Run a failed (or cancelled) job again from the start
+async function retryJob(job) {
+    await clearCancellation(job.id);
+    await job.retry('failed');
+    await markTenantJobQueued(job.data.tenantId, job.id);
+    await emitJobEvent(job.id, getJobPayload(job.data), 'queued', { retry: true });
+}
+
+// Move a waiting or delayed job to another priority level. It keeps its
+// place among its tenant's jobs.
+async function changeJobPriority(job, level) {
+    const position = job.opts.priority
+        ? (job.opts.priority - 1) % PRIORITY_BAND + 1
+        : await getTenantPriority(job.data.tenantId);
+    await job.changePriority({ priority: toQueuePriority(level, position) });
+}
+
+// Count a finished job's source minutes and stored bytes against its
+// tenant. A reused output (see utils/dedup.js) counts for neither: it
+// wasn't transcoded again and its bytes were counted when it was written.
+async function recordJobUsage(tenantId, result) {
+    const deduplicated = Boolean(result?.deduplicated);
+    await recordTenantUsage(tenantId, {
+        minutes: deduplicated ? 0 : (result?.source?.duration || 0) / 60,
+        bytes: deduplicated ? 0 : result?.storedBytes || 0
+    });
+}
+
+// Record that a job stopped for good, free its tenant's slot and send 'cancelled'
+async function finishCancellation(job, cancellation) {
+    cancellation.cancelledAt = new Date().toISOString();
+    await saveCancellation(cancellation);
+    await releaseTenantSlot(job.data.tenantId, job.id);
+    await emitJobEvent(job.id, getJobPayload(job.data), 'cancelled', {
+        previousState: cancellation.previousState,
+        requestedAt: cancellation.requestedAt
+    });
+}
+
+export {
+    PRIORITY_LEVELS,
+    validateQueueOptions,
+    getPriorityLevel,
+    addJob,
+    findSubmittedJob,
+    submitIdempotently,
+    checkTenantDestination,
+    prepareProcessingJob,
+    getJobState,
+    cancelJob,
+    retryJob,
+    changeJobPriority,
+    recordJobUsage,
+    finishCancellation
+};
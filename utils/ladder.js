@@ -0,0 +1,59 @@
+// Pick the renditions that make sense for a probed source.
+//
+// A rendition's `height` is treated as the short edge of the output so that
+// portrait reels (1080x1920) get the same ladder as landscape videos.
+// Renditions larger than the source are skipped instead of upscaled.
+
+function toEven(value) {
+    const rounded = Math.round(value);
+    return rounded % 2 === 0 ? rounded : rounded - 1;
+}
+
+// Output dimensions for a given short edge, keeping the source aspect ratio
+function fitToShortEdge(videoInfo, shortEdge) {
+    const { displayWidth, displayHeight } = videoInfo;
+
+    if (displayWidth <= displayHeight) {
+        return {
+            width: toEven(shortEdge),
+            height: toEven(displayHeight * shortEdge / displayWidth)
+        };
+    }
+
+    return {
+        width: toEven(displayWidth * shortEdge / displayHeight),
+        height: toEven(shortEdge)
+    };
+}
+
+function planLadder(videoInfo, renditions) {
+    const sourceShortEdge = Math.min(videoInfo.displayWidth, videoInfo.displayHeight);
+    const planned = [];
+    const skipped = [];
+
+    for (const rendition of renditions) {
+        if (rendition.height > sourceShortEdge) {
+            skipped.push({
+                name: rendition.name,
+                height: rendition.height,
+                reason: `Source is only ${videoInfo.displayWidth}x${videoInfo.displayHeight} `
+                    + `(short edge ${sourceShortEdge}px); encoding ${rendition.height}p would upscale it`
+            });
+            continue;
+        }
+
+        planned.push({ ...rendition, ...fitToShortEdge(videoInfo, rendition.height) });
+    }
+
+    // Source smaller than every rendition: keep the lowest one at the source size
+    if (planned.length === 0 && renditions.length > 0) {
+        const lowest = renditions[0];
+        const capped = fitToShortEdge(videoInfo, sourceShortEdge);
+        planned.push({ ...lowest, ...capped, cappedToSource: true });
+        skipped.splice(skipped.findIndex(item => item.name === lowest.name), 1);
+    }
+
+    return { renditions: planned, skipped };
+}
+
+export { planLadder, fitToShortEdge };
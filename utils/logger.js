@@ -5,6 +5,19 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Every log file still open, flushed by Logger.endAll() on shutdown
+const openStreams = new Set();
+
+function endStream(stream) {
+    return new Promise((resolve) => {
+        if (stream.writableEnded) {
+            resolve();
+        } else {
+            stream.end(() => resolve());
+        }
+    });
+}
+
 class Logger {
     constructor(baseName) {
         this.logDir = path.join(process.cwd(), 'logs');
@@ -14,15 +27,20 @@ class Logger {
 
     async initialize() {
         await fs.ensureDir(this.logDir);
-        this.logStream = fs.createWriteStream(this.logFile);
+        const stream = fs.createWriteStream(this.logFile);
+        openStreams.add(stream);
+        stream.on('close', () => openStreams.delete(stream));
+        this.logStream = stream;
     }
 
     log(message, type = 'INFO') {
         const timestamp = new Date().toISOString();
         const logMessage = `[${timestamp}] [${type}] ${message}\n`;
         
-        // Write to file
-        this.logStream.write(logMessage);
+        // Write to file (unless it isn't open yet or was already closed)
+        if (this.logStream && !this.logStream.writableEnded) {
+            this.logStream.write(logMessage);
+        }
         
         // Write to console with colors
         const consoleMessage = this.getColoredMessage(message, type);
@@ -61,11 +79,16 @@ class Logger {
         this.log(message, 'DEBUG');
     }
 
+    // Resolves once everything logged is written
     async end() {
         if (this.logStream) {
-            this.logStream.end();
+            await endStream(this.logStream);
         }
     }
+
+    static async endAll() {
+        await Promise.all([...openStreams].map(endStream));
+    }
 }
 
 export default Logger; 
\ No newline at end of file
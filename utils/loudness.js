@@ -0,0 +1,113 @@
+import { runFfmpeg } from './ffmpegRunner.js';
+
+// EBU R128 targets used when a job only says `loudness: true`.
+// -14 LUFS matches what the big streaming platforms normalise to.
+const DEFAULT_LOUDNESS_TARGET = {
+    integrated: -14,
+    truePeak: -1,
+    lra: 11
+};
+
+// Allowed range for each target, as accepted by ffmpeg's loudnorm
+const LOUDNESS_LIMITS = {
+    integrated: [-70, -5],
+    truePeak: [-9, 0],
+    lra: [1, 50]
+};
+
+// loudnorm works at 192kHz internally, so resample back for the AAC encoder
+const OUTPUT_SAMPLE_RATE = 48000;
+
+// Returns a list of problems with a job's `loudness` option.
+// `true` uses the defaults, an object overrides some of them.
+function validateLoudness(loudness) {
+    if (loudness === undefined || typeof loudness === 'boolean') return [];
+    if (!loudness || typeof loudness !== 'object' || Array.isArray(loudness)) {
+        return ['loudness must be true or an object like { "integrated": -14, "truePeak": -1, "lra": 11 }'];
+    }
+
+    const errors = [];
+    for (const [option, value] of Object.entries(loudness)) {
+        if (!LOUDNESS_LIMITS[option]) {
+            errors.push(`loudness.${option} is not supported`);
+            continue;
+        }
+        const [min, max] = LOUDNESS_LIMITS[option];
+        if (typeof value !== 'number' || value < min || value > max) {
+            errors.push(`loudness.${option} must be a number between ${min} and ${max}`);
+        }
+    }
+    return errors;
+}
+
+function getLoudnessTarget(loudness) {
+    return { ...DEFAULT_LOUDNESS_TARGET, ...(typeof loudness === 'object' ? loudness : {}) };
+}
+
+// loudnorm prints its measurement as a JSON block at the end of stderr
+function parseLoudnormOutput(stderr) {
+    const match = stderr.match(/\{[^{}]*"input_i"[^{}]*\}/);
+    if (!match) {
+        throw new Error('Could not read loudness measurement from ffmpeg output');
+    }
+    const values = JSON.parse(match[0]);
+    return {
+        integrated: parseFloat(values.input_i),
+        truePeak: parseFloat(values.input_tp),
+        lra: parseFloat(values.input_lra),
+        threshold: parseFloat(values.input_thresh),
+        offset: parseFloat(values.target_offset)
+    };
+}
+
+// First pass: measure integrated loudness, true peak and loudness range of one audio track
+async function measureLoudness(inputPath, track, target) {
+    const { stderr } = await runFfmpeg([
+        '-i', inputPath,
+        '-map', `0:a:${track.index}`,
+        '-af', `loudnorm=I=${target.integrated}:TP=${target.truePeak}:LRA=${target.lra}:print_format=json`,
+        '-f', 'null', '-'
+    ]);
+    return parseLoudnormOutput(stderr);
+}
+
+// Second pass filter: linear normalisation using the first pass measurement
+function getLoudnormFilter(measured, target) {
+    return `loudnorm=I=${target.integrated}:TP=${target.truePeak}:LRA=${target.lra}`
+        + `:measured_I=${measured.integrated}:measured_TP=${measured.truePeak}`
+        + `:measured_LRA=${measured.lra}:measured_thresh=${measured.threshold}`
+        + `:offset=${measured.offset}:linear=true,aresample=${OUTPUT_SAMPLE_RATE}`;
+}
+
+// Measure every audio track and attach the filter that normalises it during
+// the transcode. Silent tracks (no measurable loudness) are left untouched.
+async function planLoudnessNormalization(inputPath, audioTracks, { loudness, logger }) {
+    const target = getLoudnessTarget(loudness);
+    const tracks = [];
+    const report = [];
+
+    for (const track of audioTracks) {
+        const measured = await measureLoudness(inputPath, track, target);
+        const silent = !Number.isFinite(measured.integrated) || !Number.isFinite(measured.threshold);
+
+        logger.info(`Loudness of audio track ${track.name}: ${measured.integrated} LUFS integrated, `
+            + `${measured.truePeak} dBTP true peak, ${measured.lra} LU range`
+            + (silent ? ' (silent, not normalised)' : ` -> ${target.integrated} LUFS`));
+
+        tracks.push(silent ? track : { ...track, audioFilter: getLoudnormFilter(measured, target) });
+        report.push({
+            name: track.name,
+            language: track.language,
+            measured: {
+                integrated: Number.isFinite(measured.integrated) ? measured.integrated : null,
+                truePeak: Number.isFinite(measured.truePeak) ? measured.truePeak : null,
+                lra: Number.isFinite(measured.lra) ? measured.lra : null
+            },
+            normalized: !silent
+        });
+    }
+
+    return { audioTracks: tracks, report: { target, tracks: report } };
+}
+
+export { DEFAULT_LOUDNESS_TARGET, validateLoudness, parseLoudnormOutput, planLoudnessNormalization };
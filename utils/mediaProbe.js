@@ -0,0 +1,217 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { getAbortSignal } from './ffmpegRunner.js';
+
+const execFileAsync = promisify(execFile);
+
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+
+// Run ffprobe and return its JSON output (streams + format).
+// `input` may be a local path or an http(s) URL; `timeout` is in milliseconds.
+async function probeMedia(input, { timeout = 0 } = {}) {
+    const signal = getAbortSignal();
+    const { stdout } = await execFileAsync(FFPROBE_PATH, [
+        '-v', 'error',
+        '-print_format', 'json',
+        '-show_format',
+        '-show_streams',
+        input
+    ], {
+        maxBuffer: 10 * 1024 * 1024,
+        timeout,
+        // Killed along with ffmpeg when the job is cancelled
+        ...(signal && { signal, killSignal: 'SIGKILL' })
+    });
+
+    return JSON.parse(stdout);
+}
+
+// "30000/1001" -> 29.97
+function parseFrameRate(value) {
+    if (!value) return null;
+    const [num, den] = String(value).split('/').map(Number);
+    if (!den) return num || null;
+    return num / den;
+}
+
+// Rotation in degrees clockwise (0, 90, 180 or 270). Newer ffmpeg builds report
+// it as display matrix side data, older ones as a "rotate" tag.
+function getRotation(stream) {
+    let rotation = 0;
+
+    const displayMatrix = (stream.side_data_list || []).find(sideData =>
+        sideData.side_data_type === 'Display Matrix' && sideData.rotation !== undefined
+    );
+
+    if (displayMatrix) {
+        // The display matrix angle is counter-clockwise
+        rotation = -Number(displayMatrix.rotation);
+    } else if (stream.tags && stream.tags.rotate !== undefined) {
+        rotation = Number(stream.tags.rotate);
+    }
+
+    rotation = Math.round(rotation / 90) * 90;
+    return ((rotation % 360) + 360) % 360;
+}
+
+function getVideoStreamInfo(videoStream, format = {}) {
+    const rotation = getRotation(videoStream);
+
+    // Apply the sample aspect ratio so anamorphic sources get their real display size
+    let width = videoStream.width;
+    const height = videoStream.height;
+    const [sarNum, sarDen] = String(videoStream.sample_aspect_ratio || '1:1').split(':').map(Number);
+    if (sarNum && sarDen && sarNum !== sarDen) {
+        width = Math.round(width * sarNum / sarDen);
+    }
+
+    const swapped = rotation === 90 || rotation === 270;
+    const displayWidth = swapped ? height : width;
+    const displayHeight = swapped ? width : height;
+
+    let orientation = 'square';
+    if (displayWidth > displayHeight) orientation = 'landscape';
+    if (displayWidth < displayHeight) orientation = 'portrait';
+
+    return {
+        width: videoStream.width,
+        height: videoStream.height,
+        rotation,
+        displayWidth,
+        displayHeight,
+        orientation,
+        duration: Number(videoStream.duration || format.duration) || null,
+        codec: videoStream.codec_name,
+        bitrate: Number(videoStream.bit_rate || format.bit_rate) || null,
+        frameRate: parseFrameRate(videoStream.avg_frame_rate) || parseFrameRate(videoStream.r_frame_rate)
+    };
+}
+
+// HDR flavour of a video stream from its transfer function and side data
+function getHdrFormat(stream) {
+    const sideData = stream.side_data_list || [];
+    if (sideData.some(item => /dovi|dolby vision/i.test(item.side_data_type || ''))) {
+        return 'DolbyVision';
+    }
+    if (stream.color_transfer === 'smpte2084') {
+        return sideData.some(item => /HDR Dynamic Metadata/i.test(item.side_data_type || '')) ? 'HDR10+' : 'HDR10';
+    }
+    if (stream.color_transfer === 'arib-std-b67') {
+        return 'HLG';
+    }
+    return null;
+}
+
+// Readable summary of ffprobe output, for the /probe route and admission checks
+function describeMedia(metadata) {
+    const format = metadata.format || {};
+    const streams = (metadata.streams || []).map(stream => {
+        const description = {
+            index: stream.index,
+            type: stream.codec_type,
+            codec: stream.codec_name,
+            codecLongName: stream.codec_long_name,
+            profile: stream.profile || null,
+            bitrate: Number(stream.bit_rate) || null,
+            duration: Number(stream.duration) || null,
+            language: (stream.tags && stream.tags.language) || null,
+            isDefault: Boolean(stream.disposition && stream.disposition.default)
+        };
+
+        if (stream.codec_type === 'video') {
+            Object.assign(description, {
+                ...getVideoStreamInfo(stream, format),
+                pixelFormat: stream.pix_fmt || null,
+                bitDepth: Number(stream.bits_per_raw_sample) || null,
+                colorSpace: stream.color_space || null,
+                colorTransfer: stream.color_transfer || null,
+                colorPrimaries: stream.color_primaries || null,
+                hdr: getHdrFormat(stream),
+                isCoverArt: Boolean(stream.disposition && stream.disposition.attached_pic)
+            });
+        } else if (stream.codec_type === 'audio') {
+            Object.assign(description, {
+                channels: stream.channels || null,
+                channelLayout: stream.channel_layout || null,
+                sampleRate: Number(stream.sample_rate) || null
+            });
+        }
+        return description;
+    });
+
+    const video = streams.find(stream => stream.type === 'video' && !stream.isCoverArt) || null;
+    return {
+        container: format.format_name || null,
+        containerLongName: format.format_long_name || null,
+        duration: Number(format.duration) || (video && video.duration) || null,
+        size: Number(format.size) || null,
+        bitrate: Number(format.bit_rate) || null,
+        hasVideo: Boolean(video),
+        hasAudio: streams.some(stream => stream.type === 'audio'),
+        video,
+        hdr: video ? video.hdr : null,
+        streams
+    };
+}
+
+// Every audio stream of the input, in the order ffmpeg addresses them (0:a:N)
+function getAudioTracks(streams) {
+    return streams
+        .filter(stream => stream.codec_type === 'audio')
+        .map((stream, index) => ({
+            index,
+            language: (stream.tags && stream.tags.language) || 'und',
+            title: (stream.tags && stream.tags.title) || null,
+            codec: stream.codec_name,
+            channels: stream.channels || null,
+            sampleRate: Number(stream.sample_rate) || null,
+            isDefault: Boolean(stream.disposition && stream.disposition.default)
+        }));
+}
+
+// Every subtitle stream of the input, in the order ffmpeg addresses them (0:s:N)
+function getSubtitleTracks(streams) {
+    return streams
+        .filter(stream => stream.codec_type === 'subtitle')
+        .map((stream, index) => ({
+            index,
+            language: (stream.tags && stream.tags.language) || 'und',
+            title: (stream.tags && stream.tags.title) || null,
+            codec: stream.codec_name,
+            isDefault: Boolean(stream.disposition && stream.disposition.default),
+            forced: Boolean(stream.disposition && stream.disposition.forced)
+        }));
+}
+
+// Helper function to get video information
+async function getVideoInfo(filePath) {
+    const metadata = await probeMedia(filePath);
+
+    // Skip cover art, which ffprobe also reports as a video stream
+    const videoStream = metadata.streams.find(stream =>
+        stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic)
+    );
+    if (!videoStream) {
+        throw new Error('No video stream found');
+    }
+
+    const audioTracks = getAudioTracks(metadata.streams);
+    return {
+        ...getVideoStreamInfo(videoStream, metadata.format),
+        hasAudio: audioTracks.length > 0,
+        audioTracks,
+        subtitleTracks: getSubtitleTracks(metadata.streams)
+    };
+}
+
+export {
+    probeMedia,
+    parseFrameRate,
+    getRotation,
+    getVideoStreamInfo,
+    getHdrFormat,
+    describeMedia,
+    getAudioTracks,
+    getSubtitleTracks,
+    getVideoInfo
+};
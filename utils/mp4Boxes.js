@@ -0,0 +1,93 @@
+import fs from 'fs-extra';
+
+// Just enough ISO BMFF (MP4) parsing to find where a fragmented stream's
+// timeline starts: the track timescale from the init segment's mdhd and the
+// first fragment's baseMediaDecodeTime from its tfdt.
+
+// moov and moof sit ahead of the media data, so only the start of a file is
+// read; a box running past it ends the scan
+const HEAD_BYTES = 1024 * 1024;
+
+// Top level boxes of `buffer` between `start` and `end`
+function readBoxes(buffer, start = 0, end = buffer.length) {
+    const boxes = [];
+    let offset = start;
+
+    while (offset + 8 <= end) {
+        let size = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        let headerSize = 8;
+
+        if (size === 1) {
+            if (offset + 16 > end) break;
+            size = Number(buffer.readBigUInt64BE(offset + 8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < headerSize || offset + size > end) break;
+
+        boxes.push({ type, start: offset + headerSize, end: offset + size });
+        offset += size;
+    }
+
+    return boxes;
+}
+
+// First box along a path of types, e.g. ['moov', 'trak', 'mdia', 'mdhd'].
+// Multi-track files resolve to their first track.
+function findBox(buffer, types) {
+    let box = { start: 0, end: buffer.length };
+    for (const type of types) {
+        box = readBoxes(buffer, box.start, box.end).find(child => child.type === type);
+        if (!box) return null;
+    }
+    return box;
+}
+
+// Media timescale (ticks per second) of the first track in an init segment
+function readTimescale(buffer) {
+    const mdhd = findBox(buffer, ['moov', 'trak', 'mdia', 'mdhd']);
+    if (!mdhd) return null;
+
+    // Full box: version 1 has 64-bit creation and modification times
+    const version = buffer.readUInt8(mdhd.start);
+    return buffer.readUInt32BE(mdhd.start + (version === 1 ? 20 : 12));
+}
+
+// baseMediaDecodeTime of the first track fragment in a media segment, in
+// the track's timescale
+function readBaseMediaDecodeTime(buffer) {
+    const tfdt = findBox(buffer, ['moof', 'traf', 'tfdt']);
+    if (!tfdt) return null;
+
+    const version = buffer.readUInt8(tfdt.start);
+    return version === 1
+        ? Number(buffer.readBigUInt64BE(tfdt.start + 4))
+        : buffer.readUInt32BE(tfdt.start + 4);
+}
+
+async function readHead(filePath, offset = 0) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(HEAD_BYTES);
+        const { bytesRead } = await handle.read(buffer, 0, HEAD_BYTES, offset);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+// Decode time of a fragmented stream's first segment in seconds, or null
+// when either file does not have the boxes to tell. `segmentOffset` is the
+// segment's byte range offset when the stream is a single file.
+async function readFragmentDecodeTime(initPath, segmentPath, segmentOffset = 0) {
+    const [init, segment] = await Promise.all([readHead(initPath), readHead(segmentPath, segmentOffset)]);
+    const timescale = readTimescale(init);
+    const decodeTime = readBaseMediaDecodeTime(segment);
+
+    if (!timescale || decodeTime === null) return null;
+    return decodeTime / timescale;
+}
+
+export { readBoxes, findBox, readTimescale, readBaseMediaDecodeTime, readFragmentDecodeTime };
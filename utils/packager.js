@@ -0,0 +1,72 @@
+import { spawn } from 'child_process';
+import { createRequire } from 'module';
+import path from 'path';
+import { getAbortSignal } from './ffmpegRunner.js';
+
+// Shaka Packager, used where ffmpeg's HLS muxer falls short (SAMPLE-AES).
+// The npm package ships a static binary per platform; its index.js is a CLI
+// wrapper that runs on import, so the binary is located instead.
+const PACKAGER_BINARIES = {
+    'linux-x64': 'packager-linux-x64',
+    'linux-arm64': 'packager-linux-arm64',
+    'darwin-x64': 'packager-osx-x64',
+    'darwin-arm64': 'packager-osx-arm64',
+    'win32-x64': 'packager-win-x64.exe'
+};
+
+function findBundledPackager() {
+    const binary = PACKAGER_BINARIES[`${process.platform}-${process.arch}`];
+    if (!binary) return null;
+    try {
+        const packageJson = createRequire(import.meta.url).resolve('shaka-packager/package.json');
+        return path.join(path.dirname(packageJson), 'bin', binary);
+    } catch (error) {
+        return null;
+    }
+}
+
+const PACKAGER_PATH = process.env.PACKAGER_PATH || findBundledPackager() || 'packager';
+
+// Keep only the end of stderr, that is where the packager explains what went wrong
+const STDERR_TAIL_LENGTH = 64 * 1024;
+
+// Run the packager with the given arguments. Like ffmpeg it is killed when
+// the surrounding job is cancelled (see withAbortSignal).
+function runPackager(args, { cwd } = {}) {
+    return new Promise((resolve, reject) => {
+        const signal = getAbortSignal();
+        const child = spawn(PACKAGER_PATH, args, {
+            cwd,
+            stdio: ['ignore', 'ignore', 'pipe'],
+            ...(signal && { signal, killSignal: 'SIGKILL' })
+        });
+
+        let stderr = '';
+        child.stderr.on('data', (chunk) => {
+            stderr = (stderr + chunk.toString()).slice(-STDERR_TAIL_LENGTH);
+        });
+
+        child.on('error', (error) => {
+            if (error.name === 'AbortError') {
+                const abortError = new Error('packager was killed, the job was cancelled');
+                abortError.code = 'ABORT_ERR';
+                return reject(abortError);
+            }
+            reject(new Error(`Failed to start packager: ${error.message}`));
+        });
+
+        child.on('close', (code, signal) => {
+            if (code === 0) {
+                return resolve({ stderr });
+            }
+
+            const lastLines = stderr.trim().split('\n').slice(-10).join('\n');
+            const error = new Error(`packager exited with ${signal ? `signal ${signal}` : `code ${code}`}: ${lastLines}`);
+            error.code = code;
+            error.signal = signal;
+            reject(error);
+        });
+    });
+}
+
+export { PACKAGER_PATH, runPackager };
@@ -0,0 +1,208 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { runFfmpeg } from './ffmpegRunner.js';
+import { buildWatermarkArgs } from './watermark.js';
+
+const POSTERS_DIR_NAME = 'posters';
+
+// Encoder settings for each poster format
+const POSTER_FORMATS = {
+    jpeg: { extension: 'jpg', args: ['-c:v', 'mjpeg', '-q:v', '2', '-f', 'image2'] },
+    webp: { extension: 'webp', args: ['-c:v', 'libwebp', '-quality', '80', '-f', 'webp'] },
+    avif: { extension: 'avif', args: ['-c:v', 'libaom-av1', '-crf', '30', '-still-picture', '1', '-f', 'avif'] }
+};
+
+const MAX_POSTERS = 5;
+const MAX_POSTER_SIZES = 4;
+
+// Frames sampled per second when looking for a poster, lowered for long
+// inputs so no more than MAX_CANDIDATES frames are scored
+const CANDIDATE_RATE = 2;
+const MAX_CANDIDATES = 240;
+
+// Returns a list of problems with a job's `posters` option
+function validatePosters(posters) {
+    if (posters === undefined) return [];
+    if (!posters || typeof posters !== 'object' || Array.isArray(posters)) {
+        return ['posters must be an object like { "count": 3, "sizes": [1280, 640], "formats": ["jpeg", "webp"] }'];
+    }
+
+    const errors = [];
+    const { count, timestamp, sizes, formats } = posters;
+
+    if (count !== undefined && !(Number.isInteger(count) && count >= 1 && count <= MAX_POSTERS)) {
+        errors.push(`posters.count must be an integer between 1 and ${MAX_POSTERS}`);
+    }
+    if (timestamp !== undefined) {
+        if (typeof timestamp !== 'number' || timestamp < 0) {
+            errors.push('posters.timestamp must be a number of seconds');
+        } else if (count !== undefined && count !== 1) {
+            errors.push('posters.timestamp can only be combined with a count of 1');
+        }
+    }
+    if (sizes !== undefined) {
+        if (!Array.isArray(sizes) || sizes.length === 0 || sizes.length > MAX_POSTER_SIZES) {
+            errors.push(`posters.sizes must be an array of 1 to ${MAX_POSTER_SIZES} widths`);
+        } else if (!sizes.every(size => Number.isInteger(size) && size >= 64 && size <= 3840 && size % 2 === 0)) {
+            errors.push('posters.sizes entries must be even widths between 64 and 3840');
+        }
+    }
+    if (formats !== undefined) {
+        if (!Array.isArray(formats) || formats.length === 0) {
+            errors.push('posters.formats must be a non-empty array');
+        } else if (!formats.every(format => POSTER_FORMATS[format])) {
+            errors.push(`posters.formats entries must be one of ${Object.keys(POSTER_FORMATS).join(', ')}`);
+        }
+    }
+    for (const option of Object.keys(posters)) {
+        if (!['count', 'timestamp', 'sizes', 'formats'].includes(option)) {
+            errors.push(`posters.${option} is not supported`);
+        }
+    }
+
+    return errors;
+}
+
+// Parse the output of ffmpeg's metadata=mode=print filter into one object per frame
+function parseFrameMetadata(content) {
+    const frames = [];
+    let current = null;
+
+    for (const line of content.split(/\r?\n/)) {
+        const frameMatch = line.match(/^frame:\d+\s+pts:\S+\s+pts_time:(\S+)/);
+        if (frameMatch) {
+            current = { time: parseFloat(frameMatch[1]) };
+            frames.push(current);
+        } else if (current && line.includes('=')) {
+            const [key, value] = line.split('=');
+            current[key.trim()] = parseFloat(value);
+        }
+    }
+
+    return frames;
+}
+
+// 0..1, higher is a better poster: well exposed, sharp, with some contrast,
+// and not caught in the middle of a cut or dissolve
+function scoreFrame(frame) {
+    const brightness = Number(frame['lavfi.signalstats.YAVG']);
+    const low = Number(frame['lavfi.signalstats.YLOW']);
+    const high = Number(frame['lavfi.signalstats.YHIGH']);
+    const blur = Number(frame['lavfi.blur']);
+    const sceneScore = Number(frame['lavfi.scd.score']);
+
+    // Without a brightness reading the frame can't be judged. Black and
+    // blown-out frames are never a good poster.
+    if (!Number.isFinite(brightness)) return 0;
+    if (brightness < 24 || brightness > 235) return 0;
+
+    const exposure = 1 - Math.abs(brightness - 128) / 128;
+    const contrast = Number.isFinite(low) && Number.isFinite(high) ? Math.min(1, (high - low) / 160) : 0.5;
+    const sharpness = Number.isFinite(blur) ? 1 / (1 + blur / 4) : 0.5;
+    const stability = Number.isFinite(sceneScore) ? 1 - Math.min(sceneScore, 20) / 20 : 1;
+
+    return 0.3 * exposure + 0.2 * contrast + 0.35 * sharpness + 0.15 * stability;
+}
+
+// Sample low resolution frames across the whole input and return the `count`
+// best scoring timestamps, spread out so the posters aren't near duplicates
+async function selectPosterTimestamps(inputPath, { duration, count, workDir }) {
+    const rate = duration ? Math.min(CANDIDATE_RATE, MAX_CANDIDATES / duration) : CANDIDATE_RATE;
+    const metadataPath = path.join(workDir, 'poster_candidates.txt');
+
+    await runFfmpeg([
+        '-i', inputPath,
+        '-an', '-sn',
+        '-vf', `fps=${rate.toFixed(4)},scale=320:-2,scdet=threshold=100,signalstats,blurdetect,metadata=mode=print:file=${metadataPath}`,
+        '-f', 'null', '-'
+    ], { duration });
+
+    const candidates = parseFrameMetadata(await fs.readFile(metadataPath, 'utf8'))
+        .map(frame => ({ time: frame.time, score: scoreFrame(frame) }))
+        .sort((a, b) => b.score - a.score);
+
+    if (candidates.length === 0) {
+        return [{ time: 0, score: 0 }];
+    }
+
+    const minimumGap = duration ? duration / (count * 2) : 0;
+    const selected = [];
+    for (const candidate of candidates) {
+        if (selected.every(item => Math.abs(item.time - candidate.time) >= minimumGap)) {
+            selected.push(candidate);
+        }
+        if (selected.length === count) break;
+    }
+
+    return selected.sort((a, b) => a.time - b.time);
+}
+
+async function extractPoster(inputPath, outputPath, { time, width, height, format, watermark }) {
+    const scale = `scale=${width}:${height}`;
+    await runFfmpeg([
+        '-ss', time.toFixed(3),
+        '-i', inputPath,
+        ...(watermark
+            ? buildWatermarkArgs(watermark, { width, height, head: scale, timeOffset: time })
+            : ['-vf', scale]),
+        '-frames:v', '1',
+        '-an', '-sn',
+        ...POSTER_FORMATS[format].args,
+        outputPath
+    ]);
+}
+
+// Pick poster frames and write every requested size and format under
+// posters/, plus thumbnail.jpg (best frame, source size) for older clients.
+// A prepared watermark is burned into every image, as into the renditions.
+async function generatePosters(inputPath, outputDir, { videoInfo, options = {}, watermark = null, workDir, logger }) {
+    const count = options.count || 1;
+    const formats = options.formats || ['jpeg'];
+    const { displayWidth, displayHeight, duration } = videoInfo;
+
+    // Never upscale; the source width stands in for anything larger
+    const widths = [...new Set((options.sizes || [displayWidth]).map(width => Math.min(width, displayWidth)))];
+
+    let frames;
+    if (options.timestamp !== undefined) {
+        const time = duration ? Math.min(options.timestamp, Math.max(0, duration - 0.1)) : options.timestamp;
+        frames = [{ time, score: null }];
+        logger.info(`Using requested poster timestamp ${time}s`);
+    } else {
+        frames = await selectPosterTimestamps(inputPath, { duration, count, workDir });
+        logger.info(`Selected poster frames: ${frames.map(frame => `${frame.time.toFixed(2)}s (${frame.score.toFixed(2)})`).join(', ')}`);
+    }
+
+    await extractPoster(inputPath, path.join(outputDir, 'thumbnail.jpg'), {
+        time: frames[0].time,
+        width: displayWidth,
+        height: displayHeight,
+        format: 'jpeg',
+        watermark
+    });
+
+    const postersDir = path.join(outputDir, POSTERS_DIR_NAME);
+    await fs.ensureDir(postersDir);
+
+    const posters = [];
+    for (const [index, frame] of frames.entries()) {
+        const images = [];
+        for (const width of widths) {
+            const height = Math.max(2, Math.round(width * displayHeight / displayWidth / 2) * 2);
+            for (const format of formats) {
+                const fileName = `poster_${index}_${width}.${POSTER_FORMATS[format].extension}`;
+                await extractPoster(inputPath, path.join(postersDir, fileName), { time: frame.time, width, height, format, watermark });
+                images.push({ format, width, height, path: `${POSTERS_DIR_NAME}/${fileName}` });
+            }
+        }
+        posters.push({
+            timestamp: Number(frame.time.toFixed(3)),
+            score: frame.score === null ? null : Number(frame.score.toFixed(3)),
+            images
+        });
+    }
+
+    return { thumbnailPath: 'thumbnail.jpg', posters };
+}
+
+export { POSTERS_DIR_NAME, POSTER_FORMATS, validatePosters, parseFrameMetadata, scoreFrame, generatePosters };
@@ -0,0 +1,210 @@
+import getRedisClient from './redisClient.js';
+
+// Redis hash holding every stored preset, keyed by preset name
+const PRESETS_KEY = 'video-presets';
+
+// Ladder used when a job asks for neither a preset nor inline renditions
+const DEFAULT_RENDITIONS = [
+    { name: '360p', height: 360, videoBitrate: '500k', audioBitrate: '64k' },
+    { name: '480p', height: 480, videoBitrate: '800k', audioBitrate: '96k' },
+    { name: '720p', height: 720, videoBitrate: '2500k', audioBitrate: '128k' },
+    { name: '1080p', height: 1080, videoBitrate: '5000k', audioBitrate: '192k' }
+];
+
+const DEFAULT_CODEC_OPTIONS = {
+    preset: 'fast',
+    crf: 23
+};
+
+const ALLOWED_VIDEO_CODECS = ['libx264', 'libx265'];
+const ALLOWED_CODEC_OPTIONS = ['preset', 'crf', 'profile', 'level', 'tune', 'maxrate', 'bufsize', 'gop'];
+const X264_PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+
+const BITRATE_PATTERN = /^\d+(\.\d+)?[kKmM]?$/;
+const NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+// Folder names the pipeline uses next to the renditions
+const RESERVED_NAMES = ['audio', 'subtitles', 'sprites', 'posters', 'teasers'];
+const MAX_RENDITIONS = 10;
+
+// Convert an ffmpeg style bitrate ("800k", "5M", "128000") to bits per second
+function parseBitrate(value) {
+    const str = String(value);
+    const number = parseFloat(str);
+    switch (str.slice(-1).toLowerCase()) {
+        case 'k':
+            return Math.round(number * 1000);
+        case 'm':
+            return Math.round(number * 1000 * 1000);
+        default:
+            return Math.round(number);
+    }
+}
+
+// Returns a list of human readable problems, empty when the ladder is valid
+function validateRenditions(renditions) {
+    const errors = [];
+
+    if (!Array.isArray(renditions) || renditions.length === 0) {
+        return ['renditions must be a non-empty array'];
+    }
+    if (renditions.length > MAX_RENDITIONS) {
+        errors.push(`renditions can contain at most ${MAX_RENDITIONS} entries`);
+    }
+
+    const names = new Set();
+    renditions.forEach((rendition, index) => {
+        const label = `renditions[${index}]`;
+
+        if (!rendition || typeof rendition !== 'object') {
+            errors.push(`${label} must be an object`);
+            return;
+        }
+
+        const { height, videoBitrate, audioBitrate, videoCodec, codecOptions } = rendition;
+        const name = rendition.name ?? `${height}p`;
+
+        if (!NAME_PATTERN.test(String(name))) {
+            errors.push(`${label}.name may only contain letters, numbers, "-" and "_"`);
+        } else if (RESERVED_NAMES.includes(name)) {
+            errors.push(`${label}.name "${name}" is reserved`);
+        } else if (names.has(name)) {
+            errors.push(`${label}.name "${name}" is used more than once`);
+        }
+        names.add(name);
+
+        if (!Number.isInteger(height) || height < 144 || height > 4320 || height % 2 !== 0) {
+            errors.push(`${label}.height must be an even integer between 144 and 4320`);
+        }
+        if (!BITRATE_PATTERN.test(String(videoBitrate ?? ''))) {
+            errors.push(`${label}.videoBitrate must look like "800k" or "5M"`);
+        }
+        if (!BITRATE_PATTERN.test(String(audioBitrate ?? ''))) {
+            errors.push(`${label}.audioBitrate must look like "96k" or "128000"`);
+        }
+        if (videoCodec !== undefined && !ALLOWED_VIDEO_CODECS.includes(videoCodec)) {
+            errors.push(`${label}.videoCodec must be one of ${ALLOWED_VIDEO_CODECS.join(', ')}`);
+        }
+
+        if (codecOptions !== undefined) {
+            if (!codecOptions || typeof codecOptions !== 'object' || Array.isArray(codecOptions)) {
+                errors.push(`${label}.codecOptions must be an object`);
+                return;
+            }
+            for (const option of Object.keys(codecOptions)) {
+                if (!ALLOWED_CODEC_OPTIONS.includes(option)) {
+                    errors.push(`${label}.codecOptions.${option} is not supported`);
+                }
+            }
+            if (codecOptions.preset !== undefined && !X264_PRESETS.includes(codecOptions.preset)) {
+                errors.push(`${label}.codecOptions.preset must be one of ${X264_PRESETS.join(', ')}`);
+            }
+            if (codecOptions.crf !== undefined && !(Number.isInteger(codecOptions.crf) && codecOptions.crf >= 0 && codecOptions.crf <= 51)) {
+                errors.push(`${label}.codecOptions.crf must be an integer between 0 and 51`);
+            }
+            if (codecOptions.gop !== undefined && !(Number.isInteger(codecOptions.gop) && codecOptions.gop > 0)) {
+                errors.push(`${label}.codecOptions.gop must be a positive integer`);
+            }
+            for (const option of ['maxrate', 'bufsize']) {
+                if (codecOptions[option] !== undefined && !BITRATE_PATTERN.test(String(codecOptions[option]))) {
+                    errors.push(`${label}.codecOptions.${option} must look like "800k" or "5M"`);
+                }
+            }
+        }
+    });
+
+    return errors;
+}
+
+// Fill in defaults and sort the ladder from lowest to highest quality
+function normalizeRenditions(renditions) {
+    return renditions
+        .map(rendition => ({
+            name: rendition.name ?? `${rendition.height}p`,
+            height: rendition.height,
+            videoBitrate: String(rendition.videoBitrate),
+            audioBitrate: String(rendition.audioBitrate),
+            videoCodec: rendition.videoCodec || 'libx264',
+            codecOptions: { ...DEFAULT_CODEC_OPTIONS, ...(rendition.codecOptions || {}) }
+        }))
+        .sort((a, b) => a.height - b.height || parseBitrate(a.videoBitrate) - parseBitrate(b.videoBitrate));
+}
+
+function validatePreset(preset) {
+    const errors = [];
+    if (!preset || typeof preset !== 'object') {
+        return ['preset body must be an object'];
+    }
+    if (!NAME_PATTERN.test(String(preset.name ?? ''))) {
+        errors.push('name is required and may only contain letters, numbers, "-" and "_"');
+    }
+    if (preset.description !== undefined && typeof preset.description !== 'string') {
+        errors.push('description must be a string');
+    }
+    return errors.concat(validateRenditions(preset.renditions));
+}
+
+async function listPresets() {
+    const stored = await getRedisClient().hgetall(PRESETS_KEY);
+    return Object.values(stored)
+        .map(value => JSON.parse(value))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function getPreset(name) {
+    const stored = await getRedisClient().hget(PRESETS_KEY, name);
+    return stored ? JSON.parse(stored) : null;
+}
+
+async function savePreset(preset) {
+    const existing = await getPreset(preset.name);
+    const now = new Date().toISOString();
+    const record = {
+        name: preset.name,
+        description: preset.description || '',
+        renditions: normalizeRenditions(preset.renditions),
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now
+    };
+    await getRedisClient().hset(PRESETS_KEY, preset.name, JSON.stringify(record));
+    return record;
+}
+
+async function deletePreset(name) {
+    const removed = await getRedisClient().hdel(PRESETS_KEY, name);
+    return removed > 0;
+}
+
+// Work out the ladder for a job: inline renditions win over a named preset,
+// and the built-in ladder is used when the job asks for neither.
+async function resolveRenditions({ renditions, preset } = {}) {
+    if (renditions) {
+        const errors = validateRenditions(renditions);
+        if (errors.length) {
+            throw new Error(`Invalid renditions: ${errors.join('; ')}`);
+        }
+        return normalizeRenditions(renditions);
+    }
+
+    if (preset) {
+        const stored = await getPreset(preset);
+        if (!stored) {
+            throw new Error(`Preset "${preset}" does not exist`);
+        }
+        return normalizeRenditions(stored.renditions);
+    }
+
+    return normalizeRenditions(DEFAULT_RENDITIONS);
+}
+
+export {
+    DEFAULT_RENDITIONS,
+    parseBitrate,
+    validateRenditions,
+    normalizeRenditions,
+    validatePreset,
+    listPresets,
+    getPreset,
+    savePreset,
+    deletePreset,
+    resolveRenditions
+};
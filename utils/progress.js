@@ -0,0 +1,156 @@
+// Stage-level progress for a processing job. The pipeline enters stages in
+// order and reports percent/bytes inside each; the reporter turns that into
+// an overall percentage (stages are weighted by how long they usually take)
+// and ETAs, and hands a snapshot to `onUpdate` (the worker's updateProgress).
+const STAGE_WEIGHTS = {
+    render: 25,
+    download: 8,
+    hash: 2,
+    probe: 2,
+    loudness: 5,
+    thumbnail: 4,
+    sprites: 3,
+    teaser: 3,
+    transcode: 55,
+    packaging: 5,
+    upload: 10
+};
+
+// Stages a job will go through, from its options
+// (`dedupe`: the source is hashed to look for an earlier output)
+function planStages(options = {}, { edit = false, dedupe = false } = {}) {
+    return [
+        ...(edit ? ['render'] : []),
+        'download',
+        ...(dedupe ? ['hash'] : []),
+        'probe',
+        ...(options.loudness ? ['loudness'] : []),
+        'thumbnail',
+        ...(options.sprites ? ['sprites'] : []),
+        ...(options.teaser ? ['teaser'] : []),
+        'transcode',
+        'packaging',
+        'upload'
+    ];
+}
+
+function roundPercent(value) {
+    return Math.round(Math.min(100, Math.max(0, value)) * 10) / 10;
+}
+
+class ProgressReporter {
+    constructor(stages, onUpdate, { interval = 1000 } = {}) {
+        this.stages = stages.map(name => ({ name, weight: STAGE_WEIGHTS[name] || 1 }));
+        this.totalWeight = this.stages.reduce((total, stage) => total + stage.weight, 0);
+        this.onUpdate = onUpdate;
+        this.interval = interval;
+        this.startedAt = Date.now();
+        this.stageIndex = -1;
+        this.lastEmitAt = 0;
+        this.state = null;
+    }
+
+    // Enter a stage; any stage skipped on the way counts as done
+    start(name, detail = null) {
+        const index = this.stages.findIndex(stage => stage.name === name);
+        if (index === -1 || index < this.stageIndex) return;
+
+        this.stageIndex = index;
+        this.stageStartedAt = Date.now();
+        this.state = {
+            stage: name,
+            stageIndex: index,
+            stageCount: this.stages.length,
+            stagePercent: 0,
+            detail
+        };
+        this.emit(true);
+    }
+
+    // { percent } or { bytes, totalBytes }, plus ffmpeg `speed` and a `detail`
+    update({ percent, bytes, totalBytes, speed, detail } = {}) {
+        if (!this.state) return;
+
+        if (bytes !== undefined) {
+            this.state.bytesTransferred = bytes;
+            this.state.totalBytes = totalBytes || null;
+        }
+        if (percent === undefined && bytes !== undefined && totalBytes) {
+            percent = bytes / totalBytes * 100;
+        }
+        if (percent !== undefined && percent !== null) {
+            this.state.stagePercent = roundPercent(percent);
+        }
+        if (speed !== undefined) {
+            this.state.speed = speed;
+        }
+        if (detail !== undefined) {
+            this.state.detail = detail;
+        }
+        this.emit(false);
+    }
+
+    finish() {
+        this.stageIndex = this.stages.length;
+        this.state = {
+            stage: 'done',
+            stageIndex: this.stages.length,
+            stageCount: this.stages.length,
+            stagePercent: 100,
+            detail: null
+        };
+        this.emit(true);
+    }
+
+    snapshot() {
+        const now = Date.now();
+        const doneWeight = this.stages
+            .slice(0, Math.min(this.stageIndex, this.stages.length))
+            .reduce((total, stage) => total + stage.weight, 0);
+        const currentWeight = this.stages[this.stageIndex]?.weight || 0;
+        // 100 is kept for the end, rounding could otherwise get there during upload
+        const percent = this.state.stage === 'done' ? 100 : Math.min(99.9, this.totalWeight
+            ? roundPercent((doneWeight + currentWeight * this.state.stagePercent / 100) / this.totalWeight * 100)
+            : 0);
+
+        // Straight-line estimates from the time spent so far
+        const stageElapsed = (now - this.stageStartedAt) / 1000;
+        const elapsed = (now - this.startedAt) / 1000;
+        const stagePercent = this.state.stagePercent;
+
+        return {
+            ...this.state,
+            percent,
+            elapsedSeconds: Math.round(elapsed),
+            stageEtaSeconds: stagePercent > 0 && stagePercent < 100
+                ? Math.round(stageElapsed * (100 - stagePercent) / stagePercent)
+                : null,
+            etaSeconds: percent > 0 && percent < 100 ? Math.round(elapsed * (100 - percent) / percent) : null,
+            updatedAt: new Date(now).toISOString()
+        };
+    }
+
+    // Stage changes go out at once, updates within a stage at most every `interval`
+    emit(force) {
+        const now = Date.now();
+        if (!force && now - this.lastEmitAt < this.interval) return;
+        this.lastEmitAt = now;
+
+        try {
+            Promise.resolve(this.onUpdate(this.snapshot())).catch((error) => {
+                console.error('Error reporting progress:', error.message);
+            });
+        } catch (error) {
+            console.error('Error reporting progress:', error.message);
+        }
+    }
+}
+
+// Stands in when nobody listens (direct calls outside the queue)
+const noProgress = {
+    start() {},
+    update() {},
+    finish() {}
+};
+
+export { STAGE_WEIGHTS, planStages, ProgressReporter, noProgress };
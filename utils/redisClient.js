@@ -0,0 +1,30 @@
+import IORedis from 'ioredis';
+import redisConfig from '../config/redis.js';
+
+// Shared Redis connection for the app's own data (presets, keys, logs...).
+// BullMQ keeps its own connections for the queue and worker.
+let client = null;
+
+function getRedisClient() {
+    if (!client) {
+        client = new IORedis({
+            ...redisConfig,
+            maxRetriesPerRequest: null
+        });
+
+        client.on('error', (error) => {
+            console.error('Redis client error:', error.message);
+        });
+    }
+    return client;
+}
+
+async function closeRedisClient() {
+    if (client) {
+        await client.quit();
+        client = null;
+    }
+}
+
+export { closeRedisClient };
+export default getRedisClient;
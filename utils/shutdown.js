@@ -0,0 +1,53 @@
+import serverConfig from '../config/server.js';
+
+// Past the shutdown deadline, handing jobs back and closing connections
+// gets this long before the process exits regardless
+const FORCE_EXIT_GRACE_MS = 30000;
+
+// Whether `promise` settles before `deadline` (a timestamp)
+async function finishesBefore(promise, deadline) {
+    let timer;
+    const timeout = new Promise((resolve) => {
+        timer = setTimeout(() => resolve(false), Math.max(0, deadline - Date.now()));
+    });
+    try {
+        return await Promise.race([promise.then(() => true), timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Run `shutdown(deadline)` on SIGTERM (every deploy) or SIGINT, then exit.
+// A second signal exits at once.
+function handleShutdownSignals(shutdown) {
+    let shuttingDown = false;
+
+    const onSignal = async (signal) => {
+        if (shuttingDown) {
+            console.error(`${signal} received again, exiting now`);
+            process.exit(1);
+        }
+        shuttingDown = true;
+
+        const timeout = serverConfig.shutdownTimeout * 1000;
+        console.log(`${signal} received, shutting down (active jobs get ${serverConfig.shutdownTimeout}s to finish)`);
+        setTimeout(() => {
+            console.error('Shutdown did not finish in time, exiting');
+            process.exit(1);
+        }, timeout + FORCE_EXIT_GRACE_MS).unref();
+
+        try {
+            await shutdown(Date.now() + timeout);
+            console.log('Shutdown complete');
+            process.exit(0);
+        } catch (error) {
+            console.error('Error during shutdown:', error);
+            process.exit(1);
+        }
+    };
+
+    process.on('SIGTERM', onSignal);
+    process.on('SIGINT', onSignal);
+}
+
+export { finishesBefore, handleShutdownSignals };
@@ -0,0 +1,117 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { runFfmpeg } from './ffmpegRunner.js';
+import { formatTimestamp } from './subtitles.js';
+import { buildWatermarkArgs } from './watermark.js';
+
+// Folder holding the sprite sheets; the WebVTT file sits next to the master playlist
+const SPRITES_DIR_NAME = 'sprites';
+const SPRITES_VTT_NAME = 'thumbnails.vtt';
+
+const DEFAULT_SPRITE_OPTIONS = {
+    interval: 5,
+    width: 160,
+    columns: 10,
+    rows: 10
+};
+
+// Allowed range for each sprite option
+const SPRITE_LIMITS = {
+    interval: [1, 60],
+    width: [64, 640],
+    columns: [1, 20],
+    rows: [1, 20]
+};
+
+// Returns a list of problems with a job's `sprites` option.
+// `true` uses the defaults, an object overrides some of them.
+function validateSprites(sprites) {
+    if (sprites === undefined || typeof sprites === 'boolean') return [];
+    if (!sprites || typeof sprites !== 'object' || Array.isArray(sprites)) {
+        return ['sprites must be true or an object like { "interval": 5, "width": 160 }'];
+    }
+
+    const errors = [];
+    for (const option of Object.keys(sprites)) {
+        if (!SPRITE_LIMITS[option]) {
+            errors.push(`sprites.${option} is not supported`);
+            continue;
+        }
+        const [min, max] = SPRITE_LIMITS[option];
+        const value = sprites[option];
+        if (typeof value !== 'number' || value < min || value > max || (option !== 'interval' && !Number.isInteger(value))) {
+            errors.push(`sprites.${option} must be ${option === 'interval' ? 'a number' : 'an integer'} between ${min} and ${max}`);
+        }
+    }
+    if (Number.isInteger(sprites.width) && sprites.width % 2 !== 0) {
+        errors.push('sprites.width must be even');
+    }
+    return errors;
+}
+
+// Sample a frame every `interval` seconds, tile the frames into sprite sheets
+// and write a WebVTT track mapping each time range to its tile (#xywh=...).
+// A prepared watermark is burned into each tile before tiling.
+async function generateSprites(inputPath, outputDir, { videoInfo, options, watermark = null, logger }) {
+    const { interval, width, columns, rows } = {
+        ...DEFAULT_SPRITE_OPTIONS,
+        ...(typeof options === 'object' ? options : {})
+    };
+    // Keep the display aspect ratio, rounded down to an even height
+    const height = Math.max(2, Math.floor(width * videoInfo.displayHeight / videoInfo.displayWidth / 2) * 2);
+    const duration = videoInfo.duration;
+    if (!duration) {
+        throw new Error('Cannot generate sprite sheets without a known duration');
+    }
+    const frameCount = Math.max(1, Math.ceil(duration / interval));
+    const tilesPerSheet = columns * rows;
+
+    const spritesDir = path.join(outputDir, SPRITES_DIR_NAME);
+    await fs.ensureDir(spritesDir);
+
+    logger.info(`Generating sprite sheets: ${frameCount} frames every ${interval}s at ${width}x${height}, ${columns}x${rows} per sheet`);
+    const head = `fps=1/${interval},scale=${width}:${height}`;
+    const tile = `tile=${columns}x${rows}`;
+    await runFfmpeg([
+        '-i', inputPath,
+        ...(watermark
+            ? buildWatermarkArgs(watermark, { width, height, head, tail: tile })
+            : ['-vf', `${head},${tile}`]),
+        '-an', '-sn',
+        '-q:v', '5',
+        '-start_number', '0',
+        path.join(spritesDir, 'sprite_%03d.jpg')
+    ], { duration });
+
+    const sheets = (await fs.readdir(spritesDir)).filter(file => file.endsWith('.jpg')).sort();
+
+    const cues = [];
+    for (let frame = 0; frame < frameCount; frame++) {
+        const sheet = Math.floor(frame / tilesPerSheet);
+        if (sheet >= sheets.length) break;
+
+        const tile = frame % tilesPerSheet;
+        const x = (tile % columns) * width;
+        const y = Math.floor(tile / columns) * height;
+        const start = frame * interval;
+        const end = Math.min(duration, start + interval);
+
+        cues.push(`${formatTimestamp(start)} --> ${formatTimestamp(end)}\n${SPRITES_DIR_NAME}/${sheets[sheet]}#xywh=${x},${y},${width},${height}`);
+    }
+
+    await fs.writeFile(path.join(outputDir, SPRITES_VTT_NAME), ['WEBVTT', '', cues.join('\n\n'), ''].join('\n'));
+    logger.info(`Wrote ${sheets.length} sprite sheets and ${cues.length} thumbnail cues`);
+
+    return {
+        vttPath: SPRITES_VTT_NAME,
+        sheetPaths: sheets.map(sheet => `${SPRITES_DIR_NAME}/${sheet}`),
+        interval,
+        width,
+        height,
+        columns,
+        rows,
+        frameCount: cues.length
+    };
+}
+
+export { SPRITES_DIR_NAME, validateSprites, generateSprites };
@@ -0,0 +1,520 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { S3, GetObjectCommand } from '@aws-sdk/client-s3';
+import { Upload } from '@aws-sdk/lib-storage';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import storageConfig from '../config/storage.js';
+
+// A location is { scheme, bucket, key, url }:
+//   s3://bucket/key                        -> scheme 's3'
+//   https://bucket.s3.amazonaws.com/key    -> scheme 's3' (virtual hosted)
+//   https://s3.<region>.amazonaws.com/bucket/key, or S3_ENDPOINT/bucket/key -> 's3' (path style)
+//   file:///abs/path                       -> scheme 'file', key is the path
+//   any other http(s) URL                  -> scheme 'http', read only
+
+const S3_HOST_PATTERN = /^(?:(.+)\.)?s3(?:[.-]([a-z0-9-]+))?(?:\.dualstack\.[a-z0-9-]+)?\.amazonaws\.com$/;
+
+function getContentType(filename) {
+    const ext = path.extname(filename).toLowerCase();
+    switch (ext) {
+        case '.m3u8':
+            return 'application/vnd.apple.mpegurl';
+        case '.ts':
+            return 'video/mp2t';
+        case '.mpd':
+            return 'application/dash+xml';
+        case '.m4s':
+            return 'video/iso.segment';
+        case '.mp4':
+            return 'video/mp4';
+        case '.vtt':
+            return 'text/vtt';
+        case '.jpg':
+            return 'image/jpeg';
+        case '.webp':
+            return 'image/webp';
+        case '.avif':
+            return 'image/avif';
+        case '.gif':
+            return 'image/gif';
+        default:
+            return 'application/octet-stream';
+    }
+}
+
+// `tenant` adds the tenant's own S3 endpoint to the path-style hosts
+function parseStorageUri(uri, tenant = null) {
+    const url = new URL(uri);
+
+    if (url.protocol === 's3:') {
+        return { scheme: 's3', bucket: url.hostname, key: decodeURIComponent(url.pathname.slice(1)), url: uri };
+    }
+
+    if (url.protocol === 'file:') {
+        return { scheme: 'file', bucket: null, key: fileURLToPath(url), url: uri };
+    }
+
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new Error(`Unsupported storage URI scheme ${url.protocol}`);
+    }
+
+    const pathParts = url.pathname.slice(1).split('/');
+    const endpoints = [tenant?.storage?.endpoint, storageConfig.s3.endpoint]
+        .filter(Boolean)
+        .map(endpoint => new URL(endpoint).host);
+
+    // Path style on a custom endpoint (MinIO): http://minio:9000/bucket/key
+    if (endpoints.includes(url.host)) {
+        return { scheme: 's3', bucket: pathParts[0], key: decodeURIComponent(pathParts.slice(1).join('/')), url: uri };
+    }
+
+    const awsHost = url.hostname.match(S3_HOST_PATTERN);
+    if (awsHost) {
+        return awsHost[1]
+            ? { scheme: 's3', bucket: awsHost[1], key: decodeURIComponent(pathParts.join('/')), url: uri }
+            : { scheme: 's3', bucket: pathParts[0], key: decodeURIComponent(pathParts.slice(1).join('/')), url: uri };
+    }
+
+    return { scheme: 'http', bucket: null, key: decodeURIComponent(url.pathname.slice(1)), url: uri };
+}
+
+// Where a job's output goes. `folderPath` is either a URI of its own or,
+// as before, a key prefix in the bucket the source came from (or S3_BUCKET
+// when there is no source yet, e.g. direct uploads). A tenant's jobs default
+// to the tenant's bucket, or its prefix of S3_BUCKET when it has none.
+function resolveDestination(folderPath, source = null, tenant = null) {
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(folderPath)) {
+        const destination = parseStorageUri(folderPath);
+        if (destination.scheme === 'http') {
+            throw new Error(`Cannot write output to ${folderPath}, use an s3:// or file:// URI`);
+        }
+        return destination;
+    }
+
+    if (source?.scheme === 's3') {
+        return { scheme: 's3', bucket: source.bucket, key: folderPath };
+    }
+    if (source?.scheme === 'file') {
+        return { scheme: 'file', bucket: null, key: path.join(getLocalRoot(tenant), folderPath) };
+    }
+    if (tenant?.storage) {
+        return { scheme: 's3', bucket: tenant.storage.bucket, key: folderPath };
+    }
+    if (tenant && storageConfig.s3.defaultBucket) {
+        return { scheme: 's3', bucket: storageConfig.s3.defaultBucket, key: path.posix.join(getTenantPrefix(tenant), folderPath) };
+    }
+    if (storageConfig.s3.defaultBucket) {
+        return { scheme: 's3', bucket: storageConfig.s3.defaultBucket, key: folderPath };
+    }
+    throw new Error(`Cannot tell which bucket to write to${source ? ` for ${source.url}` : ''}; pass folderPath as a URI or set S3_BUCKET`);
+}
+
+function formatStorageUri(location) {
+    if (location.scheme === 's3') {
+        return `s3://${location.bucket}/${location.key}`;
+    }
+    if (location.scheme === 'file') {
+        return pathToFileURL(location.key).toString();
+    }
+    return location.url;
+}
+
+function joinLocation(location, ...parts) {
+    return {
+        ...location,
+        key: location.scheme === 'file' ? path.join(location.key, ...parts) : path.posix.join(location.key, ...parts)
+    };
+}
+
+// Pass-through stream reporting the running byte count to `onProgress`
+function countBytes(onProgress) {
+    let bytes = 0;
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            bytes += chunk.length;
+            if (onProgress) onProgress(bytes);
+            callback(null, chunk);
+        }
+    });
+}
+
+// Tenants get a directory of their own under LOCAL_STORAGE_ROOT
+function getLocalRoot(tenant = null) {
+    if (!storageConfig.local.root) {
+        throw new Error('Local storage is disabled, set LOCAL_STORAGE_ROOT to use file:// URIs');
+    }
+    const root = path.resolve(storageConfig.local.root);
+    return tenant ? path.join(root, 'tenants', tenant.id) : root;
+}
+
+// Key prefix of a tenant without a bucket of its own in S3_BUCKET
+function getTenantPrefix(tenant) {
+    return `tenants/${tenant.id}/`;
+}
+
+class S3Storage {
+    constructor(config) {
+        this.config = config;
+        this.client = new S3({
+            region: config.region,
+            ...(config.endpoint && { endpoint: config.endpoint }),
+            forcePathStyle: config.forcePathStyle,
+            credentials: {
+                accessKeyId: config.accessKeyId,
+                secretAccessKey: config.secretAccessKey
+            }
+        });
+    }
+
+    // `onProgress(bytes, totalBytes)` is called as the object comes in;
+    // `signal` aborts the transfer
+    async download(location, destination, { onProgress, signal } = {}) {
+        const response = await this.client.getObject({ Bucket: location.bucket, Key: location.key }, { abortSignal: signal });
+        await pipeline(
+            response.Body,
+            countBytes(onProgress && (bytes => onProgress(bytes, response.ContentLength || null))),
+            fs.createWriteStream(destination),
+            { signal }
+        );
+    }
+
+    // Small objects (playlists) straight into memory
+    async read(location) {
+        const response = await this.client.getObject({ Bucket: location.bucket, Key: location.key });
+        return Buffer.from(await response.Body.transformToByteArray());
+    }
+
+    async checkAccess(location) {
+        if (!this.config.accessKeyId || !this.config.secretAccessKey) {
+            throw new Error('AWS credentials are not configured');
+        }
+        try {
+            await this.client.headBucket({ Bucket: location.bucket });
+        } catch (error) {
+            throw new Error(`Cannot access bucket ${location.bucket}: ${error.message}`);
+        }
+    }
+
+    // `onProgress(bytes)` is called as parts are sent. Aborting `signal`
+    // also aborts the multipart upload, so no parts are left behind.
+    async uploadFile(localPath, location, { onProgress, signal } = {}) {
+        const { size } = await fs.stat(localPath);
+        const upload = new Upload({
+            client: this.client,
+            params: {
+                Bucket: location.bucket,
+                Key: location.key,
+                Body: fs.createReadStream(localPath),
+                ContentType: getContentType(localPath),
+                ContentLength: size
+            },
+            queueSize: 4,
+            partSize: 1024 * 1024 * 5,
+            leavePartsOnError: false
+        });
+        if (onProgress) {
+            upload.on('httpUploadProgress', ({ loaded }) => onProgress(loaded || 0));
+        }
+        const abort = () => upload.abort();
+        signal?.addEventListener('abort', abort, { once: true });
+        try {
+            await upload.done();
+        } finally {
+            signal?.removeEventListener('abort', abort);
+        }
+    }
+
+    async delete(location) {
+        await this.client.deleteObject({ Bucket: location.bucket, Key: location.key });
+    }
+
+    async exists(location) {
+        try {
+            await this.client.headObject({ Bucket: location.bucket, Key: location.key });
+            return true;
+        } catch (error) {
+            if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return false;
+            throw error;
+        }
+    }
+
+    // Server-side copy, the object never comes through this machine
+    async copy(source, target, { signal } = {}) {
+        const sourceKey = source.key.split('/').map(encodeURIComponent).join('/');
+        await this.client.copyObject({
+            Bucket: target.bucket,
+            Key: target.key,
+            CopySource: `${source.bucket}/${sourceKey}`,
+            ContentType: getContentType(target.key),
+            MetadataDirective: 'REPLACE'
+        }, { abortSignal: signal });
+    }
+
+    // URL ffprobe/ffmpeg can read directly, private buckets included
+    async getReadUrl(location, expiresIn = 3600) {
+        return getSignedUrl(this.client, new GetObjectCommand({ Bucket: location.bucket, Key: location.key }), { expiresIn });
+    }
+
+    getPublicUrl(location) {
+        const key = location.key.split('/').map(encodeURIComponent).join('/');
+        if (this.config.publicUrl) {
+            return `${this.config.publicUrl.replace(/\/$/, '')}/${key}`;
+        }
+        if (this.config.endpoint) {
+            return `${this.config.endpoint.replace(/\/$/, '')}/${location.bucket}/${key}`;
+        }
+        return `https://${location.bucket}.s3.amazonaws.com/${key}`;
+    }
+}
+
+// file:// locations, kept inside LOCAL_STORAGE_ROOT (or a tenant's directory in it)
+class LocalStorage {
+    constructor(config, tenant = null) {
+        this.config = config;
+        this.tenant = tenant;
+    }
+
+    resolve(location) {
+        const root = getLocalRoot(this.tenant);
+        const resolved = path.resolve(location.key);
+        if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+            throw new Error(`${resolved} is outside ${this.tenant ? `the storage of tenant ${this.tenant.id}` : 'LOCAL_STORAGE_ROOT'}`);
+        }
+        return resolved;
+    }
+
+    async download(location, destination, { onProgress, signal } = {}) {
+        const source = this.resolve(location);
+        const { size } = await fs.stat(source);
+        await pipeline(
+            fs.createReadStream(source),
+            countBytes(onProgress && (bytes => onProgress(bytes, size))),
+            fs.createWriteStream(destination),
+            { signal }
+        );
+    }
+
+    async read(location) {
+        return fs.readFile(this.resolve(location));
+    }
+
+    async checkAccess(location) {
+        await fs.ensureDir(path.dirname(this.resolve(location)));
+    }
+
+    async uploadFile(localPath, location, { onProgress, signal } = {}) {
+        const target = this.resolve(location);
+        await fs.ensureDir(path.dirname(target));
+        await pipeline(fs.createReadStream(localPath), countBytes(onProgress), fs.createWriteStream(target), { signal });
+    }
+
+    async delete(location) {
+        await fs.remove(this.resolve(location));
+    }
+
+    async exists(location) {
+        return fs.pathExists(this.resolve(location));
+    }
+
+    async copy(source, target) {
+        await fs.copy(this.resolve(source), this.resolve(target));
+    }
+
+    async getReadUrl(location) {
+        return this.resolve(location);
+    }
+
+    getPublicUrl(location) {
+        const resolved = this.resolve(location);
+        if (this.config.publicUrl) {
+            const relative = path.relative(getLocalRoot(), resolved).split(path.sep).map(encodeURIComponent).join('/');
+            return `${this.config.publicUrl.replace(/\/$/, '')}/${relative}`;
+        }
+        return pathToFileURL(resolved).toString();
+    }
+}
+
+const drivers = {};
+
+// A tenant using the shared AWS identity may only touch its own bucket (or
+// its prefix of S3_BUCKET); one with its own credentials is bounded by them.
+function checkTenantS3Access(location, tenant) {
+    if (tenant.storage?.accessKeyId) return;
+
+    const allowed = tenant.storage
+        ? location.bucket === tenant.storage.bucket
+        : location.bucket === storageConfig.s3.defaultBucket && location.key.startsWith(getTenantPrefix(tenant));
+    if (!allowed) {
+        throw new Error(`Tenant ${tenant.id} cannot access s3://${location.bucket}/${location.key}`);
+    }
+}
+
+// Drivers are cached per tenant and rebuilt when the tenant is updated
+function getStorage(location, tenant = null) {
+    switch (location.scheme) {
+        case 's3': {
+            if (!tenant) {
+                drivers.s3 = drivers.s3 || new S3Storage(storageConfig.s3);
+                return drivers.s3;
+            }
+            checkTenantS3Access(location, tenant);
+            if (!tenant.storage) {
+                return getStorage(location);
+            }
+            const cacheKey = `s3:${tenant.id}`;
+            if (drivers[cacheKey]?.updatedAt !== tenant.updatedAt) {
+                const { bucket, ...storage } = tenant.storage;
+                const own = Object.fromEntries(Object.entries(storage).filter(([, value]) => value !== null && value !== undefined));
+                drivers[cacheKey] = {
+                    updatedAt: tenant.updatedAt,
+                    driver: new S3Storage({
+                        ...storageConfig.s3,
+                        ...own,
+                        // A custom endpoint wants path style unless the tenant says otherwise
+                        forcePathStyle: own.forcePathStyle ?? (own.endpoint ? true : storageConfig.s3.forcePathStyle)
+                    })
+                };
+            }
+            return drivers[cacheKey].driver;
+        }
+        case 'file': {
+            if (!tenant) {
+                drivers.file = drivers.file || new LocalStorage(storageConfig.local);
+                return drivers.file;
+            }
+            const cacheKey = `file:${tenant.id}`;
+            drivers[cacheKey] = drivers[cacheKey] || new LocalStorage(storageConfig.local, tenant);
+            return drivers[cacheKey];
+        }
+        default:
+            throw new Error(`No storage driver for ${location.scheme} locations`);
+    }
+}
+
+// Copy every file under localDir to the destination, keeping relative paths.
+// `onProgress({ bytes, totalBytes, files, totalFiles })` follows the transfer.
+// Returns { files, bytes, paths } uploaded, `paths` relative to the
+// destination with forward slashes. When `signal` aborts (the job was
+// cancelled) the files already copied are deleted again.
+async function uploadDirectory(localDir, destination, { logger, onProgress, tenant, signal } = {}) {
+    const storage = getStorage(destination, tenant);
+    await storage.checkAccess(destination);
+
+    const files = [];
+    for (const file of await fs.readdir(localDir, { recursive: true })) {
+        const stat = await fs.stat(path.join(localDir, file));
+        if (stat.isFile()) {
+            files.push({ file, size: stat.size });
+        }
+    }
+    const totalBytes = files.reduce((total, item) => total + item.size, 0);
+
+    let uploaded = 0;
+    let uploadedBytes = 0;
+    const targets = [];
+    for (const { file, size } of files) {
+        const target = joinLocation(destination, ...file.split(path.sep));
+        try {
+            signal?.throwIfAborted();
+            await storage.uploadFile(path.join(localDir, file), target, {
+                signal,
+                onProgress: onProgress && (bytes => onProgress({
+                    bytes: uploadedBytes + bytes,
+                    totalBytes,
+                    files: uploaded,
+                    totalFiles: files.length
+                }))
+            });
+        } catch (error) {
+            if (signal?.aborted) {
+                await removeLocations(storage, targets, logger);
+                throw new Error(`Upload to ${formatStorageUri(destination)} was cancelled`);
+            }
+            throw new Error(`Failed to upload ${file}: ${error.message}`);
+        }
+        targets.push(target);
+        uploaded += 1;
+        uploadedBytes += size;
+        if (onProgress) {
+            onProgress({ bytes: uploadedBytes, totalBytes, files: uploaded, totalFiles: files.length });
+        }
+    }
+
+    if (logger) {
+        logger.info(`Uploaded ${uploaded} files to ${formatStorageUri(destination)}`);
+    }
+    return {
+        files: uploaded,
+        bytes: uploadedBytes,
+        paths: files.map(({ file }) => file.split(path.sep).join('/'))
+    };
+}
+
+// Copy files (paths relative to `source`) to the same paths under
+// `destination`, within one kind of storage. Used to reuse an earlier job's
+// output; on failure or cancellation the files already copied are deleted.
+async function copyFiles(source, destination, paths, { logger, tenant, signal } = {}) {
+    if (source.scheme !== destination.scheme) {
+        throw new Error(`Cannot copy from ${formatStorageUri(source)} to ${formatStorageUri(destination)}`);
+    }
+    // Both sides must be the tenant's to use
+    getStorage(source, tenant);
+    const storage = getStorage(destination, tenant);
+    await storage.checkAccess(destination);
+
+    const targets = [];
+    for (const file of paths) {
+        const target = joinLocation(destination, ...file.split('/'));
+        try {
+            signal?.throwIfAborted();
+            await storage.copy(joinLocation(source, ...file.split('/')), target, { signal });
+        } catch (error) {
+            await removeLocations(storage, targets, logger);
+            if (signal?.aborted) {
+                throw new Error(`Copy to ${formatStorageUri(destination)} was cancelled`);
+            }
+            throw new Error(`Failed to copy ${file}: ${error.message}`);
+        }
+        targets.push(target);
+    }
+
+    if (logger) {
+        logger.info(`Copied ${targets.length} files from ${formatStorageUri(source)} to ${formatStorageUri(destination)}`);
+    }
+}
+
+// Best effort: what can't be deleted is logged and left
+async function removeLocations(storage, locations, logger) {
+    let removed = 0;
+    for (const location of locations) {
+        try {
+            await storage.delete(location);
+            removed += 1;
+        } catch (error) {
+            console.error(`Error deleting ${formatStorageUri(location)}:`, error.message);
+        }
+    }
+    if (logger) {
+        logger.info(`Deleted ${removed} of ${locations.length} files already uploaded`);
+    }
+}
+
+// A URL or path ffmpeg and ffprobe can open for the location
+async function getReadableInput(location, tenant = null) {
+    return location.scheme === 'http' ? location.url : getStorage(location, tenant).getReadUrl(location);
+}
+
+export {
+    getContentType,
+    parseStorageUri,
+    formatStorageUri,
+    resolveDestination,
+    joinLocation,
+    getStorage,
+    uploadDirectory,
+    copyFiles,
+    getReadableInput
+};
@@ -0,0 +1,227 @@
+import fs from 'fs-extra';
+import path from 'path';
+import axios from 'axios';
+import { runFfmpeg } from './ffmpegRunner.js';
+
+// Folder holding one sub-folder per subtitle track
+const SUBTITLES_DIR_NAME = 'subtitles';
+
+// WebVTT segment length in seconds; subtitle segments don't need to line up
+// with the video segments
+const SUBTITLE_SEGMENT_DURATION = 6;
+
+const MAX_SUBTITLES = 20;
+
+// Image based formats can't be turned into WebVTT
+const BITMAP_SUBTITLE_CODECS = ['hdmv_pgs_subtitle', 'dvd_subtitle', 'dvb_subtitle', 'xsub'];
+
+// Returns a list of problems with a job's `subtitles` option
+function validateSubtitles(subtitles) {
+    if (subtitles === undefined) return [];
+    if (!Array.isArray(subtitles) || subtitles.length === 0) {
+        return ['subtitles must be a non-empty array'];
+    }
+    if (subtitles.length > MAX_SUBTITLES) {
+        return [`subtitles can contain at most ${MAX_SUBTITLES} entries`];
+    }
+
+    const errors = [];
+    subtitles.forEach((subtitle, index) => {
+        const label = `subtitles[${index}]`;
+        if (!subtitle || typeof subtitle !== 'object') {
+            errors.push(`${label} must be an object`);
+            return;
+        }
+
+        const hasUrl = subtitle.url !== undefined;
+        const hasStream = subtitle.stream !== undefined;
+        if (hasUrl === hasStream) {
+            errors.push(`${label} needs either a url (SRT/VTT file) or a stream (embedded subtitle index)`);
+        }
+        if (hasUrl && !/^https?:\/\//.test(String(subtitle.url))) {
+            errors.push(`${label}.url must be an http(s) URL`);
+        }
+        if (hasStream && !(Number.isInteger(subtitle.stream) && subtitle.stream >= 0)) {
+            errors.push(`${label}.stream must be a subtitle stream index (0 is the first)`);
+        }
+        if (subtitle.language !== undefined && !/^[a-zA-Z-]{2,12}$/.test(String(subtitle.language))) {
+            errors.push(`${label}.language must be a language code like "en" or "eng"`);
+        }
+        if (subtitle.name !== undefined && typeof subtitle.name !== 'string') {
+            errors.push(`${label}.name must be a string`);
+        }
+        for (const flag of ['default', 'forced']) {
+            if (subtitle[flag] !== undefined && typeof subtitle[flag] !== 'boolean') {
+                errors.push(`${label}.${flag} must be a boolean`);
+            }
+        }
+    });
+
+    return errors;
+}
+
+// "01:02:03.456" or "02:03.456" -> seconds
+function parseTimestamp(value) {
+    const parts = value.trim().split(':').map(Number);
+    return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+function formatTimestamp(seconds) {
+    const ms = Math.round(seconds * 1000);
+    const hours = Math.floor(ms / 3600000);
+    const minutes = Math.floor(ms / 60000) % 60;
+    const secs = Math.floor(ms / 1000) % 60;
+    const millis = ms % 1000;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:`
+        + `${String(secs).padStart(2, '0')}.${String(millis).padStart(3, '0')}`;
+}
+
+// Split a WebVTT document into its STYLE blocks and its cues
+function parseWebVtt(content) {
+    const blocks = content.replace(/\r/g, '').split(/\n{2,}/);
+    const styles = [];
+    const cues = [];
+
+    for (const block of blocks.slice(1)) {
+        const lines = block.split('\n').filter(Boolean);
+        if (lines.length === 0 || lines[0].startsWith('NOTE')) continue;
+        if (lines[0].startsWith('STYLE')) {
+            styles.push(block.trim());
+            continue;
+        }
+
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        if (timingIndex === -1) continue;
+
+        const [start, rest] = lines[timingIndex].split('-->');
+        const [end, ...settings] = rest.trim().split(/\s+/);
+        cues.push({
+            start: parseTimestamp(start),
+            end: parseTimestamp(end),
+            settings: settings.join(' '),
+            text: lines.slice(timingIndex + 1).join('\n')
+        });
+    }
+
+    return { styles, cues };
+}
+
+// Write WebVTT segments and their media playlist for one subtitle track.
+// `mpegtsOffset` maps the cue times onto the video timeline (90kHz clock).
+async function writeSegmentedWebVtt(vttContent, trackDir, { duration, mpegtsOffset = 0 }) {
+    const { styles, cues } = parseWebVtt(vttContent);
+    const segmentCount = Math.max(1, Math.ceil(duration / SUBTITLE_SEGMENT_DURATION));
+    const header = [
+        'WEBVTT',
+        `X-TIMESTAMP-MAP=MPEGTS:${mpegtsOffset},LOCAL:00:00:00.000`,
+        '',
+        ...styles.flatMap(style => [style, ''])
+    ].join('\n');
+
+    const playlist = [
+        '#EXTM3U',
+        '#EXT-X-VERSION:3',
+        `#EXT-X-TARGETDURATION:${SUBTITLE_SEGMENT_DURATION}`,
+        '#EXT-X-MEDIA-SEQUENCE:0',
+        '#EXT-X-PLAYLIST-TYPE:VOD'
+    ];
+
+    for (let index = 0; index < segmentCount; index++) {
+        const segmentStart = index * SUBTITLE_SEGMENT_DURATION;
+        const segmentEnd = Math.min(duration, segmentStart + SUBTITLE_SEGMENT_DURATION);
+        const fileName = `segment_${String(index).padStart(3, '0')}.vtt`;
+
+        // A cue spanning a boundary is repeated in both segments, as the spec allows
+        const body = cues
+            .filter(cue => cue.start < segmentEnd && cue.end > segmentStart)
+            .map(cue => `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}${cue.settings ? ` ${cue.settings}` : ''}\n${cue.text}`)
+            .join('\n\n');
+
+        await fs.writeFile(path.join(trackDir, fileName), `${header}\n${body}\n`);
+        playlist.push(`#EXTINF:${(segmentEnd - segmentStart).toFixed(3)},`, fileName);
+    }
+
+    playlist.push('#EXT-X-ENDLIST');
+    await fs.writeFile(path.join(trackDir, 'playlist.m3u8'), playlist.join('\n') + '\n');
+
+    return { cueCount: cues.length, segmentCount };
+}
+
+// Turn the job's subtitle sources (downloaded files or embedded streams) into
+// segmented WebVTT under outputDir/subtitles/<name>/.
+// Failing tracks are reported in `skipped` rather than failing the whole job.
+async function processSubtitles(subtitles, { inputPath, workDir, outputDir, subtitleStreams, duration, mpegtsOffset, logger }) {
+    const tracks = [];
+    const skipped = [];
+    const usedNames = new Set();
+    const usedLabels = new Set();
+    const hasDefault = subtitles.some(subtitle => subtitle.default);
+
+    for (const [index, subtitle] of subtitles.entries()) {
+        const embedded = subtitle.stream !== undefined ? subtitleStreams[subtitle.stream] : null;
+        const language = subtitle.language || (embedded && embedded.language) || 'und';
+
+        // NAME shown by players, which must be unique within the subtitles group
+        let label = subtitle.name || (embedded && embedded.title) || (language === 'und' ? `Subtitles ${index + 1}` : language);
+        if (usedLabels.has(label)) label = `${label} ${index + 1}`;
+        usedLabels.add(label);
+
+        // Folder name; an embedded stream's language tag comes from the file
+        let name = language.toLowerCase().replace(/[^a-z0-9-]/g, '') || 'und';
+        if (usedNames.has(name)) name = `${name}_${index}`;
+        usedNames.add(name);
+
+        try {
+            const vttPath = path.join(workDir, `subtitle_${index}.vtt`);
+
+            if (subtitle.url) {
+                logger.info(`Downloading subtitles from ${subtitle.url}`);
+                const response = await axios({
+                    method: 'get',
+                    url: subtitle.url,
+                    responseType: 'arraybuffer',
+                    timeout: 30000
+                });
+                const sourcePath = path.join(workDir, `subtitle_${index}_source${path.extname(new URL(subtitle.url).pathname) || '.srt'}`);
+                await fs.writeFile(sourcePath, response.data);
+                await runFfmpeg(['-i', sourcePath, '-map', '0:s:0', '-c:s', 'webvtt', '-f', 'webvtt', vttPath]);
+            } else {
+                if (!embedded) {
+                    throw new Error(`Source has no subtitle stream ${subtitle.stream}`);
+                }
+                if (BITMAP_SUBTITLE_CODECS.includes(embedded.codec)) {
+                    throw new Error(`Subtitle stream ${subtitle.stream} is image based (${embedded.codec}) and can't be converted to WebVTT`);
+                }
+                await runFfmpeg(['-i', inputPath, '-map', `0:s:${subtitle.stream}`, '-c:s', 'webvtt', '-f', 'webvtt', vttPath]);
+            }
+
+            const trackDir = path.join(outputDir, SUBTITLES_DIR_NAME, name);
+            await fs.ensureDir(trackDir);
+            const { cueCount, segmentCount } = await writeSegmentedWebVtt(await fs.readFile(vttPath, 'utf8'), trackDir, {
+                duration,
+                mpegtsOffset
+            });
+            logger.info(`Subtitles ${name}: ${cueCount} cues in ${segmentCount} WebVTT segments`);
+
+            tracks.push({
+                name: label,
+                trackName: name,
+                language: language === 'und' ? null : language,
+                isDefault: hasDefault ? Boolean(subtitle.default) : false,
+                forced: Boolean(subtitle.forced),
+                uri: `${SUBTITLES_DIR_NAME}/${name}/playlist.m3u8`
+            });
+        } catch (error) {
+            logger.warn(`Skipping subtitles ${subtitle.url || `stream ${subtitle.stream}`}: ${error.message}`);
+            skipped.push({
+                source: subtitle.url || `stream:${subtitle.stream}`,
+                language,
+                reason: error.message
+            });
+        }
+    }
+
+    return { tracks, skipped };
+}
+
+export { SUBTITLES_DIR_NAME, validateSubtitles, formatTimestamp, parseWebVtt, writeSegmentedWebVtt, processSubtitles };
@@ -0,0 +1,197 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { runFfmpeg } from './ffmpegRunner.js';
+import { parseFrameMetadata } from './posters.js';
+import { buildWatermarkArgs } from './watermark.js';
+
+const TEASERS_DIR_NAME = 'teasers';
+
+const TEASER_FORMATS = ['mp4', 'webp', 'gif'];
+
+const DEFAULT_TEASER_OPTIONS = {
+    duration: 4,
+    sizes: [320],
+    formats: ['mp4', 'webp']
+};
+
+const MAX_TEASER_DURATION = 15;
+const MAX_TEASER_SIZES = 3;
+
+// Frames per second analysed when looking for the most active window
+const ACTIVITY_RATE = 4;
+
+// Returns a list of problems with a job's `teaser` option.
+// `true` uses the defaults, an object overrides some of them.
+function validateTeaser(teaser) {
+    if (teaser === undefined || typeof teaser === 'boolean') return [];
+    if (!teaser || typeof teaser !== 'object' || Array.isArray(teaser)) {
+        return ['teaser must be true or an object like { "duration": 4, "sizes": [320], "formats": ["mp4", "webp"] }'];
+    }
+
+    const errors = [];
+    const { start, duration, sizes, formats } = teaser;
+
+    if (start !== undefined && !(typeof start === 'number' && start >= 0)) {
+        errors.push('teaser.start must be a number of seconds');
+    }
+    if (duration !== undefined && !(typeof duration === 'number' && duration >= 1 && duration <= MAX_TEASER_DURATION)) {
+        errors.push(`teaser.duration must be between 1 and ${MAX_TEASER_DURATION} seconds`);
+    }
+    if (sizes !== undefined) {
+        if (!Array.isArray(sizes) || sizes.length === 0 || sizes.length > MAX_TEASER_SIZES) {
+            errors.push(`teaser.sizes must be an array of 1 to ${MAX_TEASER_SIZES} widths`);
+        } else if (!sizes.every(size => Number.isInteger(size) && size >= 64 && size <= 720 && size % 2 === 0)) {
+            errors.push('teaser.sizes entries must be even widths between 64 and 720');
+        }
+    }
+    if (formats !== undefined) {
+        if (!Array.isArray(formats) || formats.length === 0) {
+            errors.push('teaser.formats must be a non-empty array');
+        } else if (!formats.every(format => TEASER_FORMATS.includes(format))) {
+            errors.push(`teaser.formats entries must be one of ${TEASER_FORMATS.join(', ')}`);
+        }
+    }
+    for (const option of Object.keys(teaser)) {
+        if (!['start', 'duration', 'sizes', 'formats'].includes(option)) {
+            errors.push(`teaser.${option} is not supported`);
+        }
+    }
+
+    return errors;
+}
+
+// Start of the `length` second window with the most frame to frame change,
+// measured by scdet's mean absolute frame difference
+async function findActiveWindow(inputPath, { duration, length, workDir }) {
+    const metadataPath = path.join(workDir, 'teaser_activity.txt');
+
+    await runFfmpeg([
+        '-i', inputPath,
+        '-an', '-sn',
+        '-vf', `fps=${ACTIVITY_RATE},scale=160:-2,scdet=threshold=100,metadata=mode=print:file=${metadataPath}`,
+        '-f', 'null', '-'
+    ], { duration });
+
+    const frames = parseFrameMetadata(await fs.readFile(metadataPath, 'utf8'))
+        .map(frame => ({ time: frame.time, activity: frame['lavfi.scd.mafd'] || 0 }));
+
+    const windowFrames = Math.max(1, Math.round(length * ACTIVITY_RATE));
+    let best = { start: 0, activity: -1 };
+    let sum = 0;
+
+    for (let index = 0; index < frames.length; index++) {
+        sum += frames[index].activity;
+        if (index >= windowFrames) {
+            sum -= frames[index - windowFrames].activity;
+        }
+        if (index >= windowFrames - 1 && sum > best.activity) {
+            best = { start: frames[index - windowFrames + 1].time, activity: sum };
+        }
+    }
+
+    return best.start;
+}
+
+// Filters for each teaser format: `head` brings the clip to its size and
+// frame rate, `tail` (if any) runs after the watermark
+function getTeaserFilters(format, width, height) {
+    switch (format) {
+        case 'mp4':
+            return { head: `scale=${width}:${height}`, tail: 'fps=24' };
+        case 'webp':
+            return { head: `fps=12,scale=${width}:${height}` };
+        case 'gif':
+            // A palette built from the clip itself keeps GIF banding down
+            return {
+                head: `fps=10,scale=${width}:${height}:flags=lanczos`,
+                tail: 'split[a][b];[a]palettegen=stats_mode=diff[p];[b][p]paletteuse=dither=bayer'
+            };
+        default:
+            throw new Error(`Unknown teaser format ${format}`);
+    }
+}
+
+function getTeaserArgs(format, width, height) {
+    switch (format) {
+        case 'mp4':
+            return [
+                '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '30',
+                '-maxrate', '400k', '-bufsize', '800k',
+                '-pix_fmt', 'yuv420p',
+                '-movflags', '+faststart',
+                '-f', 'mp4'
+            ];
+        case 'webp':
+            return [
+                '-c:v', 'libwebp', '-quality', '60', '-compression_level', '4',
+                '-loop', '0',
+                '-f', 'webp'
+            ];
+        case 'gif':
+            return [
+                '-loop', '0',
+                '-f', 'gif'
+            ];
+        default:
+            throw new Error(`Unknown teaser format ${format}`);
+    }
+}
+
+// Encode short silent loops of the most interesting part of the video
+// (or the window the job asked for) under teasers/, with a prepared
+// watermark burned in as on the renditions
+async function generateTeasers(inputPath, outputDir, { videoInfo, options, watermark = null, workDir, logger }) {
+    const { start, duration: requestedDuration, sizes, formats } = {
+        ...DEFAULT_TEASER_OPTIONS,
+        ...(typeof options === 'object' ? options : {})
+    };
+    const { displayWidth, displayHeight, duration } = videoInfo;
+
+    const length = duration ? Math.min(requestedDuration, duration) : requestedDuration;
+    let windowStart;
+    if (start !== undefined) {
+        windowStart = duration ? Math.max(0, Math.min(start, duration - length)) : start;
+    } else if (duration && duration > length) {
+        windowStart = await findActiveWindow(inputPath, { duration, length, workDir });
+    } else {
+        windowStart = 0;
+    }
+    logger.info(`Teaser window ${windowStart.toFixed(2)}s to ${(windowStart + length).toFixed(2)}s`);
+
+    const teasersDir = path.join(outputDir, TEASERS_DIR_NAME);
+    await fs.ensureDir(teasersDir);
+
+    // Never upscale
+    const widths = [...new Set(sizes.map(width => Math.min(width, displayWidth - (displayWidth % 2))))];
+    const files = [];
+    for (const width of widths) {
+        const height = Math.max(2, Math.round(width * displayHeight / displayWidth / 2) * 2);
+        for (const format of formats) {
+            const fileName = `teaser_${width}.${format}`;
+            const { head, tail } = getTeaserFilters(format, width, height);
+            await runFfmpeg([
+                '-ss', windowStart.toFixed(3),
+                '-t', length.toFixed(3),
+                '-i', inputPath,
+                ...(watermark
+                    ? buildWatermarkArgs(watermark, { width, height, head, tail, timeOffset: windowStart })
+                    : ['-filter_complex', `[0:v]${[head, tail].filter(Boolean).join(',')}`]),
+                '-an', '-sn',
+                ...getTeaserArgs(format, width, height),
+                path.join(teasersDir, fileName)
+            ], { duration: length });
+
+            const { size } = await fs.stat(path.join(teasersDir, fileName));
+            files.push({ format, width, height, size, path: `${TEASERS_DIR_NAME}/${fileName}` });
+            logger.info(`Teaser ${fileName}: ${(size / 1024).toFixed(0)} KB`);
+        }
+    }
+
+    return {
+        start: Number(windowStart.toFixed(3)),
+        duration: Number(length.toFixed(3)),
+        files
+    };
+}
+
+export { TEASERS_DIR_NAME, TEASER_FORMATS, validateTeaser, generateTeasers };
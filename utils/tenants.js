@@ -0,0 +1,303 @@
+import videoQueue from '../queue.js';
+import getRedisClient from './redisClient.js';
+
+// Tenants are the apps the converter works for. Each has its own storage,
+// callback base URL, default preset, quotas and concurrency limit; jobs and
+// API keys carry a tenantId.
+const TENANTS_KEY = 'tenants';
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,62}$/;
+
+const USAGE_PREFIX = 'tenant-usage:';
+const WAITING_PREFIX = 'tenant-jobs:waiting:';
+const ACTIVE_PREFIX = 'tenant-jobs:active:';
+const PRUNED_PREFIX = 'tenant-jobs:pruned:';
+
+// States in which a job still counts as waiting for its tenant
+const QUEUED_STATES = ['waiting', 'prioritized', 'delayed'];
+
+// How often a tenant's waiting set is checked against the queue
+const WAITING_PRUNE_INTERVAL_SECONDS = 60;
+
+// Jobs queued without a tenant share this bucket for fair scheduling
+const DEFAULT_SCHEDULING_GROUP = 'default';
+
+// BullMQ's lowest priority
+const MAX_PRIORITY = 2097152;
+
+// A slot held this long belongs to a job that was removed while running
+const ACTIVE_SLOT_TTL_MS = 6 * 60 * 60 * 1000;
+
+const STORAGE_FIELDS = ['region', 'endpoint', 'forcePathStyle', 'accessKeyId', 'secretAccessKey', 'bucket', 'publicUrl'];
+
+function validateTenant(tenant = {}, { partial = false } = {}) {
+    const errors = [];
+
+    if (!partial && !TENANT_ID_PATTERN.test(String(tenant.id))) {
+        errors.push('id must be 2-63 lowercase letters, digits or dashes');
+    }
+    if ((!partial || tenant.name !== undefined) && (!tenant.name || typeof tenant.name !== 'string')) {
+        errors.push('name is required');
+    }
+
+    if (tenant.storage !== undefined && tenant.storage !== null) {
+        const { storage } = tenant;
+        if (typeof storage !== 'object' || Array.isArray(storage)) {
+            errors.push('storage must be an object like { "bucket", "region", "accessKeyId", "secretAccessKey" }');
+        } else {
+            const unknown = Object.keys(storage).filter(field => !STORAGE_FIELDS.includes(field));
+            if (unknown.length) {
+                errors.push(`storage has unknown fields: ${unknown.join(', ')}`);
+            }
+            if (!storage.bucket || typeof storage.bucket !== 'string') {
+                errors.push('storage.bucket is required');
+            }
+            if (Boolean(storage.accessKeyId) !== Boolean(storage.secretAccessKey)) {
+                errors.push('storage.accessKeyId and storage.secretAccessKey must be given together');
+            }
+            for (const field of ['endpoint', 'publicUrl']) {
+                if (storage[field] && !/^https?:\/\//.test(storage[field])) {
+                    errors.push(`storage.${field} must be an http(s) URL`);
+                }
+            }
+        }
+    }
+
+    if (tenant.callbackUrl !== undefined && tenant.callbackUrl !== null && !/^https?:\/\//.test(String(tenant.callbackUrl))) {
+        errors.push('callbackUrl must be an http(s) URL');
+    }
+    if (tenant.defaultPreset !== undefined && tenant.defaultPreset !== null && typeof tenant.defaultPreset !== 'string') {
+        errors.push('defaultPreset must be a preset name');
+    }
+
+    if (tenant.quotas !== undefined && tenant.quotas !== null) {
+        if (typeof tenant.quotas !== 'object' || Array.isArray(tenant.quotas)) {
+            errors.push('quotas must be an object like { "monthlyMinutes": 600, "storageBytes": 107374182400 }');
+        } else {
+            for (const field of ['monthlyMinutes', 'storageBytes']) {
+                const value = tenant.quotas[field];
+                if (value !== undefined && value !== null && !(typeof value === 'number' && value > 0)) {
+                    errors.push(`quotas.${field} must be a positive number`);
+                }
+            }
+        }
+    }
+
+    if (tenant.concurrency !== undefined && tenant.concurrency !== null && !(Number.isInteger(tenant.concurrency) && tenant.concurrency >= 1)) {
+        errors.push('concurrency must be a positive integer');
+    }
+
+    return errors;
+}
+
+// The stored record without storage secrets
+function describeTenant(tenant) {
+    if (!tenant.storage) return tenant;
+    const { secretAccessKey, ...storage } = tenant.storage;
+    return { ...tenant, storage: { ...storage, secretAccessKey: secretAccessKey ? '***' : null } };
+}
+
+async function listTenants() {
+    const stored = await getRedisClient().hgetall(TENANTS_KEY);
+    return Object.values(stored)
+        .map(value => JSON.parse(value))
+        .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+async function getTenant(id) {
+    if (!id) return null;
+    const stored = await getRedisClient().hget(TENANTS_KEY, id);
+    return stored ? JSON.parse(stored) : null;
+}
+
+async function saveTenant(tenant) {
+    const existing = await getTenant(tenant.id);
+    const now = new Date().toISOString();
+    const record = {
+        id: tenant.id,
+        name: tenant.name,
+        storage: tenant.storage || null,
+        callbackUrl: tenant.callbackUrl || null,
+        defaultPreset: tenant.defaultPreset || null,
+        quotas: {
+            monthlyMinutes: tenant.quotas?.monthlyMinutes ?? null,
+            storageBytes: tenant.quotas?.storageBytes ?? null
+        },
+        concurrency: tenant.concurrency ?? null,
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now
+    };
+    await getRedisClient().hset(TENANTS_KEY, record.id, JSON.stringify(record));
+    return record;
+}
+
+async function deleteTenant(id) {
+    const removed = await getRedisClient().hdel(TENANTS_KEY, id);
+    return removed > 0;
+}
+
+function currentMonth() {
+    return new Date().toISOString().slice(0, 7);
+}
+
+async function getTenantUsage(id, month = currentMonth()) {
+    const redis = getRedisClient();
+    const [monthly, storage] = await Promise.all([
+        redis.hgetall(`${USAGE_PREFIX}${id}:${month}`),
+        redis.hget(`${USAGE_PREFIX}${id}:storage`, 'bytes')
+    ]);
+    return {
+        month,
+        minutes: Math.round(Number(monthly.minutes || 0) * 100) / 100,
+        jobs: Number(monthly.jobs || 0),
+        storageBytes: Number(storage || 0)
+    };
+}
+
+// Called when a job completes: source minutes processed and bytes written.
+// Storage used is the running total of bytes jobs wrote. The converter never
+// deletes outputs, so whoever does reports the bytes freed
+// (releaseTenantStorage, each job result has its storedBytes), or an admin
+// sets the total after checking the bucket (setTenantStorage).
+async function recordTenantUsage(id, { minutes = 0, bytes = 0 } = {}) {
+    const redis = getRedisClient();
+    const monthKey = `${USAGE_PREFIX}${id}:${currentMonth()}`;
+    await redis.hincrbyfloat(monthKey, 'minutes', minutes);
+    await redis.hincrby(monthKey, 'jobs', 1);
+    if (bytes) {
+        await redis.hincrby(`${USAGE_PREFIX}${id}:storage`, 'bytes', Math.round(bytes));
+    }
+}
+
+// Lower the storage total, never below 0
+const RELEASE_STORAGE_SCRIPT = `
+local bytes = redis.call('HINCRBY', KEYS[1], 'bytes', -tonumber(ARGV[1]))
+if bytes < 0 then
+    redis.call('HSET', KEYS[1], 'bytes', 0)
+    return 0
+end
+return bytes
+`;
+
+async function releaseTenantStorage(id, bytes) {
+    return getRedisClient().eval(RELEASE_STORAGE_SCRIPT, 1, `${USAGE_PREFIX}${id}:storage`, Math.round(bytes));
+}
+
+async function setTenantStorage(id, bytes) {
+    await getRedisClient().hset(`${USAGE_PREFIX}${id}:storage`, 'bytes', Math.round(bytes));
+}
+
+// Whether a new job of `durationSeconds` fits the tenant's quotas.
+// Returns a list of { quota, message, limit, used }, empty when it does.
+async function checkTenantQuota(tenant, { durationSeconds = 0 } = {}) {
+    const { monthlyMinutes, storageBytes } = tenant.quotas || {};
+    if (!monthlyMinutes && !storageBytes) return [];
+
+    const usage = await getTenantUsage(tenant.id);
+    const violations = [];
+    const minutes = durationSeconds / 60;
+
+    if (monthlyMinutes && usage.minutes + minutes > monthlyMinutes) {
+        violations.push({
+            quota: 'monthlyMinutes',
+            message: `${usage.minutes} of ${monthlyMinutes} minutes used in ${usage.month}${minutes ? `, this input is ${Math.ceil(minutes)} more` : ''}`,
+            limit: monthlyMinutes,
+            used: usage.minutes
+        });
+    }
+    if (storageBytes && usage.storageBytes >= storageBytes) {
+        violations.push({
+            quota: 'storageBytes',
+            message: `${usage.storageBytes} of ${storageBytes} bytes of storage used`,
+            limit: storageBytes,
+            used: usage.storageBytes
+        });
+    }
+    return violations;
+}
+
+// Fair scheduling. A job's BullMQ priority is one more than the number of
+// jobs its tenant already has waiting, so a tenant queueing a thousand jobs
+// gets priorities 1..1000 while another tenant's next job still gets 1 and
+// is interleaved instead of waiting behind the whole batch.
+async function getTenantPriority(tenantId) {
+    const group = tenantId || DEFAULT_SCHEDULING_GROUP;
+    await pruneWaitingJobs(group);
+    const waiting = await getRedisClient().scard(`${WAITING_PREFIX}${group}`);
+    return Math.min(waiting + 1, MAX_PRIORITY);
+}
+
+// Jobs can leave the queue without taking or releasing a slot (failed before
+// the worker got that far, removed from the dashboard, cleaned), so once a
+// minute per tenant the waiting set drops jobs that aren't queued any more
+async function pruneWaitingJobs(group) {
+    const redis = getRedisClient();
+    const due = await redis.set(`${PRUNED_PREFIX}${group}`, '1', 'EX', WAITING_PRUNE_INTERVAL_SECONDS, 'NX');
+    if (!due) return;
+
+    const waitingKey = `${WAITING_PREFIX}${group}`;
+    const jobIds = await redis.smembers(waitingKey);
+    const states = await Promise.all(jobIds.map(jobId => videoQueue.getJobState(jobId)));
+    const gone = jobIds.filter((_, index) => !QUEUED_STATES.includes(states[index]));
+    if (gone.length) {
+        await redis.srem(waitingKey, ...gone);
+    }
+}
+
+// Also called when a job goes back to the queue: put back for its tenant's
+// limit or for shutdown, or failed with attempts left
+async function markTenantJobQueued(tenantId, jobId) {
+    await getRedisClient().sadd(`${WAITING_PREFIX}${tenantId || DEFAULT_SCHEDULING_GROUP}`, jobId);
+}
+
+// Take one of the tenant's concurrency slots for a job about to run.
+// Returns false when the tenant is at its limit; the worker then delays the job.
+async function acquireTenantSlot(tenant, jobId) {
+    const group = tenant?.id || DEFAULT_SCHEDULING_GROUP;
+    const redis = getRedisClient();
+    const activeKey = `${ACTIVE_PREFIX}${group}`;
+    const now = Date.now();
+
+    await redis.zremrangebyscore(activeKey, 0, now - ACTIVE_SLOT_TTL_MS);
+    // NX: a stalled job picked up again keeps the slot it already had
+    await redis.zadd(activeKey, 'NX', now, jobId);
+    if (tenant?.concurrency && (await redis.zcard(activeKey)) > tenant.concurrency) {
+        // Several jobs may race for the last slot; whoever isn't among the oldest backs off
+        const holders = await redis.zrange(activeKey, 0, tenant.concurrency - 1);
+        if (!holders.includes(String(jobId))) {
+            await redis.zrem(activeKey, jobId);
+            return false;
+        }
+    }
+
+    await redis.srem(`${WAITING_PREFIX}${group}`, jobId);
+    return true;
+}
+
+// Also drops the job from the waiting set, in case the worker took it
+// before markTenantJobQueued got to add it
+async function releaseTenantSlot(tenantId, jobId) {
+    const group = tenantId || DEFAULT_SCHEDULING_GROUP;
+    const redis = getRedisClient();
+    await redis.zrem(`${ACTIVE_PREFIX}${group}`, jobId);
+    await redis.srem(`${WAITING_PREFIX}${group}`, jobId);
+}
+
+export {
+    TENANT_ID_PATTERN,
+    MAX_PRIORITY,
+    validateTenant,
+    describeTenant,
+    listTenants,
+    getTenant,
+    saveTenant,
+    deleteTenant,
+    getTenantUsage,
+    recordTenantUsage,
+    releaseTenantStorage,
+    setTenantStorage,
+    checkTenantQuota,
+    getTenantPriority,
+    markTenantJobQueued,
+    acquireTenantSlot,
+    releaseTenantSlot
+};
@@ -0,0 +1,271 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { runFfmpeg } from './ffmpegRunner.js';
+import { parseBitrate } from './presets.js';
+import { buildWatermarkFilters } from './watermark.js';
+
+// Target HLS segment length in seconds. Keyframes are forced on this grid so
+// every rendition is cut at exactly the same points.
+const HLS_SEGMENT_DURATION = 1;
+
+// hls:  MPEG-TS segments
+// cmaf: fMP4 segments shared by HLS and DASH
+const OUTPUT_FORMATS = ['hls', 'cmaf'];
+
+// Directory holding one sub-folder per audio track when audio is packaged as
+// alternate renditions so players can switch tracks
+const AUDIO_RENDITION_NAME = 'audio';
+
+function getSegmentPaths(segmentDir, outputFormat) {
+    return {
+        segmentDir,
+        playlistPath: path.join(segmentDir, 'playlist.m3u8'),
+        segmentPattern: path.join(segmentDir, outputFormat === 'cmaf' ? 'segment_%03d.m4s' : 'segment_%03d.ts')
+    };
+}
+
+// Where each rendition's files end up inside the output directory
+function getRenditionPaths(outputDir, rendition, baseName, outputFormat = 'hls') {
+    const renditionDir = path.join(outputDir, rendition.name);
+    return {
+        renditionDir,
+        ...getSegmentPaths(path.join(renditionDir, 'segments'), outputFormat),
+        mp4Path: path.join(renditionDir, `${baseName}_${rendition.name}.mp4`)
+    };
+}
+
+function getAudioPaths(outputDir, track, outputFormat) {
+    return getSegmentPaths(path.join(outputDir, AUDIO_RENDITION_NAME, track.name, 'segments'), outputFormat);
+}
+
+// Tee slave writing one HLS media playlist
+function getHlsSlave(select, paths, outputFormat) {
+    const segmentOptions = outputFormat === 'cmaf'
+        ? ':hls_segment_type=fmp4:hls_fmp4_init_filename=init.mp4'
+        : ':hls_segment_type=mpegts';
+
+    return `[select='${select}':f=hls:hls_time=${HLS_SEGMENT_DURATION}:hls_playlist_type=vod:hls_list_size=0`
+        + `:hls_flags=independent_segments${segmentOptions}`
+        + `:hls_segment_filename=${paths.segmentPattern}]${paths.playlistPath}`;
+}
+
+// Per-rendition encoder options, addressed with the output stream index
+function getVideoEncoderArgs(rendition, index) {
+    const { preset, crf, profile, level, tune, maxrate, bufsize, gop } = rendition.codecOptions || {};
+    const stream = `v:${index}`;
+
+    // Capped CRF: quality driven, but never above the rendition's bitrate budget
+    const cap = maxrate || rendition.videoBitrate;
+    const buffer = bufsize || `${Math.round(parseBitrate(cap) * 2 / 1000)}k`;
+
+    const args = [
+        `-c:${stream}`, rendition.videoCodec,
+        `-b:${stream}`, rendition.videoBitrate,
+        `-maxrate:${stream}`, cap,
+        `-bufsize:${stream}`, buffer,
+        `-force_key_frames:${stream}`, `expr:gte(t,n_forced*${HLS_SEGMENT_DURATION})`
+    ];
+
+    if (preset) args.push(`-preset:${stream}`, preset);
+    if (crf !== undefined) args.push(`-crf:${stream}`, String(crf));
+    if (profile) args.push(`-profile:${stream}`, profile);
+    if (level) args.push(`-level:${stream}`, String(level));
+    if (tune) args.push(`-tune:${stream}`, tune);
+    if (gop) args.push(`-g:${stream}`, String(gop));
+
+    return args;
+}
+
+// Encoder options for one output audio stream
+function getAudioEncoderArgs(track, index, bitrate) {
+    const args = [
+        '-map', `0:a:${track.index}`,
+        `-c:a:${index}`, 'aac',
+        `-b:a:${index}`, bitrate,
+        `-ac:a:${index}`, String(Math.min(track.channels || 2, 2))
+    ];
+    // e.g. loudness normalisation planned before the transcode
+    if (track.audioFilter) {
+        args.push(`-filter:a:${index}`, track.audioFilter);
+    }
+    return args;
+}
+
+// Build one ffmpeg invocation that decodes the source once, splits the video
+// into every rendition and writes all outputs through the tee muxer.
+// A prepared watermark is burned into each rendition after scaling.
+// With `muxAudio` the (single) audio track is muxed into every rendition
+// instead of being packaged as its own rendition.
+function buildTranscodeArgs(inputPath, outputDir, renditions, options) {
+    const { baseName, audioTracks = [], muxAudio = false, progressive, outputFormat = 'hls', audioBitrate, watermark } = options;
+
+    const inputs = ['-i', inputPath];
+    if (watermark && watermark.imagePath) {
+        inputs.push('-i', watermark.imagePath);
+    }
+    const watermarkFilters = watermark ? buildWatermarkFilters(watermark, renditions, 1) : null;
+
+    const splitLabels = renditions.map((_, index) => `[s${index}]`).join('');
+    const filters = [`[0:v]split=${renditions.length}${splitLabels}`];
+    if (watermarkFilters) {
+        filters.push(...watermarkFilters.shared);
+    }
+    renditions.forEach((rendition, index) => {
+        const scale = `[s${index}]scale=${rendition.width}:${rendition.height}:flags=bicubic,setsar=1`;
+        if (watermarkFilters) {
+            filters.push(`${scale}[b${index}]`, ...watermarkFilters.apply(rendition, index, `[b${index}]`, `[v${index}]`));
+        } else {
+            filters.push(`${scale},format=yuv420p[v${index}]`);
+        }
+    });
+
+    const args = [...inputs, '-filter_complex', filters.join(';')];
+    const slaves = [];
+
+    // Each kept audio track is encoded once and packaged as its own rendition
+    if (!muxAudio) {
+        audioTracks.forEach((track, index) => {
+            args.push(...getAudioEncoderArgs(track, index, audioBitrate));
+            slaves.push(getHlsSlave(`a:${index}`, getAudioPaths(outputDir, track, outputFormat), outputFormat));
+        });
+    }
+
+    // Progressive MP4s carry the default audio track
+    const defaultAudio = audioTracks.findIndex(track => track.isDefault);
+    const muxedTrack = muxAudio ? audioTracks[0] : null;
+
+    renditions.forEach((rendition, index) => {
+        const paths = getRenditionPaths(outputDir, rendition, baseName, outputFormat);
+
+        args.push('-map', `[v${index}]`, ...getVideoEncoderArgs(rendition, index));
+
+        // Muxed audio is encoded per rendition at the rendition's own bitrate
+        let audioSelect = !muxAudio && defaultAudio >= 0 ? `a:${defaultAudio}` : null;
+        if (muxedTrack) {
+            args.push(...getAudioEncoderArgs(muxedTrack, index, rendition.audioBitrate));
+            audioSelect = `a:${index}`;
+        }
+        const select = audioSelect ? `v:${index},${audioSelect}` : `v:${index}`;
+        slaves.push(getHlsSlave(muxAudio ? select : `v:${index}`, paths, outputFormat));
+
+        // Progressive MP4s come from the same encode, no extra transcoding
+        if (progressive) {
+            slaves.push(`[select='${select}':f=mp4:movflags=+faststart]${paths.mp4Path}`);
+        }
+    });
+
+    args.push('-f', 'tee', slaves.join('|'));
+    return args;
+}
+
+// Average bitrate of a rendition, from the size of the segments it produced
+async function getProducedBitrate(segmentDir, duration) {
+    if (!duration) return null;
+    const files = await fs.readdir(segmentDir);
+    let totalBytes = 0;
+    for (const file of files.filter(name => /\.(ts|m4s)$/.test(name))) {
+        totalBytes += (await fs.stat(path.join(segmentDir, file))).size;
+    }
+    return Math.round(totalBytes * 8 / duration);
+}
+
+// Compare a rendition against the source scaled to the same size
+async function measureRenditionQuality(inputPath, playlistPath, rendition) {
+    const scale = `scale=${rendition.width}:${rendition.height}:flags=bicubic`;
+    const { stderr } = await runFfmpeg([
+        '-i', playlistPath,
+        '-i', inputPath,
+        '-filter_complex',
+        `[0:v]setpts=PTS-STARTPTS,setsar=1,format=yuv420p,split[d1][d2];`
+        + `[1:v]setpts=PTS-STARTPTS,${scale},setsar=1,format=yuv420p,split[r1][r2];`
+        + `[d1][r1]ssim;[d2][r2]psnr`,
+        '-f', 'null', '-'
+    ]);
+
+    const ssim = stderr.match(/SSIM .*All:([\d.]+)/);
+    const psnr = stderr.match(/PSNR .*average:([\d.]+|inf)/);
+    return {
+        ssim: ssim ? Number(ssim[1]) : null,
+        psnr: psnr ? (psnr[1] === 'inf' ? null : Number(psnr[1])) : null
+    };
+}
+
+// Encode every rendition in a single pass and report how long it took
+async function transcodeRenditions(inputPath, outputDir, renditions, options) {
+    const { baseName, videoInfo, audioTracks = [], muxAudio = false, progressive = false, measureQuality = false, outputFormat = 'hls', watermark, logger, onProgress } = options;
+
+    for (const rendition of renditions) {
+        await fs.ensureDir(getRenditionPaths(outputDir, rendition, baseName, outputFormat).segmentDir);
+    }
+    for (const track of muxAudio ? [] : audioTracks) {
+        await fs.ensureDir(getAudioPaths(outputDir, track, outputFormat).segmentDir);
+    }
+
+    // Audio renditions are shared by the whole ladder, so they get its best audio bitrate
+    const audioBitrate = renditions
+        .map(rendition => rendition.audioBitrate)
+        .sort((a, b) => parseBitrate(b) - parseBitrate(a))[0];
+
+    const args = buildTranscodeArgs(inputPath, outputDir, renditions, {
+        baseName,
+        audioTracks,
+        muxAudio,
+        progressive,
+        outputFormat,
+        audioBitrate,
+        watermark
+    });
+    logger.info(`Running single-pass transcode: ffmpeg ${args.join(' ')}`);
+
+    let lastLoggedPercent = -10;
+    const { elapsedMs } = await runFfmpeg(args, {
+        duration: videoInfo.duration,
+        onProgress: ({ percent, speed }) => {
+            if (onProgress) {
+                onProgress({ percent, speed });
+            }
+            if (percent !== null && percent - lastLoggedPercent >= 10) {
+                lastLoggedPercent = percent;
+                logger.info(`Transcoding: ${percent}%`);
+            }
+        }
+    });
+
+    const report = {
+        mode: 'single-pass',
+        outputFormat,
+        elapsedMs,
+        speed: videoInfo.duration ? Math.round(videoInfo.duration * 1000 / elapsedMs * 100) / 100 : null,
+        renditions: []
+    };
+
+    for (const rendition of renditions) {
+        const paths = getRenditionPaths(outputDir, rendition, baseName, outputFormat);
+        const entry = {
+            name: rendition.name,
+            bitrate: await getProducedBitrate(paths.segmentDir, videoInfo.duration)
+        };
+
+        if (measureQuality) {
+            logger.info(`Measuring quality of ${rendition.name}...`);
+            if (onProgress) {
+                onProgress({ percent: 100, detail: { measuringQuality: rendition.name } });
+            }
+            Object.assign(entry, await measureRenditionQuality(inputPath, paths.playlistPath, rendition));
+        }
+        report.renditions.push(entry);
+    }
+
+    logger.info(`Transcoded ${renditions.length} renditions in ${elapsedMs}ms (${report.speed}x realtime)`);
+    return report;
+}
+
+export {
+    HLS_SEGMENT_DURATION,
+    OUTPUT_FORMATS,
+    AUDIO_RENDITION_NAME,
+    getRenditionPaths,
+    getAudioPaths,
+    buildTranscodeArgs,
+    transcodeRenditions
+};
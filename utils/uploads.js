@@ -0,0 +1,186 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { open } from 'fs/promises';
+import getRedisClient from './redisClient.js';
+import uploadsConfig from '../config/uploads.js';
+
+// tus 1.0.0 resumable uploads (https://tus.io/protocols/resumable-upload).
+// The upload record lives in Redis until it expires; the bytes received so
+// far are kept in a file named after the upload id in UPLOAD_DIR.
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = ['creation', 'expiration', 'termination'];
+
+const UPLOAD_PREFIX = 'video-uploads:';
+const LOCK_PREFIX = 'video-uploads:lock:';
+const UPLOAD_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+// An upload's lock lapses this long after its holder stops refreshing it
+// (e.g. the instance died), so the upload can be resumed elsewhere
+const LOCK_TTL_MS = 60 * 1000;
+
+// Refresh or release a lock only while it still holds our token
+const REFRESH_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0
+`;
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+// "key base64value,key2 base64value2,flag" -> { key: 'value', ... }
+function parseUploadMetadata(header) {
+    const metadata = {};
+    if (!header) return metadata;
+
+    for (const pair of header.split(',')) {
+        const [key, value, ...rest] = pair.trim().split(' ');
+        if (!key || rest.length || /[^\x21-\x7e]/.test(key) || key in metadata) {
+            throw new Error(`Malformed Upload-Metadata entry "${pair.trim()}"`);
+        }
+        metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+    return metadata;
+}
+
+function formatUploadMetadata(metadata) {
+    return Object.entries(metadata)
+        .map(([key, value]) => (value ? `${key} ${Buffer.from(value, 'utf8').toString('base64')}` : key))
+        .join(',');
+}
+
+function getUploadPath(id) {
+    return path.join(uploadsConfig.dir, id);
+}
+
+async function saveUpload(upload) {
+    const ttl = upload.expiresAt - Date.now();
+    if (ttl <= 0) return;
+    await getRedisClient().set(`${UPLOAD_PREFIX}${upload.id}`, JSON.stringify(upload), 'PX', ttl);
+}
+
+async function getUpload(id) {
+    if (!UPLOAD_ID_PATTERN.test(id)) return null;
+
+    const stored = await getRedisClient().get(`${UPLOAD_PREFIX}${id}`);
+    if (!stored) return null;
+
+    const upload = JSON.parse(stored);
+    return upload.expiresAt > Date.now() ? upload : null;
+}
+
+// `options` are the job options the upload will be queued with
+async function createUpload({ length, metadata, options, tenantId = null }) {
+    const now = Date.now();
+    const upload = {
+        id: crypto.randomUUID().replace(/-/g, ''),
+        length,
+        offset: 0,
+        metadata,
+        options,
+        tenantId,
+        status: 'uploading',
+        createdAt: now,
+        expiresAt: now + uploadsConfig.expiryHours * 60 * 60 * 1000
+    };
+
+    await fs.ensureDir(uploadsConfig.dir);
+    await fs.writeFile(getUploadPath(upload.id), '');
+    await saveUpload(upload);
+    return upload;
+}
+
+// Append the request body at the upload's offset. Whatever arrives is kept,
+// even if the client goes away mid-chunk, so it can resume from there.
+async function writeUploadChunk(upload, stream) {
+    const handle = await open(getUploadPath(upload.id), 'r+');
+    let offset = upload.offset;
+
+    try {
+        for await (const chunk of stream) {
+            if (offset + chunk.length > upload.length) {
+                const error = new Error(`Chunk goes past the declared Upload-Length of ${upload.length} bytes`);
+                error.status = 413;
+                throw error;
+            }
+            await handle.write(chunk, 0, chunk.length, offset);
+            offset += chunk.length;
+        }
+    } finally {
+        await handle.close();
+        upload.offset = offset;
+        await saveUpload(upload);
+    }
+    return upload;
+}
+
+// Take the upload's lock, shared by every API instance: one request at a
+// time writes to, finishes or deletes an upload. Returns the function that
+// releases it, or null when someone else holds it.
+async function lockUpload(id) {
+    const redis = getRedisClient();
+    const key = `${LOCK_PREFIX}${id}`;
+    const token = crypto.randomUUID();
+    if ((await redis.set(key, token, 'PX', LOCK_TTL_MS, 'NX')) !== 'OK') {
+        return null;
+    }
+
+    // Held for as long as the chunk takes to arrive or the file to be copied
+    const refresh = setInterval(() => {
+        redis.eval(REFRESH_LOCK_SCRIPT, 1, key, token, LOCK_TTL_MS).catch((error) => {
+            console.error(`Error refreshing the lock of upload ${id}:`, error.message);
+        });
+    }, LOCK_TTL_MS / 3);
+    refresh.unref();
+
+    return async () => {
+        clearInterval(refresh);
+        await redis.eval(RELEASE_LOCK_SCRIPT, 1, key, token);
+    };
+}
+
+// Drop the received bytes, keeping the record so clients can still look up
+// what became of the upload
+async function discardUploadData(upload) {
+    await fs.remove(getUploadPath(upload.id));
+}
+
+async function deleteUpload(upload) {
+    await discardUploadData(upload);
+    await getRedisClient().del(`${UPLOAD_PREFIX}${upload.id}`);
+}
+
+// Remove files of uploads whose record has expired
+async function removeExpiredUploads() {
+    if (!(await fs.pathExists(uploadsConfig.dir))) return 0;
+
+    let removed = 0;
+    for (const file of await fs.readdir(uploadsConfig.dir)) {
+        if (UPLOAD_ID_PATTERN.test(file) && !(await getUpload(file))) {
+            await fs.remove(getUploadPath(file));
+            removed += 1;
+        }
+    }
+    return removed;
+}
+
+export {
+    TUS_VERSION,
+    TUS_EXTENSIONS,
+    parseUploadMetadata,
+    formatUploadMetadata,
+    getUploadPath,
+    saveUpload,
+    getUpload,
+    createUpload,
+    writeUploadChunk,
+    lockUpload,
+    discardUploadData,
+    deleteUpload,
+    removeExpiredUploads
+};
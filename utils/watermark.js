@@ -0,0 +1,187 @@
+import fs from 'fs-extra';
+import path from 'path';
+import axios from 'axios';
+
+const WATERMARK_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'];
+
+// Sizes are relative to each rendition so the overlay looks the same across
+// the ladder: `scale` is the logo width as a fraction of the video width, or
+// the text height as a fraction of the video height; `margin` is a fraction
+// of the video width.
+const DEFAULT_WATERMARK_OPTIONS = {
+    position: 'bottom-right',
+    margin: 0.02,
+    opacity: 0.8
+};
+const DEFAULT_IMAGE_SCALE = 0.15;
+const DEFAULT_TEXT_SCALE = 0.04;
+
+const MAX_TEXT_LENGTH = 100;
+const COLOR_PATTERN = /^(#[0-9a-fA-F]{6}|[a-zA-Z]{3,20})$/;
+
+// Returns a list of problems with a job's `watermark` option
+function validateWatermark(watermark) {
+    if (watermark === undefined) return [];
+    if (!watermark || typeof watermark !== 'object' || Array.isArray(watermark)) {
+        return ['watermark must be an object like { "image": "https://..." } or { "text": "@handle" }'];
+    }
+
+    const errors = [];
+    const { image, text, position, margin, opacity, scale, start, end, color } = watermark;
+
+    if ((image === undefined) === (text === undefined)) {
+        errors.push('watermark needs either an image URL or a text');
+    }
+    if (image !== undefined && !/^https?:\/\//.test(String(image))) {
+        errors.push('watermark.image must be an http(s) URL');
+    }
+    if (text !== undefined && !(typeof text === 'string' && text.trim() && text.length <= MAX_TEXT_LENGTH)) {
+        errors.push(`watermark.text must be a non-empty string of at most ${MAX_TEXT_LENGTH} characters`);
+    }
+    if (position !== undefined && !WATERMARK_POSITIONS.includes(position)) {
+        errors.push(`watermark.position must be one of ${WATERMARK_POSITIONS.join(', ')}`);
+    }
+    if (margin !== undefined && !(typeof margin === 'number' && margin >= 0 && margin <= 0.2)) {
+        errors.push('watermark.margin must be a fraction of the video width between 0 and 0.2');
+    }
+    if (opacity !== undefined && !(typeof opacity === 'number' && opacity > 0 && opacity <= 1)) {
+        errors.push('watermark.opacity must be between 0 and 1');
+    }
+    if (scale !== undefined && !(typeof scale === 'number' && scale > 0 && scale <= 1)) {
+        errors.push('watermark.scale must be a fraction of the video size between 0 and 1');
+    }
+    for (const field of ['start', 'end']) {
+        if (watermark[field] !== undefined && !(typeof watermark[field] === 'number' && watermark[field] >= 0)) {
+            errors.push(`watermark.${field} must be a number of seconds`);
+        }
+    }
+    if (typeof start === 'number' && typeof end === 'number' && end <= start) {
+        errors.push('watermark.end must be after watermark.start');
+    }
+    if (color !== undefined && (text === undefined || !COLOR_PATTERN.test(String(color)))) {
+        errors.push('watermark.color only applies to text and must be a color name or #rrggbb');
+    }
+
+    return errors;
+}
+
+// Download the logo (or write the text to a file, which keeps it out of the
+// filter graph syntax; drawtext still expands % sequences in it unless told
+// not to, see expansion=none below) and fill in the defaults
+async function prepareWatermark(watermark, { workDir, logger }) {
+    const prepared = {
+        ...DEFAULT_WATERMARK_OPTIONS,
+        scale: watermark.image ? DEFAULT_IMAGE_SCALE : DEFAULT_TEXT_SCALE,
+        color: 'white',
+        ...watermark
+    };
+
+    if (watermark.image) {
+        logger.info(`Downloading watermark image from ${watermark.image}`);
+        const response = await axios({
+            method: 'get',
+            url: watermark.image,
+            responseType: 'arraybuffer',
+            timeout: 30000,
+            maxContentLength: 10 * 1024 * 1024
+        });
+        prepared.imagePath = path.join(workDir, `watermark${path.extname(new URL(watermark.image).pathname) || '.png'}`);
+        await fs.writeFile(prepared.imagePath, response.data);
+    } else {
+        prepared.textPath = path.join(workDir, 'watermark.txt');
+        await fs.writeFile(prepared.textPath, watermark.text);
+    }
+
+    return prepared;
+}
+
+// Overlay coordinates for a position; `W`/`H` name the video size and
+// `w`/`h` the overlay size in the filter's own expression language
+function getPositionExpressions(position, margin, { W, H, w, h }) {
+    switch (position) {
+        case 'top-left':
+            return { x: `${margin}`, y: `${margin}` };
+        case 'top-right':
+            return { x: `${W}-${w}-${margin}`, y: `${margin}` };
+        case 'bottom-left':
+            return { x: `${margin}`, y: `${H}-${h}-${margin}` };
+        case 'center':
+            return { x: `(${W}-${w})/2`, y: `(${H}-${h})/2` };
+        default:
+            return { x: `${W}-${w}-${margin}`, y: `${H}-${h}-${margin}` };
+    }
+}
+
+function getEnableOption({ start, end }) {
+    if (start !== undefined && end !== undefined) return `:enable='between(t,${start},${end})'`;
+    if (start !== undefined) return `:enable='gte(t,${start})'`;
+    if (end !== undefined) return `:enable='lte(t,${end})'`;
+    return '';
+}
+
+// Filter graph pieces that burn the watermark into each rendition.
+// `inputIndex` is the ffmpeg input holding the logo image.
+// Returns the filters to add once, and a function giving the chain that turns
+// a scaled rendition label into its watermarked label.
+function buildWatermarkFilters(watermark, renditions, inputIndex) {
+    const shared = [];
+    if (watermark.imagePath) {
+        const labels = renditions.map((_, index) => `[wm${index}]`).join('');
+        shared.push(`[${inputIndex}:v]format=rgba,colorchannelmixer=aa=${watermark.opacity},split=${renditions.length}${labels}`);
+    }
+
+    const apply = (rendition, index, inputLabel, outputLabel) => {
+        const margin = Math.round(watermark.margin * rendition.width);
+        const enable = getEnableOption(watermark);
+
+        if (watermark.imagePath) {
+            const logoWidth = Math.max(2, Math.round(watermark.scale * rendition.width / 2) * 2);
+            const { x, y } = getPositionExpressions(watermark.position, margin, { W: 'main_w', H: 'main_h', w: 'overlay_w', h: 'overlay_h' });
+            return [
+                `[wm${index}]scale=${logoWidth}:-1[wms${index}]`,
+                `${inputLabel}[wms${index}]overlay=x=${x}:y=${y}${enable},format=yuv420p${outputLabel}`
+            ];
+        }
+
+        const fontSize = Math.max(8, Math.round(watermark.scale * rendition.height));
+        const { x, y } = getPositionExpressions(watermark.position, margin, { W: 'w', H: 'h', w: 'text_w', h: 'text_h' });
+        const fontFile = process.env.WATERMARK_FONT_FILE ? `:fontfile=${process.env.WATERMARK_FONT_FILE}` : '';
+        return [
+            // expansion=none: a handle like "50%off" is drawn as is, not parsed as %{...}
+            `${inputLabel}drawtext=textfile=${watermark.textPath}:expansion=none${fontFile}:fontsize=${fontSize}`
+            + `:fontcolor=${watermark.color}@${watermark.opacity}`
+            + `:borderw=${Math.max(1, Math.round(fontSize / 16))}:bordercolor=black@${watermark.opacity}`
+            + `:x=${x}:y=${y}${enable},format=yuv420p${outputLabel}`
+        ];
+    };
+
+    return { shared, apply };
+}
+
+// ffmpeg arguments that burn the watermark into a single output: a poster,
+// a sprite sheet or a teaser. `head` brings input 0 to width x height, `tail`
+// optionally carries on from the watermarked video; the graph's last output
+// is left unlabelled so ffmpeg maps it. `timeOffset` is the source time of
+// the output's first frame, for inputs seeked with -ss.
+function buildWatermarkArgs(watermark, { width, height, head, tail = '', timeOffset = 0 }) {
+    const shift = value => (value === undefined ? undefined : Number((value - timeOffset).toFixed(3)));
+    const shifted = { ...watermark, start: shift(watermark.start), end: shift(watermark.end) };
+    const output = { width, height };
+    const { shared, apply } = buildWatermarkFilters(shifted, [output], 1);
+
+    const graph = [
+        ...shared,
+        `[0:v]${head}[base]`,
+        ...apply(output, 0, '[base]', tail ? '[marked]' : '')
+    ];
+    if (tail) {
+        graph.push(`[marked]${tail}`);
+    }
+
+    return [
+        ...(watermark.imagePath ? ['-i', watermark.imagePath] : []),
+        '-filter_complex', graph.join(';')
+    ];
+}
+
+export { WATERMARK_POSITIONS, validateWatermark, prepareWatermark, buildWatermarkFilters, buildWatermarkArgs };
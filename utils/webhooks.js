@@ -0,0 +1,350 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import { Queue } from 'bullmq';
+import redisConfig from '../config/redis.js';
+import webhooksConfig from '../config/webhooks.js';
+import getRedisClient from './redisClient.js';
+import { getTenant } from './tenants.js';
+
+const WEBHOOK_EVENTS = ['queued', 'started', 'progress', 'completed', 'failed', 'cancelled'];
+const MAX_WEBHOOKS = 5;
+
+// Deliveries go through their own queue so retries and backoff don't hold up
+// the processing worker
+const WEBHOOK_QUEUE_NAME = 'webhook-deliveries';
+
+// Delivery log: one record per delivery, indexed by time (all of them, and
+// each tenant's, both also split by status) and by job
+const DELIVERY_PREFIX = 'webhook-deliveries:';
+const DELIVERY_INDEX_KEY = 'webhook-delivery-log';
+const JOB_DELIVERIES_PREFIX = 'webhook-delivery-log:job:';
+const TENANT_DELIVERIES_PREFIX = 'webhook-delivery-log:tenant:';
+
+const DELIVERY_STATUSES = ['pending', 'retrying', 'delivered', 'failed'];
+
+let queue = null;
+
+function getWebhookQueue() {
+    if (!queue) {
+        queue = new Queue(WEBHOOK_QUEUE_NAME, { connection: redisConfig });
+    }
+    return queue;
+}
+
+async function closeWebhookQueue() {
+    if (queue) {
+        await queue.close();
+        queue = null;
+    }
+}
+
+// A job's `webhooks` option: up to five URLs, each either a string (all
+// events) or { url, events }
+function validateWebhooks(webhooks) {
+    if (webhooks === undefined) return [];
+    if (!Array.isArray(webhooks) || webhooks.length === 0 || webhooks.length > MAX_WEBHOOKS) {
+        return [`webhooks must be an array of 1 to ${MAX_WEBHOOKS} URLs or { "url", "events" } objects`];
+    }
+
+    const errors = [];
+    webhooks.forEach((webhook, index) => {
+        const label = `webhooks[${index}]`;
+        const { url, events } = typeof webhook === 'string' ? { url: webhook } : (webhook || {});
+
+        if (!/^https?:\/\//.test(String(url))) {
+            errors.push(`${label}.url must be an http(s) URL`);
+        }
+        if (events !== undefined && (!Array.isArray(events) || events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event)))) {
+            errors.push(`${label}.events must be a non-empty list of ${WEBHOOK_EVENTS.join(', ')}`);
+        }
+    });
+
+    if (!webhooksConfig.secret) {
+        errors.push('webhooks require WEBHOOK_SECRET to be configured');
+    }
+    return errors;
+}
+
+// "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>". Receivers should
+// recompute it with the shared secret and reject old timestamps.
+function signPayload(body, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto
+        .createHmac('sha256', webhooksConfig.secret)
+        .update(`${timestamp}.${body}`)
+        .digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+}
+
+// The main server's endpoint predates webhooks and reads its own payload,
+// misspelled field included
+function buildLegacyPayload(event, reelId, data) {
+    if (event === 'completed') {
+        return { reelId, video_proccessed_status: 'done', video_processed_status: 'done' };
+    }
+    if (event === 'cancelled') {
+        // The main server only knows done and failed
+        return {
+            reelId,
+            video_proccessed_status: 'failed',
+            video_processed_status: 'failed',
+            error_message: 'Job cancelled',
+            cancelled: true
+        };
+    }
+    return {
+        reelId,
+        video_proccessed_status: 'failed',
+        video_processed_status: 'failed',
+        error_message: data.error?.message,
+        error_details: data.error
+    };
+}
+
+// Sorted set of delivery ids (scored by creation time) for a listing
+function getIndexKey({ tenantId = null, status = null } = {}) {
+    const key = tenantId ? `${TENANT_DELIVERIES_PREFIX}${tenantId}` : DELIVERY_INDEX_KEY;
+    return status ? `${key}:status:${status}` : key;
+}
+
+// Also moves the delivery to the indexes of its current status, and drops
+// entries past the retention period from them
+async function saveDelivery(delivery) {
+    const retentionSeconds = webhooksConfig.logRetentionDays * 24 * 60 * 60;
+    const createdAt = Date.parse(delivery.createdAt);
+    const expired = Date.now() - retentionSeconds * 1000;
+
+    const pipeline = getRedisClient().pipeline();
+    pipeline.set(`${DELIVERY_PREFIX}${delivery.id}`, JSON.stringify(delivery), 'EX', retentionSeconds);
+    for (const tenantId of delivery.tenantId ? [null, delivery.tenantId] : [null]) {
+        for (const status of DELIVERY_STATUSES) {
+            const key = getIndexKey({ tenantId, status });
+            if (status !== delivery.status) {
+                pipeline.zrem(key, delivery.id);
+                continue;
+            }
+            pipeline.zadd(key, createdAt, delivery.id);
+            pipeline.zremrangebyscore(key, 0, expired);
+            pipeline.expire(key, retentionSeconds);
+        }
+    }
+    await pipeline.exec();
+}
+
+async function getDelivery(id) {
+    const stored = await getRedisClient().get(`${DELIVERY_PREFIX}${id}`);
+    return stored ? JSON.parse(stored) : null;
+}
+
+async function enqueueDelivery(delivery) {
+    await getWebhookQueue().add('deliver', { deliveryId: delivery.id }, {
+        attempts: webhooksConfig.maxAttempts,
+        backoff: {
+            type: 'exponential',
+            delay: webhooksConfig.backoffDelay
+        },
+        removeOnComplete: true,
+        removeOnFail: true
+    });
+}
+
+async function createDelivery({ jobId, reelId, tenantId, event, url, body, legacy }) {
+    const now = Date.now();
+    const delivery = {
+        id: crypto.randomUUID(),
+        jobId: jobId ?? null,
+        reelId: reelId ?? null,
+        tenantId: tenantId ?? null,
+        event,
+        url,
+        ...(legacy && { legacy: true }),
+        body,
+        status: 'pending',
+        attempts: [],
+        createdAt: new Date(now).toISOString(),
+        deliveredAt: null
+    };
+
+    const redis = getRedisClient();
+    const expired = now - webhooksConfig.logRetentionDays * 24 * 60 * 60 * 1000;
+    await saveDelivery(delivery);
+    await redis.zadd(DELIVERY_INDEX_KEY, now, delivery.id);
+    await redis.zremrangebyscore(DELIVERY_INDEX_KEY, 0, expired);
+    if (delivery.tenantId !== null) {
+        const tenantKey = getIndexKey({ tenantId: delivery.tenantId });
+        await redis.zadd(tenantKey, now, delivery.id);
+        await redis.zremrangebyscore(tenantKey, 0, expired);
+        await redis.expire(tenantKey, webhooksConfig.logRetentionDays * 24 * 60 * 60);
+    }
+    if (delivery.jobId !== null) {
+        const jobKey = `${JOB_DELIVERIES_PREFIX}${delivery.jobId}`;
+        await redis.zadd(jobKey, now, delivery.id);
+        await redis.expire(jobKey, webhooksConfig.logRetentionDays * 24 * 60 * 60);
+    }
+    return delivery;
+}
+
+// The status endpoint told of completed and failed jobs: the tenant's own
+// callback base URL, or MAIN_SERVER_URL for jobs without a tenant
+async function getLegacyUrl(tenantId) {
+    if (!tenantId) return webhooksConfig.legacyUrl;
+    const tenant = await getTenant(tenantId);
+    return tenant?.callbackUrl ? `${tenant.callbackUrl.replace(/\/$/, '')}/reels/internal/update` : null;
+}
+
+// Queue a delivery of `event` to every webhook of the job that wants it (and
+// to the main server for completed/failed/cancelled). Never throws: a broken callback
+// setup must not fail the job.
+async function emitJobEvent(jobId, payload = {}, event, data = {}) {
+    try {
+        const tenantId = payload.tenantId ?? null;
+        const targets = (payload.webhooks || [])
+            .map(webhook => (typeof webhook === 'string' ? { url: webhook } : webhook))
+            .filter(webhook => !webhook.events || webhook.events.includes(event));
+
+        const deliveries = [];
+        if (targets.length) {
+            const body = JSON.stringify({
+                event,
+                jobId: jobId ?? null,
+                reelId: payload.reelId ?? null,
+                timestamp: new Date().toISOString(),
+                data
+            });
+            for (const target of targets) {
+                deliveries.push(await createDelivery({ jobId, reelId: payload.reelId, tenantId, event, url: target.url, body }));
+            }
+        }
+
+        const legacyUrl = payload.reelId && ['completed', 'failed', 'cancelled'].includes(event) ? await getLegacyUrl(tenantId) : null;
+        if (legacyUrl) {
+            deliveries.push(await createDelivery({
+                jobId,
+                reelId: payload.reelId,
+                tenantId,
+                event,
+                url: legacyUrl,
+                body: JSON.stringify(buildLegacyPayload(event, payload.reelId, data)),
+                legacy: true
+            }));
+        }
+
+        for (const delivery of deliveries) {
+            await enqueueDelivery(delivery);
+        }
+        return deliveries;
+    } catch (error) {
+        console.error(`Error queueing ${event} webhooks for job ${jobId}:`, error);
+        return [];
+    }
+}
+
+// Make one attempt at a delivery and record it. Throws on failure so the
+// queue retries it, unless this was the last attempt.
+async function deliverWebhook(deliveryId, { isLastAttempt = true } = {}) {
+    const delivery = await getDelivery(deliveryId);
+    if (!delivery) {
+        // Dropped from the log (retention) while waiting for a retry
+        return null;
+    }
+
+    const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'video-converter-webhooks',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event
+    };
+    if (webhooksConfig.secret) {
+        headers['X-Webhook-Signature'] = signPayload(delivery.body);
+    }
+
+    const startedAt = Date.now();
+    const record = { attempt: delivery.attempts.length + 1, at: new Date(startedAt).toISOString() };
+    try {
+        const response = await axios.post(delivery.url, delivery.body, {
+            headers,
+            timeout: webhooksConfig.timeout,
+            maxRedirects: 0,
+            validateStatus: () => true,
+            // The body is already serialised; don't let axios re-encode it
+            transformRequest: [body => body]
+        });
+        record.statusCode = response.status;
+        if (response.status < 200 || response.status >= 300) {
+            record.error = `Receiver answered ${response.status}`;
+        }
+    } catch (requestError) {
+        record.error = requestError.message;
+    }
+    record.durationMs = Date.now() - startedAt;
+
+    delivery.attempts.push(record);
+    if (!record.error) {
+        delivery.status = 'delivered';
+        delivery.deliveredAt = new Date().toISOString();
+    } else {
+        delivery.status = isLastAttempt ? 'failed' : 'retrying';
+    }
+    await saveDelivery(delivery);
+
+    if (record.error && !isLastAttempt) {
+        throw new Error(`Webhook delivery ${delivery.id} to ${delivery.url} failed: ${record.error}`);
+    }
+    return delivery;
+}
+
+// Newest first, optionally for one job, one tenant and/or in one status.
+// Tenant and status have their own indexes, so a page costs `limit` reads;
+// a job's deliveries are few and filtered as they are loaded.
+async function listDeliveries({ jobId, tenantId, status, limit = 50, offset = 0 } = {}) {
+    const redis = getRedisClient();
+    const loadDeliveries = async (ids) => {
+        if (!ids.length) return [];
+        const stored = await redis.mget(ids.map(id => `${DELIVERY_PREFIX}${id}`));
+        // Records that outlived their index entry are skipped
+        return stored.filter(Boolean).map(value => JSON.parse(value));
+    };
+
+    if (jobId) {
+        const deliveries = (await loadDeliveries(await redis.zrevrange(`${JOB_DELIVERIES_PREFIX}${jobId}`, 0, -1)))
+            .filter(delivery => (!status || delivery.status === status) && (!tenantId || delivery.tenantId === tenantId));
+        return {
+            total: deliveries.length,
+            deliveries: deliveries.slice(offset, offset + limit)
+        };
+    }
+
+    const key = getIndexKey({ tenantId, status });
+    const [total, ids] = await Promise.all([
+        redis.zcard(key),
+        redis.zrevrange(key, offset, offset + limit - 1)
+    ]);
+    return {
+        total,
+        deliveries: await loadDeliveries(ids)
+    };
+}
+
+// Send a logged delivery again (same body, fresh signature), whatever its status
+async function replayDelivery(id) {
+    const delivery = await getDelivery(id);
+    if (!delivery) return null;
+
+    delivery.status = 'pending';
+    await saveDelivery(delivery);
+    await enqueueDelivery(delivery);
+    return delivery;
+}
+
+export {
+    WEBHOOK_EVENTS,
+    WEBHOOK_QUEUE_NAME,
+    DELIVERY_STATUSES,
+    validateWebhooks,
+    signPayload,
+    emitJobEvent,
+    deliverWebhook,
+    getDelivery,
+    listDeliveries,
+    replayDelivery,
+    closeWebhookQueue
+};
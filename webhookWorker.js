@@ -0,0 +1,34 @@
+import { Worker } from 'bullmq';
+import redisConfig from './config/redis.js';
+import { WEBHOOK_QUEUE_NAME, deliverWebhook } from './utils/webhooks.js';
+import Logger from './utils/logger.js';
+
+const webhookLogger = new Logger('webhook_worker');
+webhookLogger.initialize().then(() => {
+    webhookLogger.info('Webhook worker logger initialized');
+});
+
+// Delivers job status callbacks; BullMQ retries failed attempts with backoff
+const webhookWorker = new Worker(WEBHOOK_QUEUE_NAME, async (job) => {
+    const attempts = job.opts.attempts || 1;
+    const delivery = await deliverWebhook(job.data.deliveryId, {
+        isLastAttempt: job.attemptsMade + 1 >= attempts
+    });
+
+    if (delivery && delivery.status === 'failed') {
+        webhookLogger.error(`Giving up on ${delivery.event} webhook ${delivery.id} to ${delivery.url} after ${attempts} attempts`);
+    }
+}, {
+    connection: redisConfig,
+    concurrency: 5
+});
+
+webhookWorker.on('failed', async (job, error) => {
+    await webhookLogger.warn(`Webhook delivery ${job?.data.deliveryId} will be retried: ${error.message}`);
+});
+
+webhookWorker.on('error', async (error) => {
+    await webhookLogger.error('Webhook worker error:', error);
+});
+
+export default webhookWorker;
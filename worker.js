@@ -1,6 +1,20 @@
-import { Worker } from 'bullmq';
+import { Worker, DelayedError, UnrecoverableError } from 'bullmq';
 import redisConfig from './config/redis.js';
 import { processVideoToHLS } from './hlsVideoProcessor.js';
+import { processEditToHLS } from './editProcessor.js';
+import { EDIT_JOB_NAME } from './utils/editor.js';
+import { resolveRenditions } from './utils/presets.js';
+import { getJobPayload, pickJobOptions } from './utils/jobOptions.js';
+import { emitJobEvent } from './utils/webhooks.js';
+import { planStages, ProgressReporter } from './utils/progress.js';
+import { getTenant, acquireTenantSlot, releaseTenantSlot, markTenantJobQueued } from './utils/tenants.js';
+import { withAbortSignal } from './utils/ffmpegRunner.js';
+import { JOB_CANCELLED_MESSAGE, getCancellation, subscribeToCancellations } from './utils/jobCancellation.js';
+import { finishCancellation, recordJobUsage } from './utils/jobs.js';
+import { saveIdempotencyRecord } from './utils/idempotency.js';
+import { getDedupeMode } from './utils/dedup.js';
+import { finishesBefore } from './utils/shutdown.js';
+import webhooksConfig from './config/webhooks.js';
 import Logger from './utils/logger.js';
 
 // Initialize worker logger
@@ -9,35 +23,101 @@ workerLogger.initialize().then(() => {
     workerLogger.info('Worker logger initialized');
 });
 
-// Create worker for processing jobs
-const worker = new Worker('video-processing-reel', async (job) => {
+// A job whose tenant is at its concurrency limit goes back to wait this long
+const TENANT_BUSY_DELAY_MS = 5000;
+
+// Jobs running in this process, so a cancellation request can abort them
+const runningJobs = new Map();
+
+// Abort reason of jobs stopped because the worker is shutting down; they go
+// back to the queue instead of failing
+const SHUTDOWN_REASON = 'shutdown';
+
+// `signal` aborts when the job is cancelled: downloads and uploads stop,
+// ffmpeg is killed, and the job fails without retries as cancelled. When it
+// aborts for shutdown the job is put back in the queue as it was.
+async function processJob(job, token, signal) {
+    // Handle different job data formats (BullMQ or Laravel)
+    const payload = getJobPayload(job.data);
+
+    const tenant = await getTenant(job.data.tenantId);
+    if (job.data.tenantId && !tenant) {
+        await releaseTenantSlot(job.data.tenantId, job.id);
+        throw new Error(`Tenant ${job.data.tenantId} no longer exists`);
+    }
+    // Cancelled while a worker was picking it up, or while put back for its tenant
+    if (await getCancellation(job.id)) {
+        throw new UnrecoverableError(JOB_CANCELLED_MESSAGE);
+    }
+    if (!(await acquireTenantSlot(tenant, job.id))) {
+        await job.moveToDelayed(Date.now() + TENANT_BUSY_DELAY_MS, token);
+        await markTenantJobQueued(tenant?.id, job.id);
+        throw new DelayedError();
+    }
+
     const logger = new Logger(`worker_${job.id}`);
     await logger.initialize();
+    // Whether the job goes back to the queue, so it counts as waiting again
+    let requeued = false;
 
     try {
         logger.info('Received job:', job.id);
         logger.info('Raw job data:', job.data);
 
-        // Handle different job data formats
-        let reelId, videoUrl, folderPath;
-
-        if (job.data.data) {
-            // Laravel format
-            const laravelData = job.data.data;
-            reelId = laravelData.reelId;
-            videoUrl = laravelData.videoUrl;
-            folderPath = laravelData.folderPath;
-        } else if (job.data.command) {
-            // Laravel serialized format
-            const command = job.data.command;
-            reelId = command.reelId;
-            videoUrl = command.videoUrl;
-            folderPath = command.folderPath;
-        } else {
-            // BullMQ format
-            reelId = job.data.reelId;
-            videoUrl = job.data.videoUrl;
-            folderPath = job.data.folderPath;
+        // Emitted here rather than on 'active' so jobs put back for their
+        // tenant's concurrency limit don't report a start each time
+        await emitJobEvent(job.id, payload, 'started', {
+            attempt: job.attemptsMade + 1
+        });
+
+        const { reelId, videoUrl, folderPath } = payload;
+        const options = {
+            ...pickJobOptions(payload),
+            tenant,
+            signal
+        };
+        // The tenant's default preset stands in when the job names no ladder
+        if (tenant?.defaultPreset && !options.renditions && !options.preset) {
+            options.preset = tenant.defaultPreset;
+        }
+
+        // Stage, percent, bytes and ETA, read back by /job-status and the event streams
+        const progress = new ProgressReporter(
+            planStages(options, {
+                edit: job.name === EDIT_JOB_NAME,
+                dedupe: getDedupeMode(options) !== 'off'
+            }),
+            // The tenant rides along for the event streams (see /jobs/stream)
+            update => job.updateProgress({ ...update, tenantId: job.data.tenantId || null })
+        );
+
+        // Trim/concat jobs render their segments first, then run the same pipeline
+        if (job.name === EDIT_JOB_NAME) {
+            const { segments, transition, output } = payload;
+            if (!reelId || !folderPath || !Array.isArray(segments)) {
+                logger.error('Edit job data validation failed:', { reelId, folderPath, rawData: job.data });
+                throw new Error('Missing required fields in edit job data');
+            }
+
+            logger.info(`Starting edit job for reel ${reelId} with ${segments.length} segments`);
+            const ladder = await resolveRenditions(options);
+            const result = await processEditToHLS(segments, folderPath, reelId, {
+                ...options,
+                renditions: ladder,
+                transition,
+                output,
+                progress
+            });
+
+            logger.success(`Edit job completed for reel ${reelId}`);
+            logger.info('Processing results:', result);
+
+            return {
+                success: true,
+                reelId,
+                tenantId: job.data.tenantId || null,
+                result
+            };
         }
 
         // Validate required fields
@@ -56,8 +136,16 @@ const worker = new Worker('video-processing-reel', async (job) => {
         logger.info(`Video URL: ${videoUrl}`);
         logger.info(`Folder Path: ${folderPath}`);
 
+        // Resolve the encoding ladder (inline renditions, stored preset or default)
+        const ladder = await resolveRenditions(options);
+        logger.info(`Renditions: ${ladder.map(rendition => rendition.name).join(', ')}`);
+
         // Process the video using our existing function
-        const result = await processVideoToHLS(videoUrl, folderPath, reelId);
+        const result = await processVideoToHLS(videoUrl, folderPath, reelId, {
+            ...options,
+            renditions: ladder,
+            progress
+        });
         
         logger.success(`Video processing completed for reel ${reelId}`);
         logger.info('Processing results:', result);
@@ -65,20 +153,121 @@ const worker = new Worker('video-processing-reel', async (job) => {
         return {
             success: true,
             reelId,
+            tenantId: job.data.tenantId || null,
             result
         };
     } catch (error) {
+        if (signal.aborted && signal.reason === SHUTDOWN_REASON) {
+            logger.warn(`Job ${job.id} stopped for shutdown, handing it back to the queue`);
+            await job.moveToWait(token);
+            requeued = true;
+            throw new DelayedError();
+        }
+        if (signal.aborted) {
+            logger.warn(`Job ${job.id} was cancelled: ${error.message}`);
+            throw new UnrecoverableError(JOB_CANCELLED_MESSAGE);
+        }
         logger.error(`Error processing job ${job.id}:`, error);
         logger.error('Job data:', job.data);
+        requeued = !(error instanceof UnrecoverableError) && job.attemptsMade + 1 < (job.opts.attempts || 1);
         throw error;
     } finally {
+        await releaseTenantSlot(tenant?.id, job.id).catch((error) => {
+            console.error(`Error releasing tenant slot of job ${job.id}:`, error.message);
+        });
+        if (requeued) {
+            await markTenantJobQueued(tenant?.id, job.id).catch((error) => {
+                console.error(`Error requeueing job ${job.id} for its tenant:`, error.message);
+            });
+        }
         await logger.end();
     }
+}
+
+// Create worker for processing jobs
+const worker = new Worker('video-processing-reel', async (job, token) => {
+    const controller = new AbortController();
+    runningJobs.set(job.id, controller);
+    try {
+        return await withAbortSignal(controller.signal, () => processJob(job, token, controller.signal));
+    } finally {
+        runningJobs.delete(job.id);
+    }
 }, {
     connection: redisConfig,
     concurrency: 1 // change if you want to proccess more at same time 
 });
 
+// DELETE /jobs/:id on an active job lands here, whichever process got the request
+const unsubscribeFromCancellations = subscribeToCancellations((jobId) => {
+    const controller = runningJobs.get(jobId);
+    if (controller) {
+        workerLogger.info(`Cancelling job ${jobId}`);
+        controller.abort();
+    }
+});
+
+// Job status callbacks (see utils/webhooks.js). Progress is throttled per job.
+const lastProgressEvent = new Map();
+
+worker.on('progress', async (job, progress) => {
+    const now = Date.now();
+    if (now - (lastProgressEvent.get(job.id) || 0) < webhooksConfig.progressInterval) return;
+    lastProgressEvent.set(job.id, now);
+    await emitJobEvent(job.id, getJobPayload(job.data), 'progress', { progress });
+});
+
+worker.on('completed', async (job, returnvalue) => {
+    lastProgressEvent.delete(job.id);
+    const result = returnvalue?.result;
+    if (job.data.tenantId) {
+        await recordJobUsage(job.data.tenantId, result).catch((error) => {
+            console.error(`Error recording usage of job ${job.id}:`, error.message);
+        });
+    }
+    // The job is removed once completed; its idempotency key keeps the result
+    if (job.data.idempotencyKey) {
+        await saveIdempotencyRecord(job.data.idempotencyKey, job.data.tenantId, {
+            jobId: job.id,
+            state: 'completed',
+            result: result ?? null
+        }).catch((error) => {
+            console.error(`Error saving the idempotency record of job ${job.id}:`, error.message);
+        });
+    }
+    await emitJobEvent(job.id, getJobPayload(job.data), 'completed', {
+        result: returnvalue?.result ?? null
+    });
+});
+
+// Only the last attempt counts as failed; earlier ones are retried.
+// A cancelled job reports 'cancelled' instead.
+worker.on('failed', async (job, error) => {
+    if (!job) return;
+    if (error instanceof UnrecoverableError && error.message === JOB_CANCELLED_MESSAGE) {
+        lastProgressEvent.delete(job.id);
+        try {
+            const cancellation = await getCancellation(job.id);
+            if (cancellation) {
+                await finishCancellation(job, cancellation);
+            }
+        } catch (cancelError) {
+            console.error(`Error finishing cancellation of job ${job.id}:`, cancelError.message);
+        }
+        return;
+    }
+    if (job.attemptsMade < (job.opts.attempts || 1)) return;
+    lastProgressEvent.delete(job.id);
+    await emitJobEvent(job.id, getJobPayload(job.data), 'failed', {
+        attemptsMade: job.attemptsMade,
+        error: {
+            name: error.name,
+            message: error.message,
+            code: error.code
+        }
+    });
+});
+
 // Handle worker events
 worker.on('error', async (error) => {
     await workerLogger.error('Worker error:', error);
@@ -128,7 +317,7 @@ worker.on('closed', async () => {
 });
 
 // Log worker status periodically
-setInterval(async () => {
+const statusCheck = setInterval(async () => {
     try {
         const isRunning = worker.isRunning();
         await workerLogger.info('Worker status check:', {
@@ -140,4 +329,21 @@ setInterval(async () => {
     }
 }, 30000); // Check every 30 seconds
 
+// Stop taking jobs and let the active ones finish until `deadline`. Any
+// still running then have their ffmpeg killed and go back to the queue,
+// where another worker starts them over.
+async function stopWorker(deadline) {
+    clearInterval(statusCheck);
+    const closing = worker.close();
+    if (!(await finishesBefore(closing, deadline))) {
+        await workerLogger.warn(`Handing ${runningJobs.size} unfinished jobs back to the queue`);
+        for (const controller of runningJobs.values()) {
+            controller.abort(SHUTDOWN_REASON);
+        }
+        await closing;
+    }
+    await unsubscribeFromCancellations();
+}
+
+export { stopWorker };
 export default worker; 
\ No newline at end of file